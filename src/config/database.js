@@ -1,5 +1,6 @@
 const mysql = require('mysql2/promise');
 const logger = require('./logger');
+const { PERMISSIONS, DEFAULT_ROLES } = require('./roles');
 
 // Create connection pool
 const pool = mysql.createPool({
@@ -55,6 +56,35 @@ const transaction = async (callback) => {
   }
 };
 
+// Add a column to an existing table if it is missing
+// CREATE TABLE IF NOT EXISTS leaves tables created by older versions untouched
+const ensureColumn = async (table, column, definition) => {
+  const [existing] = await query(
+    `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (!existing) {
+    await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+  }
+};
+
+// Add an index to an existing table if it is missing
+const ensureIndex = async (table, index, columns) => {
+  const [existing] = await query(
+    `SELECT INDEX_NAME FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+
+  if (!existing) {
+    await query(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+    logger.info(`Added index ${table}.${index}`);
+  }
+};
+
 // Setup database - create tables if they don't exist
 const setupDatabase = async () => {
   try {
@@ -68,7 +98,8 @@ const setupDatabase = async () => {
         password VARCHAR(255),
         bio TEXT,
         profile_picture VARCHAR(255),
-        pic_id VARCHAR(36),
+        pic_id VARCHAR(155),
+        profile_picture_sizes JSON,
         is_admin BOOLEAN DEFAULT FALSE,
         interests JSON,
         vibe_preference VARCHAR(50),
@@ -76,6 +107,36 @@ const setupDatabase = async () => {
         mode_preference ENUM('light', 'dark', 'party') DEFAULT 'light',
         auth_provider ENUM('local', 'google', 'apple') DEFAULT 'local',
         auth_provider_id VARCHAR(255),
+        email_verified_at TIMESTAMP NULL,
+        two_factor_enabled BOOLEAN DEFAULT FALSE,
+        two_factor_secret TEXT,
+        two_factor_last_step BIGINT,
+        two_factor_failed_attempts INT DEFAULT 0,
+        two_factor_locked_until TIMESTAMP NULL,
+        suspended_at TIMESTAMP NULL,
+        suspension_reason VARCHAR(255),
+        require_device_approval BOOLEAN DEFAULT FALSE,
+        status_before_deletion VARCHAR(20),
+        deletion_requested_at TIMESTAMP NULL,
+        deletion_scheduled_for TIMESTAMP NULL,
+        anonymized_at TIMESTAMP NULL,
+        date_of_birth DATE,
+        country_code VARCHAR(2),
+        age_verified_at TIMESTAMP NULL,
+        age_attestation_rejected_at TIMESTAMP NULL,
+        onboarding_skipped_steps JSON,
+        onboarding_completed_at TIMESTAMP NULL,
+        username_changed_at TIMESTAMP NULL,
+        display_name VARCHAR(50),
+        pronouns VARCHAR(30),
+        social_links JSON,
+        cover_picture VARCHAR(255),
+        cover_pic_id VARCHAR(155),
+        profile_picture_updated_at TIMESTAMP NULL,
+        cover_picture_updated_at TIMESTAMP NULL,
+        field_visibility JSON,
+        phone_hash CHAR(64),
+        contact_discoverable BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
@@ -93,7 +154,221 @@ const setupDatabase = async () => {
         last_active_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         is_active BOOLEAN DEFAULT TRUE,
         user_agent TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        refresh_token_hash VARCHAR(64),
+        account_group_id VARCHAR(36),
+        country_code VARCHAR(2),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_account_group_id (account_group_id)
+      )
+    `);
+
+    // Email tokens table (verification, password reset and magic links)
+    await query(`
+      CREATE TABLE IF NOT EXISTS email_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        purpose ENUM('verify_email', 'password_reset', 'magic_link') NOT NULL,
+        token_hash VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_token_hash (token_hash),
+        INDEX idx_email_purpose (email, purpose)
+      )
+    `);
+
+    // Trusted devices table
+    await query(`
+      CREATE TABLE IF NOT EXISTS trusted_devices (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        device_id VARCHAR(255) NOT NULL,
+        device_name VARCHAR(255),
+        last_ip_address VARCHAR(45),
+        last_location VARCHAR(255),
+        secret_hash CHAR(64),
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_device (user_id, device_id)
+      )
+    `);
+
+    // Device approval requests table
+    await query(`
+      CREATE TABLE IF NOT EXISTS device_approval_requests (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        device_id VARCHAR(255) NOT NULL,
+        device_name VARCHAR(255),
+        ip_address VARCHAR(45),
+        location VARCHAR(255),
+        user_agent TEXT,
+        account_group_id VARCHAR(36),
+        status ENUM('pending', 'approved', 'denied', 'completed') DEFAULT 'pending',
+        responded_by VARCHAR(36),
+        responded_at TIMESTAMP NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_status (user_id, status)
+      )
+    `);
+
+    // Two-factor recovery codes table
+    await query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
+    // Username history table (former names, held for their previous owner until released_at)
+    await query(`
+      CREATE TABLE IF NOT EXISTS username_history (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        username VARCHAR(50) NOT NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_username_released (username, released_at),
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
+    // Uploaded images held for a moderator before they are used
+    await query(`
+      CREATE TABLE IF NOT EXISTS image_moderation_queue (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        purpose ENUM('profile_picture', 'cover_picture') NOT NULL,
+        variants JSON NOT NULL,
+        reasons JSON,
+        provider VARCHAR(50),
+        status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+        reviewed_by VARCHAR(36),
+        reviewed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_status_created (status, created_at)
+      )
+    `);
+
+    // Uploads whose deletion failed, retried by a background job
+    await query(`
+      CREATE TABLE IF NOT EXISTS media_deletion_queue (
+        public_id VARCHAR(255) PRIMARY KEY,
+        attempts INT DEFAULT 0,
+        last_error VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Roles table
+    await query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        description VARCHAR(255),
+        is_system BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Permissions table
+    await query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        name VARCHAR(100) PRIMARY KEY,
+        description VARCHAR(255)
+      )
+    `);
+
+    // Role permissions table
+    await query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id VARCHAR(36) NOT NULL,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+      )
+    `);
+
+    // User roles table
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id VARCHAR(36) NOT NULL,
+        role_id VARCHAR(36) NOT NULL,
+        assigned_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Service accounts table
+    await query(`
+      CREATE TABLE IF NOT EXISTS service_accounts (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        description VARCHAR(255),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // API keys table
+    await query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id VARCHAR(36) PRIMARY KEY,
+        service_account_id VARCHAR(36) NOT NULL,
+        name VARCHAR(100),
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash VARCHAR(64) NOT NULL,
+        scopes JSON NOT NULL,
+        rate_limit INT,
+        expires_at TIMESTAMP NULL,
+        revoked_at TIMESTAMP NULL,
+        last_used_at TIMESTAMP NULL,
+        last_used_ip VARCHAR(45),
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (service_account_id) REFERENCES service_accounts(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_key_hash (key_hash)
+      )
+    `);
+
+    // Audit logs table
+    await query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id VARCHAR(36) PRIMARY KEY,
+        actor_type ENUM('user', 'service_account', 'system') NOT NULL,
+        actor_id VARCHAR(36),
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50),
+        target_id VARCHAR(255),
+        metadata JSON,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_actor (actor_type, actor_id),
+        INDEX idx_action (action),
+        INDEX idx_created_at (created_at)
       )
     `);
 
@@ -112,6 +387,32 @@ const setupDatabase = async () => {
       )
     `);
 
+    // Friend groups table
+    await query(`
+      CREATE TABLE IF NOT EXISTS friend_groups (
+        id VARCHAR(36) PRIMARY KEY,
+        owner_id VARCHAR(36) NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_group_name (owner_id, name)
+      )
+    `);
+
+    // Friend group members table
+    await query(`
+      CREATE TABLE IF NOT EXISTS friend_group_members (
+        group_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, user_id),
+        FOREIGN KEY (group_id) REFERENCES friend_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
     // Rooms table
     await query(`
       CREATE TABLE IF NOT EXISTS rooms (
@@ -119,6 +420,7 @@ const setupDatabase = async () => {
         name VARCHAR(255) NOT NULL,
         type ENUM('public', 'private') DEFAULT 'public',
         is_locked BOOLEAN DEFAULT FALSE,
+        is_alcohol_related BOOLEAN DEFAULT FALSE,
         host_id VARCHAR(36) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -165,11 +467,25 @@ const setupDatabase = async () => {
         rules_id varchar(100),
         min_players INT DEFAULT 2,
         max_players INT DEFAULT 8,
+        is_alcohol_related BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
     `);
 
+    // Favourite games pinned to user profiles
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_favourite_games (
+        user_id VARCHAR(36) NOT NULL,
+        game_id VARCHAR(36) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, game_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
+      )
+    `);
+
     // Game sessions table
     await query(`
       CREATE TABLE IF NOT EXISTS game_sessions (
@@ -209,6 +525,7 @@ const setupDatabase = async () => {
         type ENUM('screenshot', 'recording') NOT NULL,
         file_path VARCHAR(255) NOT NULL,
         file_id varchar(155),
+        visibility VARCHAR(50) NOT NULL DEFAULT 'public',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
@@ -220,7 +537,7 @@ const setupDatabase = async () => {
       CREATE TABLE IF NOT EXISTS notifications (
         id VARCHAR(36) PRIMARY KEY,
         user_id VARCHAR(36) NOT NULL,
-        type ENUM('friend_request', 'room_invite', 'room_join_request', 'game_invite', 'system') NOT NULL,
+        type ENUM('friend_request', 'room_invite', 'room_join_request', 'game_invite', 'system', 'security') NOT NULL,
         title VARCHAR(255) NOT NULL,
         message TEXT NOT NULL,
         data JSON,
@@ -262,11 +579,15 @@ const setupDatabase = async () => {
       CREATE TABLE IF NOT EXISTS otp_codes (
         id VARCHAR(36) PRIMARY KEY,
         phone VARCHAR(20) NOT NULL,
-        code VARCHAR(6) NOT NULL,
+        code VARCHAR(64) NOT NULL,
         expires_at TIMESTAMP NOT NULL,
         is_verified BOOLEAN DEFAULT FALSE,
+        attempts INT DEFAULT 0,
+        locked_until TIMESTAMP NULL,
+        ip_address VARCHAR(45),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_phone (phone),
+        INDEX idx_ip_address (ip_address),
         INDEX idx_expires_at (expires_at)
       )
     `);
@@ -306,6 +627,102 @@ const setupDatabase = async () => {
       )
     `);
 
+    // Columns added after the initial schema
+    await ensureColumn('user_sessions', 'refresh_token_hash', 'VARCHAR(64)');
+    await ensureColumn('otp_codes', 'attempts', 'INT DEFAULT 0');
+    await ensureColumn('otp_codes', 'locked_until', 'TIMESTAMP NULL');
+    await ensureColumn('otp_codes', 'ip_address', 'VARCHAR(45)');
+    await ensureColumn('users', 'email_verified_at', 'TIMESTAMP NULL');
+    await ensureColumn('user_sessions', 'account_group_id', 'VARCHAR(36)');
+    await ensureIndex('user_sessions', 'idx_account_group_id', 'account_group_id');
+    await ensureColumn('users', 'two_factor_enabled', 'BOOLEAN DEFAULT FALSE');
+    await ensureColumn('users', 'two_factor_secret', 'TEXT');
+    await ensureColumn('users', 'two_factor_last_step', 'BIGINT');
+    await ensureColumn('users', 'two_factor_failed_attempts', 'INT DEFAULT 0');
+    await ensureColumn('users', 'two_factor_locked_until', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'suspended_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'suspension_reason', 'VARCHAR(255)');
+    await ensureColumn('users', 'require_device_approval', 'BOOLEAN DEFAULT FALSE');
+    await ensureColumn('user_sessions', 'country_code', 'VARCHAR(2)');
+    await ensureColumn('users', 'status_before_deletion', 'VARCHAR(20)');
+    await ensureColumn('users', 'deletion_requested_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'deletion_scheduled_for', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'anonymized_at', 'TIMESTAMP NULL');
+    await ensureIndex('users', 'idx_deletion_scheduled_for', 'deletion_scheduled_for');
+    await ensureColumn('users', 'date_of_birth', 'DATE');
+    await ensureColumn('users', 'country_code', 'VARCHAR(2)');
+    await ensureColumn('users', 'age_verified_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'age_attestation_rejected_at', 'TIMESTAMP NULL');
+    await ensureColumn('rooms', 'is_alcohol_related', 'BOOLEAN DEFAULT FALSE');
+    await ensureColumn('games', 'is_alcohol_related', 'BOOLEAN DEFAULT TRUE');
+    await ensureColumn('users', 'onboarding_skipped_steps', 'JSON');
+    await ensureColumn('users', 'onboarding_completed_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'username_changed_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'display_name', 'VARCHAR(50)');
+    await ensureColumn('users', 'pronouns', 'VARCHAR(30)');
+    await ensureColumn('users', 'social_links', 'JSON');
+    await ensureColumn('users', 'cover_picture', 'VARCHAR(255)');
+    await ensureColumn('users', 'cover_pic_id', 'VARCHAR(155)');
+    await ensureColumn('users', 'profile_picture_updated_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'cover_picture_updated_at', 'TIMESTAMP NULL');
+    await ensureColumn('users', 'field_visibility', 'JSON');
+    await ensureColumn('users', 'profile_picture_sizes', 'JSON');
+    await ensureColumn('media_records', 'visibility', "VARCHAR(50) NOT NULL DEFAULT 'public'");
+    await ensureColumn('users', 'phone_hash', 'CHAR(64)');
+    await ensureColumn('users', 'contact_discoverable', 'BOOLEAN DEFAULT TRUE');
+    await ensureColumn('trusted_devices', 'secret_hash', 'CHAR(64)');
+    await ensureIndex('users', 'idx_phone_hash', 'phone_hash');
+
+    // OTP codes are stored as hashes, widen the column and drop plaintext codes
+    const [otpCode] = await query(
+      `SELECT CHARACTER_MAXIMUM_LENGTH AS length FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'otp_codes' AND COLUMN_NAME = 'code'`
+    );
+    if (otpCode && otpCode.length < 64) {
+      await query('DELETE FROM otp_codes');
+      await query('ALTER TABLE otp_codes MODIFY code VARCHAR(64) NOT NULL');
+    }
+
+    // Security notifications were added to the notification types
+    const [notificationType] = await query(
+      `SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'notifications' AND COLUMN_NAME = 'type'`
+    );
+    if (notificationType && !notificationType.type.includes("'security'")) {
+      await query(
+        `ALTER TABLE notifications MODIFY type ENUM('friend_request', 'room_invite', 'room_join_request', 'game_invite', 'system', 'security') NOT NULL`
+      );
+    }
+
+    // Profile picture IDs grew to fit Cloudinary folders
+    const [picIdColumn] = await query(
+      `SELECT CHARACTER_MAXIMUM_LENGTH AS length FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'pic_id'`
+    );
+    if (picIdColumn && picIdColumn.length < 155) {
+      await query('ALTER TABLE users MODIFY pic_id VARCHAR(155)');
+    }
+
+    // Seed permissions and built-in roles
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await query(
+        'INSERT INTO permissions (name, description) VALUES (?, ?) ON DUPLICATE KEY UPDATE description = VALUES(description)',
+        [name, description]
+      );
+    }
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      await query(
+        'INSERT IGNORE INTO roles (id, name, description, is_system) VALUES (UUID(), ?, ?, TRUE)',
+        [name, role.description]
+      );
+      for (const permission of role.permissions) {
+        await query(
+          'INSERT IGNORE INTO role_permissions (role_id, permission) SELECT id, ? FROM roles WHERE name = ?',
+          [permission, name]
+        );
+      }
+    }
+
     logger.info('Database setup completed successfully');
   } catch (error) {
     logger.error(`Database setup error: ${error.message}`);
@@ -0,0 +1,134 @@
+// Legal drinking age by ISO 3166-1 country code
+// Where the age differs by drink or region the highest one is used. null means alcohol-related
+// content is not available in that country at all
+const LEGAL_DRINKING_AGES = {
+  AE: 21,
+  AR: 18,
+  AT: 18,
+  AU: 18,
+  BE: 18,
+  BR: 18,
+  CA: 19,
+  CH: 18,
+  CL: 18,
+  CN: 18,
+  CO: 18,
+  CZ: 18,
+  DE: 18,
+  DK: 18,
+  EG: 21,
+  ES: 18,
+  FI: 18,
+  FR: 18,
+  GB: 18,
+  GR: 18,
+  HK: 18,
+  HU: 18,
+  ID: 21,
+  IE: 18,
+  IL: 18,
+  IN: 25,
+  IR: null,
+  IT: 18,
+  JP: 20,
+  KE: 18,
+  KR: 19,
+  KW: null,
+  LK: 21,
+  MX: 18,
+  MY: 21,
+  NG: 18,
+  NL: 18,
+  NO: 18,
+  NZ: 18,
+  PE: 18,
+  PH: 18,
+  PK: 21,
+  PL: 18,
+  PT: 18,
+  QA: 21,
+  RU: 18,
+  SA: null,
+  SE: 20,
+  SG: 18,
+  TH: 20,
+  TR: 18,
+  TW: 18,
+  UA: 18,
+  US: 21,
+  VN: 18,
+  ZA: 18,
+};
+
+// Age used for countries missing from the table
+const DEFAULT_DRINKING_AGE = parseInt(process.env.DEFAULT_DRINKING_AGE) || 21;
+
+// Youngest age allowed to use the app at all
+const MINIMUM_ACCOUNT_AGE = parseInt(process.env.MINIMUM_ACCOUNT_AGE) || 13;
+
+// International calling codes, used to guess the country of a phone number
+// +1 covers several countries, so it maps to the strictest of them
+const CALLING_CODES = {
+  1: 'US',
+  7: 'RU',
+  20: 'EG',
+  27: 'ZA',
+  30: 'GR',
+  31: 'NL',
+  32: 'BE',
+  33: 'FR',
+  34: 'ES',
+  36: 'HU',
+  39: 'IT',
+  41: 'CH',
+  43: 'AT',
+  44: 'GB',
+  45: 'DK',
+  46: 'SE',
+  47: 'NO',
+  48: 'PL',
+  49: 'DE',
+  51: 'PE',
+  52: 'MX',
+  54: 'AR',
+  55: 'BR',
+  56: 'CL',
+  57: 'CO',
+  60: 'MY',
+  61: 'AU',
+  62: 'ID',
+  63: 'PH',
+  64: 'NZ',
+  65: 'SG',
+  66: 'TH',
+  81: 'JP',
+  82: 'KR',
+  84: 'VN',
+  86: 'CN',
+  90: 'TR',
+  91: 'IN',
+  92: 'PK',
+  94: 'LK',
+  98: 'IR',
+  234: 'NG',
+  254: 'KE',
+  351: 'PT',
+  353: 'IE',
+  358: 'FI',
+  380: 'UA',
+  420: 'CZ',
+  852: 'HK',
+  886: 'TW',
+  965: 'KW',
+  966: 'SA',
+  971: 'AE',
+  972: 'IL',
+  974: 'QA',
+};
+
+module.exports = {
+  LEGAL_DRINKING_AGES,
+  DEFAULT_DRINKING_AGE,
+  MINIMUM_ACCOUNT_AGE,
+  CALLING_CODES,
+};
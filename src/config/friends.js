@@ -0,0 +1,28 @@
+// Days a friend request stays pending before it expires
+const FRIEND_REQUEST_EXPIRY_DAYS = parseInt(process.env.FRIEND_REQUEST_EXPIRY_DAYS) || 30;
+
+// Days a user has to wait before sending another request to someone who rejected them
+const FRIEND_REQUEST_COOLDOWN_DAYS = parseInt(process.env.FRIEND_REQUEST_COOLDOWN_DAYS) || 14;
+
+// Most friend groups a user can have
+const MAX_FRIEND_GROUPS = parseInt(process.env.MAX_FRIEND_GROUPS) || 20;
+
+// Longest friend group name
+const MAX_FRIEND_GROUP_NAME_LENGTH = 50;
+
+// Most hashed phone numbers accepted in one contact matching request
+const MAX_CONTACT_HASHES = 1000;
+
+// Contact matching requests a user can make per window, so phone numbers can't be guessed in bulk
+const CONTACT_MATCH_LIMIT = parseInt(process.env.CONTACT_MATCH_LIMIT) || 10;
+const CONTACT_MATCH_WINDOW_SECONDS = parseInt(process.env.CONTACT_MATCH_WINDOW_SECONDS) || 3600;
+
+module.exports = {
+  FRIEND_REQUEST_EXPIRY_DAYS,
+  FRIEND_REQUEST_COOLDOWN_DAYS,
+  MAX_FRIEND_GROUPS,
+  MAX_FRIEND_GROUP_NAME_LENGTH,
+  MAX_CONTACT_HASHES,
+  CONTACT_MATCH_LIMIT,
+  CONTACT_MATCH_WINDOW_SECONDS,
+};
@@ -0,0 +1,40 @@
+// Who a profile field or piece of media can be shown to
+// Besides these, it can be limited to one of the user's friend groups with group:<group ID>
+const FIELD_VISIBILITY_LEVELS = ['public', 'friends', 'only_me'];
+const GROUP_VISIBILITY_PREFIX = 'group:';
+
+// Profile fields users choose the visibility of, with the visibility they start with
+const DEFAULT_FIELD_VISIBILITY = {
+  display_name: 'public',
+  pronouns: 'public',
+  social_links: 'public',
+  cover_picture: 'public',
+  favourite_games: 'public',
+};
+
+// Hosts each kind of social link may point to (subdomains included). null allows any host
+const SOCIAL_LINK_HOSTS = {
+  instagram: ['instagram.com'],
+  tiktok: ['tiktok.com'],
+  x: ['x.com', 'twitter.com'],
+  snapchat: ['snapchat.com'],
+  youtube: ['youtube.com', 'youtu.be'],
+  twitch: ['twitch.tv'],
+  spotify: ['spotify.com'],
+  website: null,
+};
+
+// Longest URL accepted for a social link
+const MAX_SOCIAL_LINK_LENGTH = 255;
+
+// Most games a user can pin to their profile
+const MAX_FAVOURITE_GAMES = 5;
+
+module.exports = {
+  FIELD_VISIBILITY_LEVELS,
+  GROUP_VISIBILITY_PREFIX,
+  DEFAULT_FIELD_VISIBILITY,
+  SOCIAL_LINK_HOSTS,
+  MAX_SOCIAL_LINK_LENGTH,
+  MAX_FAVOURITE_GAMES,
+};
@@ -0,0 +1,47 @@
+// Permissions that routes check with requirePermission
+const PERMISSIONS = {
+  'games.manage': 'Create, update and delete games',
+  'analytics.view': 'View and track analytics',
+  'users.moderate': 'Suspend and reinstate user accounts',
+  'roles.manage': 'Manage roles and assign them to users',
+  'service_accounts.manage': 'Manage service accounts and their API keys',
+  'audit.view': 'View audit logs',
+};
+
+// Built-in roles, seeded on startup. Admins can create more through /api/roles
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to every admin feature',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  moderator: {
+    description: 'Moderates user accounts',
+    permissions: ['users.moderate'],
+  },
+  'game-designer': {
+    description: 'Manages the game catalog',
+    permissions: ['games.manage'],
+  },
+  analyst: {
+    description: 'Views analytics',
+    permissions: ['analytics.view'],
+  },
+};
+
+// Scopes that can be granted to service account API keys
+const API_KEY_SCOPES = {
+  'games.read': 'Read games and game sessions',
+  'games.manage': PERMISSIONS['games.manage'],
+  'games.scores': 'Update player scores in game sessions',
+  'analytics.view': PERMISSIONS['analytics.view'],
+};
+
+// Role that users flagged with the legacy is_admin column are treated as holding
+const ADMIN_ROLE = 'admin';
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  API_KEY_SCOPES,
+  ADMIN_ROLE,
+};
@@ -5,6 +5,9 @@ const logger = require('./logger');
 // Import services
 let roomService;
 let notificationService;
+let authService;
+let privacyService;
+let presenceService;
 
 // Socket instance
 let io;
@@ -13,11 +16,19 @@ let io;
 const connectedUsers = new Map(); // userId -> Set of socket IDs
 const socketToUser = new Map(); // socketId -> userId
 
+// How long a user with no sockets left stays online, so reconnects and page reloads don't
+// reach their friends as offline and back online
+const OFFLINE_GRACE_MS = (parseInt(process.env.PRESENCE_OFFLINE_GRACE_SECONDS) || 10) * 1000;
+const pendingOffline = new Map(); // userId -> offline timer
+
 // Initialize socket.io server
 const initializeSocket = (server) => {
   // Lazy load services to avoid circular dependencies
   roomService = require('../services/roomService');
   notificationService = require('../services/notificationService');
+  authService = require('../services/authService');
+  privacyService = require('../services/privacyService');
+  presenceService = require('../services/presenceService');
 
   io = socketIo(server, {
     cors: {
@@ -38,7 +49,19 @@ const initializeSocket = (server) => {
 
       // Verify JWT token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Check that the token's session hasn't been logged out
+      const session = decoded.sid
+        ? await authService.getActiveSession(decoded.id, decoded.sid)
+        : null;
+
+      if (!session) {
+        return next(new Error('Authentication error: Session expired'));
+      }
+
       socket.userId = decoded.id;
+      socket.sessionId = session.id;
+      authService.touchSession(session.id);
 
       return next();
     } catch (error) {
@@ -50,6 +73,11 @@ const initializeSocket = (server) => {
   // Handle socket connections
   io.on('connection', (socket) => {
     const userId = socket.userId;
+    const wasOnline = isUserOnline(userId) || pendingOffline.has(userId);
+
+    // Cancel a pending offline status from a recent disconnect
+    clearTimeout(pendingOffline.get(userId));
+    pendingOffline.delete(userId);
 
     // Add to connected users map
     if (!connectedUsers.has(userId)) {
@@ -60,8 +88,10 @@ const initializeSocket = (server) => {
 
     logger.info(`User ${userId} connected with socket ${socket.id}`);
 
-    // Emit user online status to friends
-    emitUserStatus(userId, true);
+    // Emit user online status to friends, once across all of their connections
+    if (!wasOnline) {
+      emitUserStatus(userId, true);
+    }
 
     // Join personal room for direct messages
     socket.join(`user:${userId}`);
@@ -76,7 +106,7 @@ const initializeSocket = (server) => {
           socket.join(`room:${roomId}`);
 
           // Notify room participants about new user
-          socket.to(`room:${roomId}`).emit('user-joined', {
+          await emitParticipantEvent(roomId, userId, 'user-joined', {
             userId,
             roomId,
             timestamp: new Date(),
@@ -86,7 +116,7 @@ const initializeSocket = (server) => {
           await roomService.joinRoom(userId, roomId);
 
           // Get current room data and send to the user
-          const roomData = await roomService.getRoomDetails(roomId);
+          const roomData = await roomService.getRoomDetails(roomId, userId);
           socket.emit('room-data', roomData);
 
           logger.info(`User ${userId} joined room ${roomId}`);
@@ -110,7 +140,7 @@ const initializeSocket = (server) => {
         await roomService.leaveRoom(userId, roomId);
 
         // Notify room participants about user leaving
-        socket.to(`room:${roomId}`).emit('user-left', {
+        await emitParticipantEvent(roomId, userId, 'user-left', {
           userId,
           roomId,
           timestamp: new Date(),
@@ -247,8 +277,17 @@ const initializeSocket = (server) => {
           userSockets.delete(socket.id);
           if (userSockets.size === 0) {
             connectedUsers.delete(userId);
-            // Emit user offline status to friends
-            emitUserStatus(userId, false);
+
+            // Emit user offline status to friends unless they reconnect in time
+            pendingOffline.set(
+              userId,
+              setTimeout(() => {
+                pendingOffline.delete(userId);
+                if (!isUserOnline(userId)) {
+                  emitUserStatus(userId, false);
+                }
+              }, OFFLINE_GRACE_MS)
+            );
           }
         }
 
@@ -261,7 +300,7 @@ const initializeSocket = (server) => {
           await roomService.leaveRoom(userId, room.id);
 
           // Notify room participants
-          io.to(`room:${room.id}`).emit('user-left', {
+          await emitParticipantEvent(room.id, userId, 'user-left', {
             userId,
             roomId: room.id,
             timestamp: new Date(),
@@ -305,27 +344,94 @@ const emitToUser = (userId, event, data) => {
   return false;
 };
 
-// Emit user online/offline status to friends
+// Disconnect the live sockets of a revoked session
+const disconnectSession = (userId, sessionId, data = {}) => {
+  const userSockets = connectedUsers.get(userId);
+  if (!io || !userSockets) {
+    return 0;
+  }
+
+  let disconnected = 0;
+  for (const socketId of [...userSockets]) {
+    const userSocket = io.sockets.sockets.get(socketId);
+
+    if (userSocket && userSocket.sessionId === sessionId) {
+      userSocket.emit('session-revoked', {
+        sessionId,
+        ...data,
+        timestamp: new Date(),
+      });
+      userSocket.disconnect(true);
+      disconnected++;
+    }
+  }
+
+  return disconnected;
+};
+
+// Tell a room about one of its participants
+// Ghosts are only announced to the friends in the room
+const emitParticipantEvent = async (roomId, userId, event, data) => {
+  if (!(await privacyService.isGhost(userId))) {
+    getIO().to(`room:${roomId}`).except(`user:${userId}`).emit(event, data);
+    return;
+  }
+
+  const recipients = new Map(); // socketId -> userId
+  for (const socketId of getIO().sockets.adapter.rooms.get(`room:${roomId}`) || []) {
+    const roomSocket = getIO().sockets.sockets.get(socketId);
+    if (roomSocket && roomSocket.userId !== userId) {
+      recipients.set(socketId, roomSocket.userId);
+    }
+  }
+
+  const friendIds = await privacyService.getFriendIdSet(userId, [...new Set(recipients.values())]);
+  for (const [socketId, recipientId] of recipients) {
+    if (friendIds.has(recipientId)) {
+      getIO().to(socketId).emit(event, data);
+    }
+  }
+};
+
+// Emit user online/offline status to friends, along with what they are doing
 const emitUserStatus = async (userId, isOnline) => {
   try {
-    // TODO: Get user's friends from a service
-    // For now we'll leave this as a placeholder
-    // const friendIds = await friendService.getUserFriendIds(userId);
-    // for (const friendId of friendIds) {
-    //   emitToUser(friendId, 'friend-status-change', {
-    //     userId,
-    //     isOnline,
-    //     timestamp: new Date()
-    //   });
-    // }
+    // Ghosts never appear online
+    if (isOnline && (await privacyService.isGhost(userId))) {
+      return;
+    }
+
+    const presence = isOnline
+      ? await presenceService.getPresence(userId)
+      : { status: presenceService.OFFLINE, room: null, game: null };
+
+    const friendIds = await presenceService.getFriendIds(userId);
+    for (const friendId of friendIds) {
+      emitToUser(friendId, 'friend-status-change', {
+        userId,
+        isOnline: presence.status !== presenceService.OFFLINE,
+        ...presence,
+        timestamp: new Date(),
+      });
+    }
   } catch (error) {
     logger.error(`Error emitting user status: ${error.message}`);
   }
 };
 
+// Tell friends that an online user's activity changed (joined or left a room or game)
+const emitPresenceChange = (userId) => {
+  if (io && isUserOnline(userId)) {
+    emitUserStatus(userId, true);
+  }
+};
+
 module.exports = {
   initializeSocket,
   getIO,
   isUserOnline,
   emitToUser,
+  disconnectSession,
+  emitUserStatus,
+  emitPresenceChange,
 };
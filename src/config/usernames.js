@@ -0,0 +1,73 @@
+// Names nobody can register, because they could pass for staff or system accounts
+// Compared after normalising (lower case, look-alike digits replaced, underscores removed)
+const RESERVED_USERNAMES = [
+  'admin',
+  'administrator',
+  'api',
+  'booze',
+  'boozeapp',
+  'boozeofficial',
+  'boozesupport',
+  'boozeteam',
+  'help',
+  'helpdesk',
+  'info',
+  'mod',
+  'moderator',
+  'null',
+  'official',
+  'owner',
+  'root',
+  'security',
+  'staff',
+  'support',
+  'system',
+  'team',
+  'undefined',
+  'verified',
+];
+
+// Words no username may contain, compared after the same normalising
+const BLOCKED_USERNAME_WORDS = [
+  'asshole',
+  'bitch',
+  'cocksucker',
+  'cunt',
+  'faggot',
+  'fuck',
+  'motherfucker',
+  'nazi',
+  'nigga',
+  'nigger',
+  'paedophile',
+  'pedophile',
+  'rapist',
+  'retard',
+  'slut',
+  'whore',
+];
+
+// Digits commonly used in place of letters to get around the lists above
+const LOOKALIKE_CHARACTERS = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+};
+
+// Days a user has to wait between username changes
+const USERNAME_CHANGE_COOLDOWN_DAYS = parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30;
+
+// Days a former username stays held for its previous owner and redirects to their profile
+const USERNAME_HOLD_DAYS = parseInt(process.env.USERNAME_HOLD_DAYS) || 90;
+
+module.exports = {
+  RESERVED_USERNAMES,
+  BLOCKED_USERNAME_WORDS,
+  LOOKALIKE_CHARACTERS,
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  USERNAME_HOLD_DAYS,
+};
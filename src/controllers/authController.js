@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const { catchAsync, AppError } = require('../utils/errorHandler');
 const authService = require('../services/authService');
+const deviceService = require('../services/deviceService');
 const logger = require('../config/logger');
 
 /**
@@ -18,8 +19,11 @@ const requestOTP = catchAsync(async (req, res) => {
 
   const { phone } = req.body;
 
+  // Message locale - explicit choice first, then the Accept-Language header
+  const locale = req.body.locale || req.acceptsLanguages()[0];
+
   // Request OTP
-  const result = await authService.requestOTP(phone);
+  const result = await authService.requestOTP(phone, req.ip, locale);
 
   res.status(200).json({
     status: 'success',
@@ -45,8 +49,20 @@ const registerWithPhone = catchAsync(async (req, res) => {
 
   const { phone, otp } = req.body;
 
+  // Get device info
+  const deviceInfo = {
+    deviceName: req.body.device_name || 'Unknown Device',
+    deviceId: req.body.device_id || null,
+    // Proves the device is one the user trusted before
+    deviceSecret: req.body.device_secret || null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    // Links the new session to the accounts already signed in on this device
+    accountGroupId: await authService.resolveAccountGroup(req.body.link_token),
+  };
+
   // Register user
-  const result = await authService.registerWithPhone({ phone, otp });
+  const result = await authService.registerWithPhone({ phone, otp }, deviceInfo);
 
   res.status(201).json({
     status: 'success',
@@ -54,6 +70,7 @@ const registerWithPhone = catchAsync(async (req, res) => {
       user: result.user,
       token: result.token,
       refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
     },
     message: 'Registration successful',
   });
@@ -78,19 +95,50 @@ const loginWithPhone = catchAsync(async (req, res) => {
   const deviceInfo = {
     deviceName: req.body.device_name || 'Unknown Device',
     deviceId: req.body.device_id || null,
+    // Proves the device is one the user trusted before
+    deviceSecret: req.body.device_secret || null,
     ipAddress: req.ip,
     userAgent: req.headers['user-agent'],
+    // Links the new session to the accounts already signed in on this device
+    accountGroupId: await authService.resolveAccountGroup(req.body.link_token),
   };
 
   // Login user
   const result = await authService.loginWithPhone(phone, otp, deviceInfo);
 
+  // Waiting for a trusted device - the client polls /api/auth/devices/approval/complete
+  if (result.deviceApprovalRequired) {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        device_approval_required: true,
+        approval_token: result.approvalToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Approve this login from one of your trusted devices',
+    });
+  }
+
+  // Second step required - the client completes the login at /api/auth/2fa/verify
+  if (result.twoFactorRequired) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        two_factor_required: true,
+        challenge_token: result.challengeToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Two-factor authentication required',
+    });
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
       user: result.user,
       token: result.token,
       refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
     },
     message: 'Login successful',
   });
@@ -109,44 +157,339 @@ const loginWithSocial = catchAsync(async (req, res) => {
     });
   }
 
-  const { provider, provider_token, email, name } = req.body;
-
-  // Validate provider
-  if (!['google', 'apple'].includes(provider)) {
-    throw new AppError('Invalid provider', 400);
-  }
+  const { provider, provider_token } = req.body;
 
   // Get device info
   const deviceInfo = {
     deviceName: req.body.device_name || 'Unknown Device',
     deviceId: req.body.device_id || null,
+    // Proves the device is one the user trusted before
+    deviceSecret: req.body.device_secret || null,
     ipAddress: req.ip,
     userAgent: req.headers['user-agent'],
+    // Links the new session to the accounts already signed in on this device
+    accountGroupId: await authService.resolveAccountGroup(req.body.link_token),
   };
 
-  // Login with social provider
-  // This is a simplified version - in a real implementation you would verify the provider_token
-  // with Google or Apple to get the user ID and other details
+  // Login with social provider - the ID token is verified against the provider's keys
   const socialData = {
     provider,
-    providerId: req.body.provider_id, // This would be verified and obtained from provider_token
-    email,
-    name,
+    idToken: provider_token,
   };
 
   const result = await authService.loginWithSocial(socialData, deviceInfo);
 
+  // Waiting for a trusted device - the client polls /api/auth/devices/approval/complete
+  if (result.deviceApprovalRequired) {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        device_approval_required: true,
+        approval_token: result.approvalToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Approve this login from one of your trusted devices',
+    });
+  }
+
+  // Second step required - the client completes the login at /api/auth/2fa/verify
+  if (result.twoFactorRequired) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        two_factor_required: true,
+        challenge_token: result.challengeToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Two-factor authentication required',
+    });
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
       user: result.user,
       token: result.token,
       refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
     },
     message: 'Social login successful',
   });
 });
 
+/**
+ * Register with email and password
+ */
+const registerWithEmail = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { email, password } = req.body;
+
+  // Get device info
+  const deviceInfo = {
+    deviceName: req.body.device_name || 'Unknown Device',
+    deviceId: req.body.device_id || null,
+    // Proves the device is one the user trusted before
+    deviceSecret: req.body.device_secret || null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    // Links the new session to the accounts already signed in on this device
+    accountGroupId: await authService.resolveAccountGroup(req.body.link_token),
+  };
+
+  // Register user
+  const result = await authService.registerWithEmail({ email, password }, deviceInfo);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
+    },
+    message: 'Registration successful. Please check your email to verify your address.',
+  });
+});
+
+/**
+ * Login with email and password
+ */
+const loginWithEmail = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { email, password } = req.body;
+
+  // Get device info
+  const deviceInfo = {
+    deviceName: req.body.device_name || 'Unknown Device',
+    deviceId: req.body.device_id || null,
+    // Proves the device is one the user trusted before
+    deviceSecret: req.body.device_secret || null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    // Links the new session to the accounts already signed in on this device
+    accountGroupId: await authService.resolveAccountGroup(req.body.link_token),
+  };
+
+  // Login user
+  const result = await authService.loginWithEmail(email, password, deviceInfo);
+
+  // Waiting for a trusted device - the client polls /api/auth/devices/approval/complete
+  if (result.deviceApprovalRequired) {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        device_approval_required: true,
+        approval_token: result.approvalToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Approve this login from one of your trusted devices',
+    });
+  }
+
+  // Second step required - the client completes the login at /api/auth/2fa/verify
+  if (result.twoFactorRequired) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        two_factor_required: true,
+        challenge_token: result.challengeToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Two-factor authentication required',
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
+    },
+    message: 'Login successful',
+  });
+});
+
+/**
+ * Resend the verification email
+ */
+const requestEmailVerification = catchAsync(async (req, res) => {
+  await authService.requestEmailVerification(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent',
+  });
+});
+
+/**
+ * Verify email address
+ */
+const verifyEmail = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  await authService.verifyEmail(req.body.token);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email verified successfully',
+  });
+});
+
+/**
+ * Request a password reset link
+ */
+const requestPasswordReset = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  await authService.requestPasswordReset(req.body.email);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If an account exists for this email, a password reset link has been sent',
+  });
+});
+
+/**
+ * Reset password
+ */
+const resetPassword = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { token, password } = req.body;
+
+  await authService.resetPassword(token, password);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset successfully. Please log in again.',
+  });
+});
+
+/**
+ * Request a magic login link
+ */
+const requestMagicLink = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  await authService.requestMagicLink(req.body.email);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If an account exists for this email, a login link has been sent',
+  });
+});
+
+/**
+ * Login with a magic link
+ */
+const loginWithMagicLink = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  // Get device info
+  const deviceInfo = {
+    deviceName: req.body.device_name || 'Unknown Device',
+    deviceId: req.body.device_id || null,
+    // Proves the device is one the user trusted before
+    deviceSecret: req.body.device_secret || null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    // Links the new session to the accounts already signed in on this device
+    accountGroupId: await authService.resolveAccountGroup(req.body.link_token),
+  };
+
+  const result = await authService.loginWithMagicLink(req.body.token, deviceInfo);
+
+  // Waiting for a trusted device - the client polls /api/auth/devices/approval/complete
+  if (result.deviceApprovalRequired) {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        device_approval_required: true,
+        approval_token: result.approvalToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Approve this login from one of your trusted devices',
+    });
+  }
+
+  // Second step required - the client completes the login at /api/auth/2fa/verify
+  if (result.twoFactorRequired) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        two_factor_required: true,
+        challenge_token: result.challengeToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Two-factor authentication required',
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
+    },
+    message: 'Login successful',
+  });
+});
+
 /**
  * Refresh token
  */
@@ -181,7 +524,7 @@ const logout = catchAsync(async (req, res) => {
   const deviceId = req.body.device_id;
 
   // Logout user
-  await authService.logout(req.user.id, deviceId);
+  await authService.logout(req.user.id, req.user.sessionId, deviceId);
 
   res.status(200).json({
     status: 'success',
@@ -194,7 +537,7 @@ const logout = catchAsync(async (req, res) => {
  */
 const getLoginActivity = catchAsync(async (req, res) => {
   // Get login activity
-  const sessions = await authService.getLoginActivity(req.user.id);
+  const sessions = await authService.getLoginActivity(req.user.id, req.user.sessionId);
 
   res.status(200).json({
     status: 'success',
@@ -204,12 +547,407 @@ const getLoginActivity = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Revoke a session from the login activity screen
+ */
+const revokeSession = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { session_id } = req.params;
+
+  await authService.revokeSession(req.user.id, session_id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session logged out successfully',
+  });
+});
+
+/**
+ * Log out all other devices
+ */
+const revokeOtherSessions = catchAsync(async (req, res) => {
+  const count = await authService.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revoked_count: count,
+    },
+    message: 'Logged out of all other devices',
+  });
+});
+
+/**
+ * Get the accounts signed in on this device
+ */
+const getLinkedAccounts = catchAsync(async (req, res) => {
+  const accounts = await authService.getLinkedAccounts(req.user.id, req.user.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      accounts,
+    },
+  });
+});
+
+/**
+ * Switch to another account signed in on this device
+ */
+const switchAccount = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await authService.switchAccount(req.user.id, req.user.sessionId, req.body.user_id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refreshToken,
+    },
+    message: 'Switched account successfully',
+  });
+});
+
+/**
+ * Complete a login with a two-factor code
+ */
+const verifyTwoFactorLogin = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { challenge_token, code } = req.body;
+
+  const result = await authService.verifyTwoFactorLogin(challenge_token, code, {
+    deviceSecret: req.body.device_secret || null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  // Waiting for a trusted device - the client polls /api/auth/devices/approval/complete
+  if (result.deviceApprovalRequired) {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        device_approval_required: true,
+        approval_token: result.approvalToken,
+        expires_in: result.expiresIn,
+      },
+      message: 'Approve this login from one of your trusted devices',
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
+      recovery_codes_remaining: result.recoveryCodesRemaining,
+    },
+    message:
+      result.method === 'recovery_code'
+        ? 'Login successful. A recovery code was used and cannot be used again.'
+        : 'Login successful',
+  });
+});
+
+/**
+ * Get two-factor status
+ */
+const getTwoFactorStatus = catchAsync(async (req, res) => {
+  const twoFactor = await authService.getTwoFactorStatus(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      two_factor: twoFactor,
+    },
+  });
+});
+
+/**
+ * Start two-factor enrollment
+ */
+const setupTwoFactor = catchAsync(async (req, res) => {
+  const result = await authService.setupTwoFactor(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret: result.secret,
+      otpauth_url: result.otpauthUrl,
+    },
+    message: 'Scan the code with your authenticator app, then confirm with a code from the app',
+  });
+});
+
+/**
+ * Confirm two-factor enrollment
+ */
+const enableTwoFactor = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const recoveryCodes = await authService.enableTwoFactor(
+    req.user.id,
+    req.user.sessionId,
+    req.body.code
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recovery_codes: recoveryCodes,
+    },
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+  });
+});
+
+/**
+ * Turn off two-factor authentication
+ */
+const disableTwoFactor = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  await authService.disableTwoFactor(req.user.id, req.body.code);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * Replace two-factor recovery codes
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const recoveryCodes = await authService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recovery_codes: recoveryCodes,
+    },
+    message: 'New recovery codes generated. Your old codes no longer work.',
+  });
+});
+
+/**
+ * Finish a login once a trusted device has approved it
+ */
+const completeDeviceApproval = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await authService.completeDeviceApproval(req.body.approval_token);
+
+  if (result.pending) {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        device_approval_required: true,
+      },
+      message: 'Still waiting for approval from a trusted device',
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refreshToken,
+      device_secret: result.deviceSecret,
+    },
+    message: 'Login successful',
+  });
+});
+
+/**
+ * Get trusted devices
+ */
+const getTrustedDevices = catchAsync(async (req, res) => {
+  const result = await deviceService.getTrustedDevices(req.user.id, req.user.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
+
+/**
+ * Remove a trusted device
+ */
+const removeTrustedDevice = catchAsync(async (req, res) => {
+  await deviceService.removeTrustedDevice(req.user.id, req.params.device_id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Device removed and logged out',
+  });
+});
+
+/**
+ * Turn new-device approval on or off
+ */
+const setDeviceApprovalRequired = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const enabled = await deviceService.setDeviceApprovalRequired(
+    req.user.id,
+    req.user.sessionId,
+    req.body.enabled === true || req.body.enabled === 'true'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      require_device_approval: enabled,
+    },
+    message: enabled
+      ? 'New devices now need approval from a trusted device'
+      : 'New devices no longer need approval',
+  });
+});
+
+/**
+ * Get pending device approval requests
+ */
+const getDeviceApprovalRequests = catchAsync(async (req, res) => {
+  const requests = await deviceService.getPendingApprovalRequests(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      requests,
+    },
+  });
+});
+
+/**
+ * Approve a login from a new device
+ */
+const approveDeviceRequest = catchAsync(async (req, res) => {
+  await deviceService.respondToApprovalRequest(
+    req.user.id,
+    req.user.sessionId,
+    req.params.request_id,
+    true
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Device approved',
+  });
+});
+
+/**
+ * Deny a login from a new device
+ */
+const denyDeviceRequest = catchAsync(async (req, res) => {
+  await deviceService.respondToApprovalRequest(
+    req.user.id,
+    req.user.sessionId,
+    req.params.request_id,
+    false
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Device denied',
+  });
+});
+
 module.exports = {
   requestOTP,
   registerWithPhone,
   loginWithPhone,
   loginWithSocial,
+  registerWithEmail,
+  loginWithEmail,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  requestMagicLink,
+  loginWithMagicLink,
   refreshToken,
   logout,
   getLoginActivity,
+  revokeSession,
+  revokeOtherSessions,
+  getLinkedAccounts,
+  switchAccount,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  completeDeviceApproval,
+  getTrustedDevices,
+  removeTrustedDevice,
+  setDeviceApprovalRequired,
+  getDeviceApprovalRequests,
+  approveDeviceRequest,
+  denyDeviceRequest,
 };
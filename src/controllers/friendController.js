@@ -1,6 +1,9 @@
 const { validationResult } = require('express-validator');
 const { catchAsync, AppError } = require('../utils/errorHandler');
 const friendService = require('../services/friendService');
+const presenceService = require('../services/presenceService');
+const friendGroupService = require('../services/friendGroupService');
+const contactService = require('../services/contactService');
 const logger = require('../config/logger');
 
 /**
@@ -63,6 +66,20 @@ const rejectFriendRequest = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Cancel a sent friend request
+ */
+const cancelFriendRequest = catchAsync(async (req, res) => {
+  const { request_id } = req.params;
+
+  await friendService.cancelFriendRequest(request_id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Friend request cancelled',
+  });
+});
+
 /**
  * Block user
  */
@@ -137,6 +154,21 @@ const getFriends = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get friends who are online, with the room or game they are in
+ */
+const getOnlineFriends = catchAsync(async (req, res) => {
+  const friends = await presenceService.getOnlineFriends(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      friends,
+      count: friends.length,
+    },
+  });
+});
+
 /**
  * Get pending friend requests
  */
@@ -152,6 +184,21 @@ const getPendingRequests = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get friend requests the user has sent
+ */
+const getSentRequests = catchAsync(async (req, res) => {
+  const requests = await friendService.getSentFriendRequests(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      requests,
+      count: requests.length,
+    },
+  });
+});
+
 /**
  * Get friend suggestions
  */
@@ -185,15 +232,202 @@ const getFriendshipStatus = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get the user's friend groups
+ */
+const getFriendGroups = catchAsync(async (req, res) => {
+  const groups = await friendGroupService.getGroups(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      groups,
+      count: groups.length,
+    },
+  });
+});
+
+/**
+ * Create a friend group
+ */
+const createFriendGroup = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, member_ids } = req.body;
+
+  const group = await friendGroupService.createGroup(req.user.id, name, member_ids);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      group,
+    },
+    message: 'Friend group created successfully',
+  });
+});
+
+/**
+ * Get a friend group with its members
+ */
+const getFriendGroup = catchAsync(async (req, res) => {
+  const { group_id } = req.params;
+
+  const group = await friendGroupService.getGroup(group_id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+    },
+  });
+});
+
+/**
+ * Rename a friend group
+ */
+const renameFriendGroup = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { group_id } = req.params;
+
+  const group = await friendGroupService.renameGroup(group_id, req.user.id, req.body.name);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+    },
+    message: 'Friend group renamed successfully',
+  });
+});
+
+/**
+ * Delete a friend group
+ */
+const deleteFriendGroup = catchAsync(async (req, res) => {
+  const { group_id } = req.params;
+
+  await friendGroupService.deleteGroup(group_id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Friend group deleted successfully',
+  });
+});
+
+/**
+ * Add friends to a friend group
+ */
+const addFriendGroupMembers = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { group_id } = req.params;
+
+  const group = await friendGroupService.addMembers(group_id, req.user.id, req.body.user_ids);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+    },
+    message: 'Friends added to group successfully',
+  });
+});
+
+/**
+ * Remove a friend from a friend group
+ */
+const removeFriendGroupMember = catchAsync(async (req, res) => {
+  const { group_id, user_id } = req.params;
+
+  await friendGroupService.removeMember(group_id, req.user.id, user_id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Friend removed from group successfully',
+  });
+});
+
+/**
+ * Get how to hash phone numbers for contact matching
+ */
+const getContactHashingScheme = catchAsync(async (req, res) => {
+  const scheme = contactService.getHashingScheme();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      scheme,
+    },
+  });
+});
+
+/**
+ * Find users from hashed address book phone numbers
+ */
+const matchContacts = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const matches = await contactService.matchContacts(req.user.id, req.body.hashes);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      matches,
+      count: matches.length,
+    },
+  });
+});
+
 module.exports = {
   sendFriendRequest,
   acceptFriendRequest,
   rejectFriendRequest,
+  cancelFriendRequest,
   blockUser,
   unblockUser,
   removeFriend,
   getFriends,
+  getOnlineFriends,
   getPendingRequests,
+  getSentRequests,
   getFriendSuggestions,
   getFriendshipStatus,
+  getFriendGroups,
+  createFriendGroup,
+  getFriendGroup,
+  renameFriendGroup,
+  deleteFriendGroup,
+  addFriendGroupMembers,
+  removeFriendGroupMember,
+  getContactHashingScheme,
+  matchContacts,
 };
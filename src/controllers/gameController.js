@@ -293,7 +293,17 @@ const inviteToGame = catchAsync(async (req, res) => {
   }
 
   const { session_id } = req.params;
-  const { user_id } = req.body;
+  const { user_id, group_id } = req.body;
+
+  if (group_id) {
+    const result = await gameService.inviteGroupToGame(session_id, req.user.id, group_id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: result,
+      message: `Game invitation sent to ${result.invited.length} friends`,
+    });
+  }
 
   await gameService.inviteToGame(session_id, req.user.id, user_id);
 
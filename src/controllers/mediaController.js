@@ -20,7 +20,7 @@ const storeMedia = catchAsync(async (req, res) => {
     });
   }
 
-  const { room_id } = req.body;
+  const { room_id, visibility } = req.body;
   const { type } = req.query;
 
   const mediaData = {
@@ -28,6 +28,7 @@ const storeMedia = catchAsync(async (req, res) => {
     roomId: room_id,
     type,
     file: req.file,
+    visibility,
   };
 
   const media = await mediaService.storeMedia(mediaData);
@@ -71,7 +72,7 @@ const getRoomMediaRecords = catchAsync(async (req, res) => {
   const limit = parseInt(req.query.limit) || 20;
   const offset = parseInt(req.query.offset) || 0;
 
-  const records = await mediaService.getRoomMediaRecords(room_id, type, limit, offset);
+  const records = await mediaService.getRoomMediaRecords(room_id, type, limit, offset, req.user.id);
 
   res.status(200).json({
     status: 'success',
@@ -84,6 +85,36 @@ const getRoomMediaRecords = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Change who can see a media record
+ */
+const updateMediaVisibility = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { media_id } = req.params;
+
+  const media = await mediaService.updateMediaVisibility(
+    media_id,
+    req.user.id,
+    req.body.visibility
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      media,
+    },
+    message: 'Media visibility updated successfully',
+  });
+});
+
 /**
  * Delete media record
  */
@@ -102,5 +133,6 @@ module.exports = {
   storeMedia,
   getUserMediaRecords,
   getRoomMediaRecords,
+  updateMediaVisibility,
   deleteMedia,
 };
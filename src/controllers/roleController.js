@@ -0,0 +1,184 @@
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../utils/errorHandler');
+const roleService = require('../services/roleService');
+
+/**
+ * Get all roles
+ */
+const getRoles = catchAsync(async (req, res) => {
+  const roles = await roleService.getRoles();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roles,
+    },
+  });
+});
+
+/**
+ * Get all permissions
+ */
+const getPermissions = catchAsync(async (req, res) => {
+  const permissions = await roleService.getPermissions();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      permissions,
+    },
+  });
+});
+
+/**
+ * Create role
+ */
+const createRole = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, description, permissions } = req.body;
+
+  const role = await roleService.createRole({ name, description, permissions });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      role,
+    },
+    message: 'Role created successfully',
+  });
+});
+
+/**
+ * Update role
+ */
+const updateRole = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { description, permissions } = req.body;
+
+  const role = await roleService.updateRole(req.params.role_id, { description, permissions });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      role,
+    },
+    message: 'Role updated successfully',
+  });
+});
+
+/**
+ * Delete role
+ */
+const deleteRole = catchAsync(async (req, res) => {
+  await roleService.deleteRole(req.params.role_id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role deleted successfully',
+  });
+});
+
+/**
+ * Get the current user's roles and permissions
+ */
+const getMyRoles = catchAsync(async (req, res) => {
+  const result = await roleService.getUserRoles(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
+
+/**
+ * Get a user's roles and permissions
+ */
+const getUserRoles = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await roleService.getUserRoles(req.params.user_id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
+
+/**
+ * Assign a role to a user
+ */
+const assignRole = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await roleService.assignRole(req.params.user_id, req.body.role_id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+    message: 'Role assigned successfully',
+  });
+});
+
+/**
+ * Remove a role from a user
+ */
+const removeRole = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await roleService.removeRole(req.params.user_id, req.params.role_id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+    message: 'Role removed successfully',
+  });
+});
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+  getMyRoles,
+  getUserRoles,
+  assignRole,
+  removeRole,
+};
@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const { catchAsync, AppError } = require('../utils/errorHandler');
 const roomService = require('../services/roomService');
+const ageService = require('../services/ageService');
 const logger = require('../config/logger');
 
 /**
@@ -19,6 +20,7 @@ const createRoom = catchAsync(async (req, res) => {
   const roomData = {
     name: req.body.name,
     type: req.body.type,
+    isAlcoholRelated: req.body.is_alcohol_related,
     hostId: req.user.id,
   };
 
@@ -39,7 +41,7 @@ const createRoom = catchAsync(async (req, res) => {
 const getRoomDetails = catchAsync(async (req, res) => {
   const { room_id } = req.params;
 
-  const room = await roomService.getRoomDetails(room_id);
+  const room = await roomService.getRoomDetails(room_id, req.user.id);
 
   res.status(200).json({
     status: 'success',
@@ -68,6 +70,7 @@ const updateRoom = catchAsync(async (req, res) => {
     name: req.body.name,
     type: req.body.type,
     is_locked: req.body.is_locked,
+    is_alcohol_related: req.body.is_alcohol_related,
   };
 
   // Remove undefined fields
@@ -122,6 +125,7 @@ const leaveRoom = catchAsync(async (req, res) => {
 const getPublicRooms = catchAsync(async (req, res) => {
   const filters = {
     name: req.query.name,
+    alcoholAllowed: await ageService.canAccessAlcohol(req.user.id),
   };
 
   const limit = parseInt(req.query.limit) || 20;
@@ -216,6 +220,40 @@ const getPendingJoinRequests = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Invite a friend or a friend group to a room
+ */
+const inviteToRoom = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { room_id } = req.params;
+  const { user_id, group_id } = req.body;
+
+  if (group_id) {
+    const result = await roomService.inviteGroupToRoom(room_id, req.user.id, group_id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: result,
+      message: `Room invitation sent to ${result.invited.length} friends`,
+    });
+  }
+
+  await roomService.inviteToRoom(room_id, req.user.id, user_id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Room invitation sent successfully',
+  });
+});
+
 module.exports = {
   createRoom,
   getRoomDetails,
@@ -227,4 +265,5 @@ module.exports = {
   requestJoinRoom,
   respondToJoinRequest,
   getPendingJoinRequests,
+  inviteToRoom,
 };
@@ -0,0 +1,250 @@
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../utils/errorHandler');
+const serviceAccountService = require('../services/serviceAccountService');
+const auditService = require('../services/auditService');
+
+/**
+ * Get all service accounts
+ */
+const getServiceAccounts = catchAsync(async (req, res) => {
+  const serviceAccounts = await serviceAccountService.getServiceAccounts();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      service_accounts: serviceAccounts,
+    },
+  });
+});
+
+/**
+ * Get service account with its API keys
+ */
+const getServiceAccountById = catchAsync(async (req, res) => {
+  const serviceAccount = await serviceAccountService.getServiceAccountById(
+    req.params.service_account_id
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      service_account: serviceAccount,
+    },
+  });
+});
+
+/**
+ * Create service account
+ */
+const createServiceAccount = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, description } = req.body;
+
+  const serviceAccount = await serviceAccountService.createServiceAccount(
+    { name, description },
+    req.user.id
+  );
+
+  await auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'service_account.create',
+    targetType: 'service_account',
+    targetId: serviceAccount.id,
+    metadata: { name },
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      service_account: serviceAccount,
+    },
+    message: 'Service account created successfully',
+  });
+});
+
+/**
+ * Update service account
+ */
+const updateServiceAccount = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { description, is_active } = req.body;
+
+  const serviceAccount = await serviceAccountService.updateServiceAccount(
+    req.params.service_account_id,
+    { description, is_active }
+  );
+
+  await auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'service_account.update',
+    targetType: 'service_account',
+    targetId: serviceAccount.id,
+    metadata: { description, is_active },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      service_account: serviceAccount,
+    },
+    message: 'Service account updated successfully',
+  });
+});
+
+/**
+ * Delete service account and all of its API keys
+ */
+const deleteServiceAccount = catchAsync(async (req, res) => {
+  const { service_account_id } = req.params;
+
+  await serviceAccountService.deleteServiceAccount(service_account_id);
+
+  await auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'service_account.delete',
+    targetType: 'service_account',
+    targetId: service_account_id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Service account deleted successfully',
+  });
+});
+
+/**
+ * Create API key - the plaintext key is only returned here
+ */
+const createApiKey = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { service_account_id } = req.params;
+  const { name, scopes, expires_in_days, rate_limit } = req.body;
+
+  const apiKey = await serviceAccountService.createApiKey(
+    service_account_id,
+    {
+      name,
+      scopes,
+      expiresInDays: expires_in_days ? parseInt(expires_in_days) : null,
+      rateLimit: rate_limit ? parseInt(rate_limit) : null,
+    },
+    req.user.id
+  );
+
+  await auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'api_key.create',
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    metadata: { service_account_id, scopes: apiKey.scopes, expires_at: apiKey.expires_at },
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      api_key: apiKey,
+    },
+    message: 'API key created. Store it now, it will not be shown again',
+  });
+});
+
+/**
+ * Rotate API key - the old key keeps working for the grace period
+ */
+const rotateApiKey = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const { service_account_id, key_id } = req.params;
+  const gracePeriodSeconds = parseInt(req.body.grace_period_seconds) || 0;
+
+  const apiKey = await serviceAccountService.rotateApiKey(
+    service_account_id,
+    key_id,
+    gracePeriodSeconds,
+    req.user.id
+  );
+
+  await auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'api_key.rotate',
+    targetType: 'api_key',
+    targetId: key_id,
+    metadata: {
+      service_account_id,
+      replacement_key_id: apiKey.id,
+      grace_period_seconds: gracePeriodSeconds,
+    },
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      api_key: apiKey,
+    },
+    message: 'API key rotated. Store the new key now, it will not be shown again',
+  });
+});
+
+/**
+ * Revoke API key
+ */
+const revokeApiKey = catchAsync(async (req, res) => {
+  const { service_account_id, key_id } = req.params;
+
+  await serviceAccountService.revokeApiKey(service_account_id, key_id);
+
+  await auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'api_key.revoke',
+    targetType: 'api_key',
+    targetId: key_id,
+    metadata: { service_account_id },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'API key revoked successfully',
+  });
+});
+
+module.exports = {
+  getServiceAccounts,
+  getServiceAccountById,
+  createServiceAccount,
+  updateServiceAccount,
+  deleteServiceAccount,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
@@ -1,8 +1,13 @@
 const { validationResult } = require('express-validator');
 const { catchAsync, AppError } = require('../utils/errorHandler');
+const archiver = require('archiver');
 const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+const ageService = require('../services/ageService');
+const onboardingService = require('../services/onboardingService');
+const imageService = require('../services/imageService');
+const contactService = require('../services/contactService');
 const logger = require('../config/logger');
-const { uploadMediaToCloudinary } = require('../middleware/cloudinary');
 
 /**
  * Get user profile
@@ -24,7 +29,13 @@ const getProfile = catchAsync(async (req, res) => {
 const getUserByUsername = catchAsync(async (req, res) => {
   const { username } = req.params;
 
-  const user = await userService.getUserByUsername(username);
+  // Recent former usernames point to the profile under its current name, when the viewer may see it
+  const currentUsername = await userService.getRenamedUsername(username, req.user.id);
+  if (currentUsername) {
+    return res.redirect(302, `${req.baseUrl}/${encodeURIComponent(currentUsername)}`);
+  }
+
+  const user = await userService.getUserByUsername(username, req.user.id);
 
   res.status(200).json({
     status: 'success',
@@ -44,13 +55,14 @@ const checkUsername = catchAsync(async (req, res) => {
     throw new AppError('Username is required', 400);
   }
 
-  const isAvailable = await userService.isUsernameAvailable(username);
+  const { available, reason } = await userService.getUsernameAvailability(username, req.user.id);
 
   res.status(200).json({
     status: 'success',
     data: {
       username,
-      available: isAvailable,
+      available,
+      reason,
     },
   });
 });
@@ -70,10 +82,14 @@ const updateProfile = catchAsync(async (req, res) => {
 
   const updateData = {
     username: req.body.username,
+    display_name: req.body.display_name,
+    pronouns: req.body.pronouns,
     bio: req.body.bio,
+    social_links: req.body.social_links,
     interests: req.body.interests,
     vibe_preference: req.body.vibe_preference,
     mode_preference: req.body.mode_preference,
+    field_visibility: req.body.field_visibility,
     email: req.body.email,
   };
 
@@ -95,25 +111,101 @@ const updateProfile = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Make an approved image the user's profile or cover picture
+ * @param {string} userId - User ID
+ * @param {string} purpose - profile_picture or cover_picture
+ * @param {Array<Object>} variants - Uploaded sizes (name, url, public_id), largest first
+ * @returns {Promise<Object>} - Updated user object
+ */
+const applyImage = (userId, purpose, variants) => {
+  if (purpose === 'cover_picture') {
+    return userService.uploadCoverPicture(userId, variants[0].public_id, variants[0].url);
+  }
+
+  return userService.uploadProfilePicture(userId, variants);
+};
+
+/**
+ * Process an uploaded image and use it once it passes moderation
+ * @param {Object} req - Request with the uploaded file
+ * @param {Object} res - Response
+ * @param {string} purpose - profile_picture or cover_picture
+ * @param {string} message - Message when the picture is updated
+ */
+const handleImageUpload = async (req, res, purpose, message) => {
+  const result = await imageService.processUpload(req.user.id, req.file, purpose, req.ip);
+
+  if (result.status === 'quarantined') {
+    return res.status(202).json({
+      status: 'success',
+      data: {
+        review: result.review,
+      },
+      message: 'Your picture is being reviewed and will appear once it is approved',
+    });
+  }
+
+  const updatedUser = await applyImage(req.user.id, purpose, result.variants);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: updatedUser,
+    },
+    message,
+  });
+};
+
 /**
  * Upload profile picture
  */
 const uploadProfilePicture = catchAsync(async (req, res) => {
-  if (!req.file) {
-    throw new AppError('No file uploaded', 400);
-  }
+  await handleImageUpload(req, res, 'profile_picture', 'Profile picture uploaded successfully');
+});
 
-  const result = await uploadMediaToCloudinary(req.file);
-  const { public_id, url } = result;
+/**
+ * Upload cover picture
+ */
+const uploadCoverPicture = catchAsync(async (req, res) => {
+  await handleImageUpload(req, res, 'cover_picture', 'Cover picture uploaded successfully');
+});
 
-  const updatedUser = await userService.uploadProfilePicture(req.user.id, public_id, url);
+/**
+ * Remove cover picture
+ */
+const removeCoverPicture = catchAsync(async (req, res) => {
+  const updatedUser = await userService.removeCoverPicture(req.user.id);
 
   res.status(200).json({
     status: 'success',
     data: {
       user: updatedUser,
     },
-    message: 'Profile picture uploaded successfully',
+    message: 'Cover picture removed successfully',
+  });
+});
+
+/**
+ * Set favourite games pinned to the profile
+ */
+const setFavouriteGames = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const favouriteGames = await userService.setFavouriteGames(req.user.id, req.body.game_ids);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      favourite_games: favouriteGames,
+    },
+    message: 'Favourite games updated successfully',
   });
 });
 
@@ -159,14 +251,174 @@ const updateAccountStatus = catchAsync(async (req, res) => {
 });
 
 /**
- * Delete account
+ * Delete account - erased after the grace period unless the user logs back in
  */
 const deleteAccount = catchAsync(async (req, res) => {
-  await userService.deleteAccount(req.user.id);
+  const deletionScheduledFor = await userService.deleteAccount(req.user.id);
+
+  auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'user.delete',
+    targetType: 'user',
+    targetId: req.user.id,
+    metadata: { deletion_scheduled_for: deletionScheduledFor },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      deletion_scheduled_for: deletionScheduledFor,
+    },
+    message: 'Account scheduled for deletion. Log in again before then to cancel.',
+  });
+});
+
+/**
+ * Export all of the user's data as a ZIP of JSON files
+ */
+const exportData = catchAsync(async (req, res) => {
+  const data = await userService.getDataExport(req.user.id);
+
+  auditService.record({
+    ...auditService.actorFromRequest(req),
+    action: 'user.export',
+    targetType: 'user',
+    targetId: req.user.id,
+  });
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    logger.error(`Data export archive error: ${error.message}`);
+    res.destroy(error);
+  });
+
+  res.attachment(`booze-data-export-${new Date().toISOString().slice(0, 10)}.zip`);
+  archive.pipe(res);
+
+  for (const [section, content] of Object.entries(data)) {
+    archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+  }
+
+  await archive.finalize();
+});
+
+/**
+ * Get age verification status
+ */
+const getAgeStatus = catchAsync(async (req, res) => {
+  const age = await ageService.getAgeStatus(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      age,
+    },
+  });
+});
+
+/**
+ * Confirm date of birth
+ */
+const attestAge = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const age = await ageService.attestAge(
+    req.user.id,
+    {
+      dateOfBirth: req.body.date_of_birth,
+      countryCode: req.body.country_code,
+    },
+    req.ip
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      age,
+    },
+    message: 'Date of birth confirmed',
+  });
+});
+
+/**
+ * Get onboarding progress
+ */
+const getOnboarding = catchAsync(async (req, res) => {
+  const onboarding = await onboardingService.getOnboardingState(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      onboarding,
+    },
+  });
+});
+
+/**
+ * Skip optional onboarding step
+ */
+const skipOnboardingStep = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const onboarding = await onboardingService.skipStep(req.user.id, req.body.step);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      onboarding,
+    },
+    message: 'Onboarding step skipped',
+  });
+});
+
+/**
+ * Get whether the user can be found from other people's contacts
+ */
+const getContactDiscovery = catchAsync(async (req, res) => {
+  const discoverable = await contactService.getContactDiscovery(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      discoverable,
+    },
+  });
+});
+
+/**
+ * Opt in to or out of being found from other people's contacts
+ */
+const updateContactDiscovery = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const discoverable = await contactService.setContactDiscovery(req.user.id, req.body.discoverable);
 
   res.status(200).json({
     status: 'success',
-    message: 'Account deleted successfully',
+    data: {
+      discoverable,
+    },
+    message: discoverable
+      ? 'People who have your phone number can now find you'
+      : 'People can no longer find you from their contacts',
   });
 });
 
@@ -174,18 +426,24 @@ const deleteAccount = catchAsync(async (req, res) => {
  * Search users
  */
 const searchUsers = catchAsync(async (req, res) => {
-  const { q, limit = 10 } = req.query;
-  const q_limit = parseInt(limit) || 10;
-
-  if (!q) {
-    throw new AppError('Search query is required', 400);
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
   }
-  const users = await userService.searchUsers(q, q_limit);
+
+  const { q, cursor } = req.query;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const { users, next_cursor } = await userService.searchUsers(q, req.user.id, { limit, cursor });
 
   res.status(200).json({
     status: 'success',
     data: {
       users,
+      next_cursor,
     },
   });
 });
@@ -218,15 +476,152 @@ const markUserAsAdmin = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Suspend user
+ */
+const suspendUser = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const user = await userService.suspendUser(
+    req.params.userId,
+    req.body.reason,
+    req.user.id,
+    req.ip
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+    message: 'User suspended successfully',
+  });
+});
+
+/**
+ * Reinstate suspended user
+ */
+const reinstateUser = catchAsync(async (req, res) => {
+  // Validate input
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const user = await userService.reinstateUser(
+    req.params.userId,
+    req.body.reason,
+    req.user.id,
+    req.ip
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+    message: 'User reinstated successfully',
+  });
+});
+
+/**
+ * Get images held for moderation
+ */
+const getQuarantinedImages = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const images = await imageService.getQuarantinedImages(limit, offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      images,
+    },
+  });
+});
+
+/**
+ * Approve or reject an image held for moderation
+ */
+const reviewQuarantinedImage = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array(),
+    });
+  }
+
+  const image = await imageService.reviewQuarantinedImage(
+    req.params.image_id,
+    req.body.decision,
+    req.user.id
+  );
+
+  // Don't replace a picture the user changed after uploading this one
+  if (image.status === 'approved' && !image.superseded) {
+    await applyImage(image.user_id, image.purpose, image.variants);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      image: {
+        id: image.id,
+        user_id: image.user_id,
+        purpose: image.purpose,
+        status: image.status,
+        superseded: image.superseded,
+      },
+    },
+    message: image.superseded
+      ? `Image ${image.status}, but the user has changed their picture since so it was not used`
+      : `Image ${image.status}`,
+  });
+});
+
 module.exports = {
+  getContactDiscovery,
+  updateContactDiscovery,
   getProfile,
   getUserByUsername,
   checkUsername,
   updateProfile,
   uploadProfilePicture,
+  uploadCoverPicture,
+  removeCoverPicture,
+  setFavouriteGames,
   generateAIAvatar,
   updateAccountStatus,
   deleteAccount,
+  exportData,
+  getAgeStatus,
+  attestAge,
+  getOnboarding,
+  skipOnboardingStep,
   searchUsers,
   markUserAsAdmin,
+  suspendUser,
+  reinstateUser,
+  getQuarantinedImages,
+  reviewQuarantinedImage,
 };
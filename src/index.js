@@ -11,6 +11,7 @@ const path = require('path');
 const logger = require('./config/logger');
 const db = require('./config/database');
 const socket = require('./config/socket');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -21,6 +22,9 @@ const gameRoutes = require('./routes/gameRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const mediaRoutes = require('./routes/mediaRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const serviceAccountRoutes = require('./routes/serviceAccountRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 
 // Initialize Express app
 const app = express();
@@ -67,6 +71,9 @@ app.use('/api/games', gameRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/media', mediaRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/audit-logs', auditRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -90,9 +97,15 @@ app.use((err, req, res, next) => {
   logger.error(`${err.name}: ${err.message}`);
   logger.error(err.stack);
 
+  // Tell throttled clients when they may retry
+  if (err.details && err.details.retry_after) {
+    res.set('Retry-After', String(err.details.retry_after));
+  }
+
   res.status(err.statusCode || 500).json({
     status: 'error',
     message: err.message || 'Internal Server Error',
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 });
@@ -111,6 +124,9 @@ const startServer = async () => {
     // Setup database tables
     await db.setupDatabase();
 
+    // Start background jobs
+    startJobs();
+
     // Start listening for requests
     server.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -0,0 +1,79 @@
+const logger = require('../config/logger');
+const userService = require('../services/userService');
+const friendService = require('../services/friendService');
+const contactService = require('../services/contactService');
+
+// Background jobs, run on an interval in every API process
+// Each job must be safe to run concurrently with itself on another instance
+const jobs = [
+  {
+    name: 'purge-deleted-accounts',
+    intervalSeconds: 60 * 60,
+    run: async () => {
+      const purged = await userService.purgeDeletedAccounts();
+      if (purged > 0) {
+        logger.info(`Erased ${purged} deleted accounts`);
+      }
+    },
+  },
+  {
+    name: 'retry-media-deletions',
+    intervalSeconds: 60 * 60,
+    run: async () => {
+      const deleted = await userService.retryMediaDeletions();
+      if (deleted > 0) {
+        logger.info(`Deleted ${deleted} uploads left over from erased accounts`);
+      }
+    },
+  },
+  {
+    name: 'expire-friend-requests',
+    intervalSeconds: 60 * 60,
+    run: async () => {
+      const expired = await friendService.expireFriendRequests();
+      if (expired > 0) {
+        logger.info(`Expired ${expired} friend requests`);
+      }
+    },
+  },
+  {
+    name: 'hash-phone-numbers',
+    intervalSeconds: 10 * 60,
+    run: async () => {
+      const hashed = await contactService.hashMissingPhones();
+      if (hashed > 0) {
+        logger.info(`Hashed ${hashed} phone numbers for contact discovery`);
+      }
+    },
+  },
+];
+
+/**
+ * Run a job, logging instead of throwing so one failure doesn't stop later runs
+ * @param {Object} job - Job definition
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error(`Job ${job.name} error: ${error.message}`);
+  }
+};
+
+/**
+ * Start every background job
+ * @returns {void}
+ */
+const startJobs = () => {
+  for (const job of jobs) {
+    runJob(job);
+    setInterval(() => runJob(job), job.intervalSeconds * 1000).unref();
+  }
+
+  logger.info(`Started ${jobs.length} background jobs`);
+};
+
+module.exports = {
+  startJobs,
+};
@@ -2,6 +2,11 @@ const jwt = require('jsonwebtoken');
 const { AppError } = require('../utils/errorHandler');
 const logger = require('../config/logger');
 const db = require('../config/database');
+const authService = require('../services/authService');
+const roleService = require('../services/roleService');
+const serviceAccountService = require('../services/serviceAccountService');
+const auditService = require('../services/auditService');
+const rateLimiter = require('../utils/rateLimiter');
 
 /**
  * Protect routes - Verify that the user is authenticated
@@ -23,24 +28,29 @@ const authenticate = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Check if user still exists
-    const [user] = await db.query('SELECT id, username, account_status FROM users WHERE id = ?', [
-      decoded.id,
-    ]);
+    const [user] = await db.query(
+      'SELECT id, username, account_status, suspended_at FROM users WHERE id = ?',
+      [decoded.id]
+    );
 
     if (!user || user.account_status === 'deleted') {
       return next(new AppError('The user belonging to this token no longer exists.', 401));
     }
 
-    // Check if token is in active sessions
-    const [session] = await db.query(
-      'SELECT id FROM user_sessions WHERE user_id = ? AND is_active = TRUE LIMIT 1',
-      [decoded.id]
-    );
+    if (user.suspended_at) {
+      return next(new AppError('This account has been suspended.', 403));
+    }
+
+    // Check that the session this token was issued for is still active
+    const session = decoded.sid ? await authService.getActiveSession(user.id, decoded.sid) : null;
 
     if (!session) {
       return next(new AppError('Your session has expired. Please log in again.', 401));
     }
 
+    // Record activity for the login activity screen (throttled)
+    authService.touchSession(session.id);
+
     // Check if user changed password after token was issued
     // (Would require a password_changed_at field in the users table)
 
@@ -49,6 +59,7 @@ const authenticate = async (req, res, next) => {
       id: user.id,
       username: user.username,
       status: user.account_status,
+      sessionId: session.id,
     };
     next();
   } catch (error) {
@@ -58,20 +69,152 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Check if user is admin
- * This is just a placeholder - actual admin check would depend on your user roles system
+ * Authenticate a service account by the API key in the X-API-Key header
+ * Keys are rate limited per key, separately from user traffic
+ */
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await serviceAccountService.verifyApiKey(req.headers['x-api-key']);
+
+    if (!apiKey) {
+      logger.warn(`Rejected API key from ${req.ip}`);
+      return next(new AppError('Invalid or expired API key', 401));
+    }
+
+    const limit = apiKey.rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT) || 600;
+    const window = parseInt(process.env.API_KEY_RATE_WINDOW) || 60;
+    const rate = rateLimiter.consume(`api-key:${apiKey.keyId}`, limit, window);
+
+    res.set('X-RateLimit-Limit', String(rate.limit));
+    res.set('X-RateLimit-Remaining', String(rate.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(rate.resetAt / 1000)));
+
+    if (!rate.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000));
+      return next(
+        new AppError(`API key rate limit exceeded. Try again in ${retryAfter} seconds.`, 429, {
+          retry_after: retryAfter,
+        })
+      );
+    }
+
+    serviceAccountService.touchApiKey(apiKey.keyId, req.ip);
+
+    req.serviceAccount = {
+      id: apiKey.serviceAccountId,
+      name: apiKey.serviceAccountName,
+      keyId: apiKey.keyId,
+      scopes: apiKey.scopes,
+    };
+
+    // Audit everything a service account changes, and anything that failed
+    res.on('finish', () => {
+      if (req.method !== 'GET' || res.statusCode >= 400) {
+        auditService.record({
+          actorType: 'service_account',
+          actorId: apiKey.serviceAccountId,
+          action: 'api.request',
+          targetType: 'api_key',
+          targetId: apiKey.keyId,
+          metadata: {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+          },
+          ipAddress: req.ip,
+        });
+      }
+    });
+
+    next();
+  } catch (error) {
+    logger.error(`API key authentication error: ${error.message}`);
+    return next(new AppError('Not authorized to access this route', 401));
+  }
+};
+
+/**
+ * Accept either a user token or a service account API key
+ * API keys must carry every listed scope; users are authenticated as usual
+ */
+const authenticateUserOrApiKey = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.headers['x-api-key']) {
+      return authenticate(req, res, next);
+    }
+
+    return authenticateApiKey(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      if (!scopes.every((scope) => req.serviceAccount.scopes.includes(scope))) {
+        return next(new AppError('This API key does not have the required scope', 403));
+      }
+
+      next();
+    });
+  };
+};
+
+// Admin access, including permissions delegated through roles, needs two-factor authentication
+const twoFactorRequiredError = () =>
+  new AppError(
+    'Two-factor authentication is required for accounts with admin permissions. Enable it in your security settings.',
+    403
+  );
+
+/**
+ * Check that the user holds one of the given roles
+ * Users flagged with is_admin count as holding the admin role
  */
 const authorize = (...roles) => {
   return async (req, res, next) => {
     try {
-      // Get user role from database
-      const [userRole] = await db.query('SELECT role FROM users WHERE id = ?', [req.user.id]);
+      const access = await roleService.getUserAccess(req.user.id);
+
+      // Check if any of the user's roles is in the allowed roles
+      if (!access.roles.some((role) => roles.includes(role))) {
+        return next(new AppError('You do not have permission to perform this action', 403));
+      }
+
+      if (access.requiresTwoFactor && !access.twoFactorEnabled) {
+        return next(twoFactorRequiredError());
+      }
+
+      next();
+    } catch (error) {
+      logger.error(`Authorization error: ${error.message}`);
+      return next(new AppError('Authorization failed', 403));
+    }
+  };
+};
+
+/**
+ * Check that the user has every one of the given permissions through their roles
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      // Service accounts are limited to the scopes on their API key
+      if (req.serviceAccount) {
+        if (!permissions.every((permission) => req.serviceAccount.scopes.includes(permission))) {
+          return next(new AppError('This API key does not have the required scope', 403));
+        }
+        return next();
+      }
+
+      const access = await roleService.getUserAccess(req.user.id);
 
-      // Check if user role is in the allowed roles
-      if (!roles.includes(userRole?.role)) {
+      if (!permissions.every((permission) => access.permissions.includes(permission))) {
         return next(new AppError('You do not have permission to perform this action', 403));
       }
 
+      if (access.requiresTwoFactor && !access.twoFactorEnabled) {
+        return next(twoFactorRequiredError());
+      }
+
+      req.user.permissions = access.permissions;
       next();
     } catch (error) {
       logger.error(`Authorization error: ${error.message}`);
@@ -85,14 +228,16 @@ const authorize = (...roles) => {
  */
 const authorizeAdmin = async (req, res, next) => {
   try {
-    const [is_user_admin] = await db.query('SELECT is_admin FROM users WHERE id = ?', [
-      req.user.id,
-    ]);
+    const access = await roleService.getUserAccess(req.user.id);
 
-    if (!is_user_admin?.is_admin || is_user_admin?.is_admin == 0) {
+    if (!access.isAdmin) {
       return next(new AppError('You do not have permission to perform this action', 403));
     }
 
+    if (!access.twoFactorEnabled) {
+      return next(twoFactorRequiredError());
+    }
+
     next();
   } catch (error) {
     logger.error(`Authorization error: ${error.message}`);
@@ -102,6 +247,9 @@ const authorizeAdmin = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateApiKey,
+  authenticateUserOrApiKey,
   authorize,
+  requirePermission,
   authorizeAdmin,
 };
@@ -6,8 +6,8 @@ const uploadImage = multer({
   storage: storage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: function (req, file, cb) {
-    // Accept images only
-    if (!file.originalname.match(/\.(jpg|jpeg|png|gif|avif)$/)) {
+    // Accept images only - profile and cover pictures are also checked by their content
+    if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp|avif)$/i)) {
       return cb(new Error('Only image files are allowed!'), false);
     }
     cb(null, true);
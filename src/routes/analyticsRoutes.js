@@ -1,21 +1,21 @@
 const express = require('express');
 const analyticsService = require('../services/analyticsService');
-const { authenticate, authorize, authorizeAdmin } = require('../middleware/auth');
+const { authenticateUserOrApiKey, requirePermission } = require('../middleware/auth');
 const { catchAsync } = require('../utils/errorHandler');
 const db = require('../config/database');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication, either as a user or with a service account API key
+router.use(authenticateUserOrApiKey());
 
-// Analytics routes require admin role
-router.use(authorizeAdmin);
+// Analytics routes require the analytics.view permission
+router.use(requirePermission('analytics.view'));
 
 /**
  * @route GET /api/analytics/users
  * @desc Get daily active users
- * @access Private (Admin only)
+ * @access Private (analytics.view), or API key (analytics.view)
  */
 router.get(
   '/users',
@@ -33,7 +33,7 @@ router.get(
 /**
  * @route GET /api/analytics/games
  * @desc Get game activity
- * @access Private (Admin only)
+ * @access Private (analytics.view), or API key (analytics.view)
  */
 router.get(
   '/games',
@@ -51,7 +51,7 @@ router.get(
 /**
  * @route GET /api/analytics/rooms
  * @desc Get room activity
- * @access Private (Admin only)
+ * @access Private (analytics.view), or API key (analytics.view)
  */
 router.get(
   '/rooms',
@@ -69,7 +69,7 @@ router.get(
 /**
  * @route POST /api/analytics/track
  * @desc Track metrics manually
- * @access Private (Admin only)
+ * @access Private (analytics.view), or API key (analytics.view)
  */
 router.post(
   '/track',
@@ -0,0 +1,64 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const auditService = require('../services/auditService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { catchAsync } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// All routes require authentication and the audit.view permission
+router.use(authenticate);
+router.use(requirePermission('audit.view'));
+
+/**
+ * @route GET /api/audit-logs
+ * @desc Search audit logs, newest first
+ * @access Private (audit.view)
+ */
+router.get(
+  '/',
+  [
+    query('actor_type')
+      .optional()
+      .isIn(['user', 'service_account', 'system'])
+      .withMessage('actor_type must be user, service_account or system'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more'),
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array(),
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const logs = await auditService.getAuditLogs(
+      {
+        actorType: req.query.actor_type,
+        actorId: req.query.actor_id,
+        action: req.query.action,
+        targetType: req.query.target_type,
+        targetId: req.query.target_id,
+      },
+      limit,
+      offset
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        logs,
+      },
+    });
+  })
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
 
@@ -40,6 +40,7 @@ router.post(
       .withMessage('OTP is required')
       .isLength({ min: 6, max: 6 })
       .withMessage('OTP must be 6 digits'),
+    body('link_token').optional().isJWT().withMessage('Link token must be a valid token'),
   ],
   authController.registerWithPhone
 );
@@ -62,10 +63,132 @@ router.post(
       .withMessage('OTP is required')
       .isLength({ min: 6, max: 6 })
       .withMessage('OTP must be 6 digits'),
+    body('link_token').optional().isJWT().withMessage('Link token must be a valid token'),
   ],
   authController.loginWithPhone
 );
 
+/**
+ * @route POST /api/auth/login/social
+ * @desc Login with Google or Apple ID token
+ * @access Public
+ */
+router.post(
+  '/login/social',
+  [
+    body('provider')
+      .notEmpty()
+      .withMessage('Provider is required')
+      .isIn(['google', 'apple'])
+      .withMessage('Provider must be google or apple'),
+    body('provider_token').notEmpty().withMessage('Provider ID token is required'),
+    body('link_token').optional().isJWT().withMessage('Link token must be a valid token'),
+  ],
+  authController.loginWithSocial
+);
+
+/**
+ * @route POST /api/auth/register/email
+ * @desc Register with email and password
+ * @access Public
+ */
+router.post(
+  '/register/email',
+  [
+    body('email').isEmail().withMessage('Please provide a valid email address'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long'),
+    body('link_token').optional().isJWT().withMessage('Link token must be a valid token'),
+  ],
+  authController.registerWithEmail
+);
+
+/**
+ * @route POST /api/auth/login/email
+ * @desc Login with email and password
+ * @access Public
+ */
+router.post(
+  '/login/email',
+  [
+    body('email').isEmail().withMessage('Please provide a valid email address'),
+    body('password').notEmpty().withMessage('Password is required'),
+    body('link_token').optional().isJWT().withMessage('Link token must be a valid token'),
+  ],
+  authController.loginWithEmail
+);
+
+/**
+ * @route POST /api/auth/email/verify
+ * @desc Verify email address with the token from the verification link
+ * @access Public
+ */
+router.post(
+  '/email/verify',
+  [body('token').notEmpty().withMessage('Token is required')],
+  authController.verifyEmail
+);
+
+/**
+ * @route POST /api/auth/email/verify/resend
+ * @desc Resend the verification email
+ * @access Private
+ */
+router.post('/email/verify/resend', authenticate, authController.requestEmailVerification);
+
+/**
+ * @route POST /api/auth/password/forgot
+ * @desc Request a password reset link
+ * @access Public
+ */
+router.post(
+  '/password/forgot',
+  [body('email').isEmail().withMessage('Please provide a valid email address')],
+  authController.requestPasswordReset
+);
+
+/**
+ * @route POST /api/auth/password/reset
+ * @desc Reset password with the token from the reset link
+ * @access Public
+ */
+router.post(
+  '/password/reset',
+  [
+    body('token').notEmpty().withMessage('Token is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long'),
+  ],
+  authController.resetPassword
+);
+
+/**
+ * @route POST /api/auth/magic-link/request
+ * @desc Request a passwordless login link
+ * @access Public
+ */
+router.post(
+  '/magic-link/request',
+  [body('email').isEmail().withMessage('Please provide a valid email address')],
+  authController.requestMagicLink
+);
+
+/**
+ * @route POST /api/auth/magic-link/login
+ * @desc Login with the token from a magic link
+ * @access Public
+ */
+router.post(
+  '/magic-link/login',
+  [
+    body('token').notEmpty().withMessage('Token is required'),
+    body('link_token').optional().isJWT().withMessage('Link token must be a valid token'),
+  ],
+  authController.loginWithMagicLink
+);
+
 /**
  * @route POST /api/auth/token/refresh
  * @desc Refresh token
@@ -79,7 +202,7 @@ router.post(
 
 /**
  * @route POST /api/auth/logout
- * @desc Logout
+ * @desc Log out this session, or every session on the given device
  * @access Private
  */
 router.post('/logout', authenticate, authController.logout);
@@ -91,4 +214,174 @@ router.post('/logout', authenticate, authController.logout);
  */
 router.get('/sessions', authenticate, authController.getLoginActivity);
 
+/**
+ * @route DELETE /api/auth/sessions
+ * @desc Log out all other devices
+ * @access Private
+ */
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @route DELETE /api/auth/sessions/:session_id
+ * @desc Log out a single session
+ * @access Private
+ */
+router.delete(
+  '/sessions/:session_id',
+  authenticate,
+  [param('session_id').isUUID().withMessage('Session ID must be a valid UUID')],
+  authController.revokeSession
+);
+
+/**
+ * @route GET /api/auth/accounts
+ * @desc Get the accounts signed in on this device
+ * @access Private
+ */
+router.get('/accounts', authenticate, authController.getLinkedAccounts);
+
+/**
+ * @route POST /api/auth/accounts/switch
+ * @desc Switch to another account signed in on this device
+ * @access Private
+ */
+router.post(
+  '/accounts/switch',
+  authenticate,
+  [body('user_id').isUUID().withMessage('User ID must be a valid UUID')],
+  authController.switchAccount
+);
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Complete a login with a two-factor or recovery code
+ * @access Public
+ */
+router.post(
+  '/2fa/verify',
+  [
+    body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+    body('code').notEmpty().withMessage('Code is required'),
+  ],
+  authController.verifyTwoFactorLogin
+);
+
+/**
+ * @route GET /api/auth/2fa
+ * @desc Get two-factor status
+ * @access Private
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Start two-factor enrollment
+ * @access Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirm two-factor enrollment with a code from the authenticator app
+ * @access Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  [
+    body('code')
+      .notEmpty()
+      .withMessage('Code is required')
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits'),
+  ],
+  authController.enableTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Turn off two-factor authentication
+ * @access Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  [body('code').notEmpty().withMessage('Code is required')],
+  authController.disableTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Replace two-factor recovery codes
+ * @access Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  [body('code').notEmpty().withMessage('Code is required')],
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route POST /api/auth/devices/approval/complete
+ * @desc Finish a login once a trusted device has approved it
+ * @access Public
+ */
+router.post(
+  '/devices/approval/complete',
+  [body('approval_token').notEmpty().withMessage('Approval token is required')],
+  authController.completeDeviceApproval
+);
+
+/**
+ * @route GET /api/auth/devices
+ * @desc Get trusted devices
+ * @access Private
+ */
+router.get('/devices', authenticate, authController.getTrustedDevices);
+
+/**
+ * @route PUT /api/auth/devices/approval
+ * @desc Turn new-device approval on or off
+ * @access Private
+ */
+router.put(
+  '/devices/approval',
+  authenticate,
+  [body('enabled').isBoolean().withMessage('Enabled must be true or false')],
+  authController.setDeviceApprovalRequired
+);
+
+/**
+ * @route GET /api/auth/devices/requests
+ * @desc Get pending device approval requests
+ * @access Private
+ */
+router.get('/devices/requests', authenticate, authController.getDeviceApprovalRequests);
+
+/**
+ * @route POST /api/auth/devices/requests/:request_id/approve
+ * @desc Approve a login from a new device
+ * @access Private
+ */
+router.post(
+  '/devices/requests/:request_id/approve',
+  authenticate,
+  authController.approveDeviceRequest
+);
+
+/**
+ * @route POST /api/auth/devices/requests/:request_id/deny
+ * @desc Deny a login from a new device
+ * @access Private
+ */
+router.post('/devices/requests/:request_id/deny', authenticate, authController.denyDeviceRequest);
+
+/**
+ * @route DELETE /api/auth/devices/:device_id
+ * @desc Remove a trusted device and log out its sessions
+ * @access Private
+ */
+router.delete('/devices/:device_id', authenticate, authController.removeTrustedDevice);
+
 module.exports = router;
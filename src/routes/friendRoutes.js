@@ -2,6 +2,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const friendController = require('../controllers/friendController');
 const { authenticate } = require('../middleware/auth');
+const { MAX_FRIEND_GROUP_NAME_LENGTH, MAX_CONTACT_HASHES } = require('../config/friends');
 
 const router = express.Router();
 
@@ -33,6 +34,13 @@ router.put('/requests/:request_id/accept', friendController.acceptFriendRequest)
  */
 router.put('/requests/:request_id/reject', friendController.rejectFriendRequest);
 
+/**
+ * @route DELETE /api/friends/requests/:request_id
+ * @desc Cancel a sent friend request
+ * @access Private
+ */
+router.delete('/requests/:request_id', friendController.cancelFriendRequest);
+
 /**
  * @route POST /api/friends/block
  * @desc Block user
@@ -65,6 +73,13 @@ router.delete('/:friend_id', friendController.removeFriend);
  */
 router.get('/', friendController.getFriends);
 
+/**
+ * @route GET /api/friends/online
+ * @desc Get online friends and what they are doing
+ * @access Private
+ */
+router.get('/online', friendController.getOnlineFriends);
+
 /**
  * @route GET /api/friends/requests
  * @desc Get pending friend requests
@@ -72,6 +87,13 @@ router.get('/', friendController.getFriends);
  */
 router.get('/requests', friendController.getPendingRequests);
 
+/**
+ * @route GET /api/friends/requests/sent
+ * @desc Get sent friend requests
+ * @access Private
+ */
+router.get('/requests/sent', friendController.getSentRequests);
+
 /**
  * @route GET /api/friends/suggestions
  * @desc Get friend suggestions
@@ -79,6 +101,112 @@ router.get('/requests', friendController.getPendingRequests);
  */
 router.get('/suggestions', friendController.getFriendSuggestions);
 
+/**
+ * @route GET /api/friends/groups
+ * @desc Get your friend groups
+ * @access Private
+ */
+router.get('/groups', friendController.getFriendGroups);
+
+/**
+ * @route POST /api/friends/groups
+ * @desc Create a friend group
+ * @access Private
+ */
+router.post(
+  '/groups',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Group name is required')
+      .isLength({ max: MAX_FRIEND_GROUP_NAME_LENGTH })
+      .withMessage(`Group name must be at most ${MAX_FRIEND_GROUP_NAME_LENGTH} characters`),
+    body('member_ids').optional().isArray().withMessage('Member IDs must be an array'),
+    body('member_ids.*').isString().withMessage('Member IDs must be strings'),
+  ],
+  friendController.createFriendGroup
+);
+
+/**
+ * @route GET /api/friends/groups/:group_id
+ * @desc Get a friend group with its members
+ * @access Private
+ */
+router.get('/groups/:group_id', friendController.getFriendGroup);
+
+/**
+ * @route PUT /api/friends/groups/:group_id
+ * @desc Rename a friend group
+ * @access Private
+ */
+router.put(
+  '/groups/:group_id',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Group name is required')
+      .isLength({ max: MAX_FRIEND_GROUP_NAME_LENGTH })
+      .withMessage(`Group name must be at most ${MAX_FRIEND_GROUP_NAME_LENGTH} characters`),
+  ],
+  friendController.renameFriendGroup
+);
+
+/**
+ * @route DELETE /api/friends/groups/:group_id
+ * @desc Delete a friend group
+ * @access Private
+ */
+router.delete('/groups/:group_id', friendController.deleteFriendGroup);
+
+/**
+ * @route POST /api/friends/groups/:group_id/members
+ * @desc Add friends to a friend group
+ * @access Private
+ */
+router.post(
+  '/groups/:group_id/members',
+  [
+    body('user_ids').isArray({ min: 1 }).withMessage('User IDs must be a non-empty array'),
+    body('user_ids.*').isString().withMessage('User IDs must be strings'),
+  ],
+  friendController.addFriendGroupMembers
+);
+
+/**
+ * @route DELETE /api/friends/groups/:group_id/members/:user_id
+ * @desc Remove a friend from a friend group
+ * @access Private
+ */
+router.delete('/groups/:group_id/members/:user_id', friendController.removeFriendGroupMember);
+
+/**
+ * @route GET /api/friends/contacts/scheme
+ * @desc Get the salt and algorithm for hashing address book phone numbers
+ * @access Private
+ */
+router.get('/contacts/scheme', friendController.getContactHashingScheme);
+
+/**
+ * @route POST /api/friends/contacts/match
+ * @desc Find users from hashed address book phone numbers
+ * @access Private
+ */
+router.post(
+  '/contacts/match',
+  [
+    body('hashes')
+      .isArray({ min: 1, max: MAX_CONTACT_HASHES })
+      .withMessage(`Hashes must be an array of 1 to ${MAX_CONTACT_HASHES} phone number hashes`),
+    body('hashes.*')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Each hash must be a 64 character hex string'),
+  ],
+  friendController.matchContacts
+);
+
 /**
  * @route GET /api/friends/status/:user_id
  * @desc Get friendship status with another user
@@ -1,21 +1,23 @@
 const express = require('express');
 const { body } = require('express-validator');
 const gameController = require('../controllers/gameController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authenticateUserOrApiKey, requirePermission } = require('../middleware/auth');
 const { uploadImage, uploadDocs } = require('../middleware/multer');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// Catalog and session reads, score updates and catalog management also accept
+// service account API keys; everything that acts as a player requires a user
 
 /**
  * @route POST /api/games/create
  * @desc Create game
- * @access Private
+ * @access Private (games.manage), or API key (games.manage)
  */
 router.post(
   '/create',
+  authenticateUserOrApiKey(),
+  requirePermission('games.manage'),
   uploadDocs.single('docs'),
   [
     body('name')
@@ -40,6 +42,11 @@ router.post(
         }
         return true;
       }),
+    body('is_alcohol_related')
+      .optional()
+      .isBoolean()
+      .withMessage('is_alcohol_related must be a boolean')
+      .toBoolean(),
   ],
   gameController.createGame
 );
@@ -47,10 +54,12 @@ router.post(
 /**
  * @route PUT /api/games/:game_id
  * @desc Update game
- * @access Private
+ * @access Private (games.manage), or API key (games.manage)
  */
 router.put(
   '/:game_id',
+  authenticateUserOrApiKey(),
+  requirePermission('games.manage'),
   uploadDocs.single('docs'),
   [
     body('name')
@@ -68,6 +77,11 @@ router.put(
       .optional()
       .isInt({ min: 1 })
       .withMessage('Maximum players must be at least 1'),
+    body('is_alcohol_related')
+      .optional()
+      .isBoolean()
+      .withMessage('is_alcohol_related must be a boolean')
+      .toBoolean(),
   ],
   gameController.updateGame
 );
@@ -75,23 +89,28 @@ router.put(
 /**
  * @route DELETE /api/games/:game_id
  * @desc Delete game
- * @access Private
+ * @access Private (games.manage), or API key (games.manage)
  */
-router.delete('/:game_id', gameController.deleteGame);
+router.delete(
+  '/:game_id',
+  authenticateUserOrApiKey(),
+  requirePermission('games.manage'),
+  gameController.deleteGame
+);
 
 /**
  * @route GET /api/games
  * @desc Get all games
- * @access Private
+ * @access Private, or API key (games.read)
  */
-router.get('/', gameController.getGames);
+router.get('/', authenticateUserOrApiKey('games.read'), gameController.getGames);
 
 /**
  * @route GET /api/games/:game_id
  * @desc Get game by ID
- * @access Private
+ * @access Private, or API key (games.read)
  */
-router.get('/:game_id', gameController.getGameById);
+router.get('/:game_id', authenticateUserOrApiKey('games.read'), gameController.getGameById);
 
 /**
  * @route POST /api/games/sessions
@@ -100,6 +119,7 @@ router.get('/:game_id', gameController.getGameById);
  */
 router.post(
   '/sessions',
+  authenticate,
   [
     body('game_id').notEmpty().withMessage('Game ID is required'),
     body('room_id').notEmpty().withMessage('Room ID is required'),
@@ -110,38 +130,43 @@ router.post(
 /**
  * @route GET /api/games/sessions/:session_id
  * @desc Get game session
- * @access Private
+ * @access Private, or API key (games.read)
  */
-router.get('/sessions/:session_id', gameController.getGameSession);
+router.get(
+  '/sessions/:session_id',
+  authenticateUserOrApiKey('games.read'),
+  gameController.getGameSession
+);
 
 /**
  * @route POST /api/games/sessions/:session_id/join
  * @desc Join game session
  * @access Private
  */
-router.post('/sessions/:session_id/join', gameController.joinGameSession);
+router.post('/sessions/:session_id/join', authenticate, gameController.joinGameSession);
 
 /**
  * @route POST /api/games/sessions/:session_id/leave
  * @desc Leave game session
  * @access Private
  */
-router.post('/sessions/:session_id/leave', gameController.leaveGameSession);
+router.post('/sessions/:session_id/leave', authenticate, gameController.leaveGameSession);
 
 /**
  * @route POST /api/games/sessions/:session_id/end
  * @desc End game session
  * @access Private
  */
-router.post('/sessions/:session_id/end', gameController.endGameSession);
+router.post('/sessions/:session_id/end', authenticate, gameController.endGameSession);
 
 /**
  * @route PUT /api/games/sessions/:session_id/players/:user_id/score
  * @desc Update player score
- * @access Private
+ * @access Private, or API key (games.scores)
  */
 router.put(
   '/sessions/:session_id/players/:user_id/score',
+  authenticateUserOrApiKey('games.scores'),
   [
     body('score')
       .notEmpty()
@@ -155,18 +180,29 @@ router.put(
 /**
  * @route GET /api/games/rooms/:room_id/sessions
  * @desc Get active game sessions in room
- * @access Private
+ * @access Private, or API key (games.read)
  */
-router.get('/rooms/:room_id/sessions', gameController.getActiveGameSessionsInRoom);
+router.get(
+  '/rooms/:room_id/sessions',
+  authenticateUserOrApiKey('games.read'),
+  gameController.getActiveGameSessionsInRoom
+);
 
 /**
  * @route POST /api/games/sessions/:session_id/invite
- * @desc Invite user to game
+ * @desc Invite a user, or everyone in one of your friend groups, to a game
  * @access Private
  */
 router.post(
   '/sessions/:session_id/invite',
-  [body('user_id').notEmpty().withMessage('User ID is required')],
+  authenticate,
+  [
+    body('user_id')
+      .if(body('group_id').not().exists())
+      .notEmpty()
+      .withMessage('User ID or group ID is required'),
+    body('group_id').optional().isUUID().withMessage('Group ID must be a valid ID'),
+  ],
   gameController.inviteToGame
 );
 
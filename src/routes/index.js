@@ -7,6 +7,9 @@ const gameRoutes = require('./gameRoutes');
 const notificationRoutes = require('./notificationRoutes');
 const mediaRoutes = require('./mediaRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
+const roleRoutes = require('./roleRoutes');
+const serviceAccountRoutes = require('./serviceAccountRoutes');
+const auditRoutes = require('./auditRoutes');
 const { catchAsync, AppError } = require('../utils/errorHandler');
 const logger = require('../config/logger');
 
@@ -40,6 +43,9 @@ router.use('/games', gameRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/media', mediaRoutes);
 router.use('/analytics', analyticsRoutes);
+router.use('/roles', roleRoutes);
+router.use('/service-accounts', serviceAccountRoutes);
+router.use('/audit-logs', auditRoutes);
 
 // 404 Handler
 router.all('*', (req, res, next) => {
@@ -35,6 +35,7 @@ router.post(
   mediaUploadMiddleware,
   [
     body('room_id').notEmpty().withMessage('Room ID is required'),
+    body('visibility').optional().isString().withMessage('Visibility must be a string'),
     query('type')
       .notEmpty()
       .withMessage('Media type is required')
@@ -58,6 +59,17 @@ router.get('/user', mediaController.getUserMediaRecords);
  */
 router.get('/rooms/:room_id', mediaController.getRoomMediaRecords);
 
+/**
+ * @route PUT /api/media/:media_id/visibility
+ * @desc Change who can see a media record
+ * @access Private
+ */
+router.put(
+  '/:media_id/visibility',
+  [body('visibility').notEmpty().withMessage('Visibility is required')],
+  mediaController.updateMediaVisibility
+);
+
 /**
  * @route DELETE /api/media/:media_id
  * @desc Delete media record
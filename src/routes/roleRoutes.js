@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const roleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route GET /api/roles/me
+ * @desc Get the current user's roles and permissions
+ * @access Private
+ */
+router.get('/me', roleController.getMyRoles);
+
+// Everything else manages roles
+router.use(requirePermission('roles.manage'));
+
+/**
+ * @route GET /api/roles
+ * @desc Get all roles
+ * @access Private (roles.manage)
+ */
+router.get('/', roleController.getRoles);
+
+/**
+ * @route GET /api/roles/permissions
+ * @desc Get all permissions
+ * @access Private (roles.manage)
+ */
+router.get('/permissions', roleController.getPermissions);
+
+/**
+ * @route POST /api/roles
+ * @desc Create role
+ * @access Private (roles.manage)
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .matches(/^[a-z0-9-]{2,50}$/)
+      .withMessage('Name must be 2-50 lowercase letters, numbers or dashes'),
+    body('description').optional().isString().withMessage('Description must be a string'),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*')
+      .isIn(Object.keys(PERMISSIONS))
+      .withMessage('Permissions must be known permission names'),
+  ],
+  roleController.createRole
+);
+
+/**
+ * @route PUT /api/roles/:role_id
+ * @desc Update role
+ * @access Private (roles.manage)
+ */
+router.put(
+  '/:role_id',
+  [
+    param('role_id').isUUID().withMessage('Role ID must be a valid UUID'),
+    body('description').optional().isString().withMessage('Description must be a string'),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*')
+      .isIn(Object.keys(PERMISSIONS))
+      .withMessage('Permissions must be known permission names'),
+  ],
+  roleController.updateRole
+);
+
+/**
+ * @route DELETE /api/roles/:role_id
+ * @desc Delete role
+ * @access Private (roles.manage)
+ */
+router.delete('/:role_id', roleController.deleteRole);
+
+/**
+ * @route GET /api/roles/users/:user_id
+ * @desc Get a user's roles and permissions
+ * @access Private (roles.manage)
+ */
+router.get(
+  '/users/:user_id',
+  [param('user_id').isUUID().withMessage('User ID must be a valid UUID')],
+  roleController.getUserRoles
+);
+
+/**
+ * @route POST /api/roles/users/:user_id
+ * @desc Assign a role to a user
+ * @access Private (roles.manage)
+ */
+router.post(
+  '/users/:user_id',
+  [
+    param('user_id').isUUID().withMessage('User ID must be a valid UUID'),
+    body('role_id').isUUID().withMessage('Role ID must be a valid UUID'),
+  ],
+  roleController.assignRole
+);
+
+/**
+ * @route DELETE /api/roles/users/:user_id/:role_id
+ * @desc Remove a role from a user
+ * @access Private (roles.manage)
+ */
+router.delete(
+  '/users/:user_id/:role_id',
+  [
+    param('user_id').isUUID().withMessage('User ID must be a valid UUID'),
+    param('role_id').isUUID().withMessage('Role ID must be a valid UUID'),
+  ],
+  roleController.removeRole
+);
+
+module.exports = router;
@@ -25,6 +25,11 @@ router.post(
       .optional()
       .isIn(['public', 'private'])
       .withMessage('Room type must be public or private'),
+    body('is_alcohol_related')
+      .optional()
+      .isBoolean()
+      .withMessage('is_alcohol_related must be a boolean')
+      .toBoolean(),
   ],
   roomController.createRoom
 );
@@ -53,6 +58,11 @@ router.put(
       .isIn(['public', 'private'])
       .withMessage('Room type must be public or private'),
     body('is_locked').optional().isBoolean().withMessage('is_locked must be a boolean'),
+    body('is_alcohol_related')
+      .optional()
+      .isBoolean()
+      .withMessage('is_alcohol_related must be a boolean')
+      .toBoolean(),
   ],
   roomController.updateRoom
 );
@@ -116,4 +126,21 @@ router.put(
  */
 router.get('/:room_id/join-requests', roomController.getPendingJoinRequests);
 
+/**
+ * @route POST /api/rooms/:room_id/invite
+ * @desc Invite a friend, or everyone in one of your friend groups, to a room
+ * @access Private
+ */
+router.post(
+  '/:room_id/invite',
+  [
+    body('user_id')
+      .if(body('group_id').not().exists())
+      .notEmpty()
+      .withMessage('User ID or group ID is required'),
+    body('group_id').optional().isUUID().withMessage('Group ID must be a valid ID'),
+  ],
+  roomController.inviteToRoom
+);
+
 module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { body } = require('express-validator');
+const serviceAccountController = require('../controllers/serviceAccountController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/roles');
+
+const router = express.Router();
+
+// All routes require authentication and the service_accounts.manage permission
+router.use(authenticate);
+router.use(requirePermission('service_accounts.manage'));
+
+/**
+ * @route GET /api/service-accounts
+ * @desc Get all service accounts
+ * @access Private (service_accounts.manage)
+ */
+router.get('/', serviceAccountController.getServiceAccounts);
+
+/**
+ * @route POST /api/service-accounts
+ * @desc Create service account
+ * @access Private (service_accounts.manage)
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .matches(/^[a-z0-9-]{2,100}$/)
+      .withMessage('Name must be 2-100 lowercase letters, numbers or dashes'),
+    body('description').optional().isString().withMessage('Description must be a string'),
+  ],
+  serviceAccountController.createServiceAccount
+);
+
+/**
+ * @route GET /api/service-accounts/:service_account_id
+ * @desc Get service account with its API keys
+ * @access Private (service_accounts.manage)
+ */
+router.get('/:service_account_id', serviceAccountController.getServiceAccountById);
+
+/**
+ * @route PUT /api/service-accounts/:service_account_id
+ * @desc Update service account
+ * @access Private (service_accounts.manage)
+ */
+router.put(
+  '/:service_account_id',
+  [
+    body('description').optional().isString().withMessage('Description must be a string'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean(),
+  ],
+  serviceAccountController.updateServiceAccount
+);
+
+/**
+ * @route DELETE /api/service-accounts/:service_account_id
+ * @desc Delete service account and its API keys
+ * @access Private (service_accounts.manage)
+ */
+router.delete('/:service_account_id', serviceAccountController.deleteServiceAccount);
+
+/**
+ * @route POST /api/service-accounts/:service_account_id/keys
+ * @desc Create API key
+ * @access Private (service_accounts.manage)
+ */
+router.post(
+  '/:service_account_id/keys',
+  [
+    body('name')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+      .isIn(Object.keys(API_KEY_SCOPES))
+      .withMessage(`Scopes must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}`),
+    body('expires_in_days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('expires_in_days must be between 1 and 365'),
+    body('rate_limit')
+      .optional()
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('rate_limit must be between 1 and 100000'),
+  ],
+  serviceAccountController.createApiKey
+);
+
+/**
+ * @route POST /api/service-accounts/:service_account_id/keys/:key_id/rotate
+ * @desc Rotate API key, optionally keeping the old key working for a grace period
+ * @access Private (service_accounts.manage)
+ */
+router.post(
+  '/:service_account_id/keys/:key_id/rotate',
+  [
+    body('grace_period_seconds')
+      .optional()
+      .isInt({ min: 0, max: 7 * 24 * 60 * 60 })
+      .withMessage('grace_period_seconds must be between 0 and 604800'),
+  ],
+  serviceAccountController.rotateApiKey
+);
+
+/**
+ * @route DELETE /api/service-accounts/:service_account_id/keys/:key_id
+ * @desc Revoke API key
+ * @access Private (service_accounts.manage)
+ */
+router.delete('/:service_account_id/keys/:key_id', serviceAccountController.revokeApiKey);
+
+module.exports = router;
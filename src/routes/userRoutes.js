@@ -1,8 +1,14 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const userController = require('../controllers/userController');
-const { authenticate, authorize, authorizeAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { uploadImage } = require('../middleware/multer');
+const { OPTIONAL_STEPS } = require('../services/onboardingService');
+const {
+  FIELD_VISIBILITY_LEVELS,
+  GROUP_VISIBILITY_PREFIX,
+  MAX_FAVOURITE_GAMES,
+} = require('../config/profile');
 const router = express.Router();
 
 /**
@@ -35,7 +41,34 @@ router.put(
       .withMessage('Username must be between 3 and 20 characters')
       .matches(/^[a-zA-Z0-9_]+$/)
       .withMessage('Username can only contain letters, numbers and underscore'),
+    body('display_name')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Display name cannot exceed 50 characters'),
+    body('pronouns')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 30 })
+      .withMessage('Pronouns cannot exceed 30 characters'),
     body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
+    body('social_links')
+      .optional()
+      .isObject()
+      .withMessage('Social links must be an object of links by kind'),
+    body('field_visibility')
+      .optional()
+      .isObject()
+      .withMessage('Field visibility must be an object of visibility by field'),
+    body('field_visibility.*')
+      .custom(
+        (value) =>
+          FIELD_VISIBILITY_LEVELS.includes(value) ||
+          (typeof value === 'string' && value.startsWith(GROUP_VISIBILITY_PREFIX))
+      )
+      .withMessage(
+        `Visibility must be one of: ${FIELD_VISIBILITY_LEVELS.join(', ')} or ${GROUP_VISIBILITY_PREFIX}<group ID>`
+      ),
     body('interests').optional().isArray().withMessage('Interests must be an array'),
     body('vibe_preference')
       .optional()
@@ -61,6 +94,42 @@ router.post(
   userController.uploadProfilePicture
 );
 
+/**
+ * @route POST /api/users/cover-picture
+ * @desc Upload cover picture
+ * @access Private
+ */
+router.post(
+  '/cover-picture',
+  authenticate,
+  uploadImage.single('image'),
+  userController.uploadCoverPicture
+);
+
+/**
+ * @route DELETE /api/users/cover-picture
+ * @desc Remove cover picture
+ * @access Private
+ */
+router.delete('/cover-picture', authenticate, userController.removeCoverPicture);
+
+/**
+ * @route PUT /api/users/favourite-games
+ * @desc Replace the games pinned to the profile, in display order
+ * @access Private
+ */
+router.put(
+  '/favourite-games',
+  authenticate,
+  [
+    body('game_ids')
+      .isArray({ max: MAX_FAVOURITE_GAMES })
+      .withMessage(`game_ids must be an array of at most ${MAX_FAVOURITE_GAMES} game IDs`),
+    body('game_ids.*').isUUID().withMessage('Game ID must be a valid UUID'),
+  ],
+  userController.setFavouriteGames
+);
+
 /**
  * @route PUT /api/users/status
  * @desc Update account status
@@ -81,34 +150,220 @@ router.put(
 
 /**
  * @route DELETE /api/users/account
- * @desc Delete account
+ * @desc Schedule account deletion, cancelled by logging in during the grace period
  * @access Private
  */
 router.delete('/account', authenticate, userController.deleteAccount);
 
+/**
+ * @route GET /api/users/export
+ * @desc Download a ZIP of all data held about the user
+ * @access Private
+ */
+router.get('/export', authenticate, userController.exportData);
+
+/**
+ * @route GET /api/users/age
+ * @desc Get age verification status
+ * @access Private
+ */
+router.get('/age', authenticate, userController.getAgeStatus);
+
+/**
+ * @route POST /api/users/age
+ * @desc Confirm date of birth and country, once
+ * @access Private
+ */
+router.post(
+  '/age',
+  authenticate,
+  [
+    body('date_of_birth')
+      .notEmpty()
+      .withMessage('Date of birth is required')
+      .isISO8601({ strict: true })
+      .withMessage('Date of birth must be a date (YYYY-MM-DD)')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date of birth must be a date (YYYY-MM-DD)'),
+    body('country_code')
+      .optional()
+      .isISO31661Alpha2()
+      .withMessage('Country must be an ISO 3166-1 alpha-2 code')
+      .toUpperCase(),
+    body('attestation')
+      .equals('true')
+      .withMessage('You must confirm that your date of birth is correct'),
+  ],
+  userController.attestAge
+);
+
+/**
+ * @route GET /api/users/onboarding
+ * @desc Get onboarding steps, the next step and profile completeness
+ * @access Private
+ */
+router.get('/onboarding', authenticate, userController.getOnboarding);
+
+/**
+ * @route POST /api/users/onboarding/skip
+ * @desc Skip an optional onboarding step
+ * @access Private
+ */
+router.post(
+  '/onboarding/skip',
+  authenticate,
+  [
+    body('step')
+      .notEmpty()
+      .withMessage('Step is required')
+      .isIn(OPTIONAL_STEPS)
+      .withMessage(`Step must be one of: ${OPTIONAL_STEPS.join(', ')}`),
+  ],
+  userController.skipOnboardingStep
+);
+
+/**
+ * @route GET /api/users/contact-discovery
+ * @desc Get whether you can be found from other people's contacts
+ * @access Private
+ */
+router.get('/contact-discovery', authenticate, userController.getContactDiscovery);
+
+/**
+ * @route PUT /api/users/contact-discovery
+ * @desc Opt in to or out of being found from other people's contacts
+ * @access Private
+ */
+router.put(
+  '/contact-discovery',
+  authenticate,
+  [
+    body('discoverable')
+      .notEmpty()
+      .withMessage('Discoverable is required')
+      .isBoolean()
+      .withMessage('Discoverable must be a boolean')
+      .toBoolean(),
+  ],
+  userController.updateContactDiscovery
+);
+
 /**
  * @route GET /api/users/search
- * @desc Search users
+ * @desc Search users by username and interests, ranked, with cursor pagination
  * @access Private
  */
-router.get('/search', authenticate, userController.searchUsers);
+router.get(
+  '/search',
+  authenticate,
+  [
+    query('q')
+      .trim()
+      .notEmpty()
+      .withMessage('Search query is required')
+      .isLength({ max: 50 })
+      .withMessage('Search query cannot exceed 50 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  ],
+  userController.searchUsers
+);
+
+/**
+ * @route GET /api/users/moderation/images
+ * @desc Get uploaded images held for moderation, oldest first
+ * @access Private (users.moderate)
+ */
+router.get(
+  '/moderation/images',
+  authenticate,
+  requirePermission('users.moderate'),
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more'),
+  ],
+  userController.getQuarantinedImages
+);
+
+/**
+ * @route POST /api/users/moderation/images/:image_id/review
+ * @desc Approve an image held for moderation, which puts it on the profile unless the user has
+ * changed that picture since, or reject it
+ * @access Private (users.moderate)
+ */
+router.post(
+  '/moderation/images/:image_id/review',
+  authenticate,
+  requirePermission('users.moderate'),
+  [
+    param('image_id').isUUID().withMessage('Image ID must be a valid UUID'),
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  ],
+  userController.reviewQuarantinedImage
+);
 
 /**
  * @route GET /api/users/:username
- * @desc Get user by username
+ * @desc Get user by username, redirecting recent former usernames to the current one
  * @access Private
  */
 router.get('/:username', authenticate, userController.getUserByUsername);
 
+/**
+ * @route POST /api/users/:userId/suspend
+ * @desc Suspend user
+ * @access Private (users.moderate)
+ */
+router.post(
+  '/:userId/suspend',
+  authenticate,
+  requirePermission('users.moderate'),
+  [
+    param('userId').isUUID().withMessage('User ID must be a valid UUID'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be at most 255 characters'),
+  ],
+  userController.suspendUser
+);
+
+/**
+ * @route POST /api/users/:userId/reinstate
+ * @desc Reinstate suspended user
+ * @access Private (users.moderate)
+ */
+router.post(
+  '/:userId/reinstate',
+  authenticate,
+  requirePermission('users.moderate'),
+  [
+    param('userId').isUUID().withMessage('User ID must be a valid UUID'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be at most 255 characters'),
+  ],
+  userController.reinstateUser
+);
+
 /**
  * @route GET /api/users/:userId/:isAdmin
  * @desc Mark user as admin
- * @access Private
+ * @access Private (roles.manage)
  */
 router.get(
   '/:userId/:isAdmin',
   authenticate,
-  authorizeAdmin,
+  requirePermission('roles.manage'),
   [
     param('userId')
       .notEmpty()
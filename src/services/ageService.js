@@ -0,0 +1,256 @@
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const auditService = require('./auditService');
+const {
+  LEGAL_DRINKING_AGES,
+  DEFAULT_DRINKING_AGE,
+  MINIMUM_ACCOUNT_AGE,
+  CALLING_CODES,
+} = require('../config/drinkingAge');
+
+/**
+ * Get the legal drinking age of a country
+ * @param {string} countryCode - ISO 3166-1 country code
+ * @returns {number|null} - Legal drinking age, or null where alcohol content is not allowed
+ */
+const getLegalDrinkingAge = (countryCode) => {
+  if (countryCode && countryCode in LEGAL_DRINKING_AGES) {
+    return LEGAL_DRINKING_AGES[countryCode];
+  }
+
+  return DEFAULT_DRINKING_AGE;
+};
+
+/**
+ * Guess the country of a phone number from its calling code
+ * @param {string} phone - Phone number in E.164 format
+ * @returns {string|null} - ISO 3166-1 country code, or null if unknown
+ */
+const countryFromPhone = (phone) => {
+  if (!phone || !phone.startsWith('+')) {
+    return null;
+  }
+
+  // Calling codes are prefix-free, so the first one that matches is the only one
+  for (let length = 1; length <= 3; length++) {
+    const country = CALLING_CODES[phone.slice(1, 1 + length)];
+    if (country) {
+      return country;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Calculate age in whole years
+ * @param {string} dateOfBirth - Date of birth (YYYY-MM-DD)
+ * @param {Date} now - Date to calculate the age at
+ * @returns {number} - Age in years
+ */
+const calculateAge = (dateOfBirth, now = new Date()) => {
+  const [year, month, day] = String(dateOfBirth).slice(0, 10).split('-').map(Number);
+  let age = now.getFullYear() - year;
+
+  const birthdayPassed =
+    now.getMonth() + 1 > month || (now.getMonth() + 1 === month && now.getDate() >= day);
+
+  if (!birthdayPassed) {
+    age--;
+  }
+
+  return age;
+};
+
+/**
+ * Work out whether a user may take part in alcohol-related rooms and games
+ * @param {Object} user - User row (date_of_birth, country_code)
+ * @returns {Object} - Status (legal_drinking_age, can_access_alcohol, reason)
+ */
+const evaluateAccess = (user) => {
+  const legalDrinkingAge = getLegalDrinkingAge(user.country_code);
+
+  let reason = null;
+  if (!user.date_of_birth) {
+    reason = 'unverified';
+  } else if (legalDrinkingAge === null) {
+    reason = 'jurisdiction';
+  } else if (calculateAge(user.date_of_birth) < legalDrinkingAge) {
+    reason = 'underage';
+  }
+
+  return {
+    legal_drinking_age: legalDrinkingAge,
+    can_access_alcohol: reason === null,
+    reason,
+  };
+};
+
+/**
+ * Get a user's age verification status
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Status (date_of_birth, country_code, age_verified_at,
+ * age_attestation_rejected_at, legal_drinking_age, can_access_alcohol, reason)
+ */
+const getAgeStatus = async (userId) => {
+  const [user] = await db.query(
+    `SELECT DATE_FORMAT(date_of_birth, '%Y-%m-%d') AS date_of_birth, country_code, age_verified_at,
+    age_attestation_rejected_at
+    FROM users WHERE id = ?`,
+    [userId]
+  );
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return {
+    date_of_birth: user.date_of_birth,
+    country_code: user.country_code,
+    age_verified_at: user.age_verified_at,
+    age_attestation_rejected_at: user.age_attestation_rejected_at,
+    ...evaluateAccess(user),
+  };
+};
+
+/**
+ * Record the date of birth a user attests to
+ * It can only be set once - corrections go through support so it can't be retried until it passes.
+ * An attestation under the minimum age is kept too, so the user can't try again with an older date
+ * @param {string} userId - User ID
+ * @param {Object} attestation - Attestation (dateOfBirth, countryCode)
+ * @param {string} ipAddress - IP address the attestation was made from
+ * @returns {Promise<Object>} - Age verification status
+ */
+const attestAge = async (userId, attestation, ipAddress) => {
+  try {
+    const [user] = await db.query(
+      'SELECT id, phone, age_verified_at, age_attestation_rejected_at FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.age_verified_at) {
+      throw new AppError(
+        'Your date of birth has already been confirmed. Contact support to correct it.',
+        400
+      );
+    }
+
+    if (user.age_attestation_rejected_at) {
+      throw new AppError(
+        `You must be at least ${MINIMUM_ACCOUNT_AGE} to use Booze. Contact support if your date of birth was entered wrongly.`,
+        403
+      );
+    }
+
+    const age = calculateAge(attestation.dateOfBirth);
+
+    if (age < 0 || age > 120) {
+      throw new AppError('Please provide a valid date of birth', 400);
+    }
+
+    // An explicitly selected country wins over the one the phone number suggests
+    const phoneCountry = countryFromPhone(user.phone);
+    const countryCode = attestation.countryCode || phoneCountry;
+    const countrySource = attestation.countryCode ? 'selected' : phoneCountry ? 'phone' : 'unknown';
+
+    if (age < MINIMUM_ACCOUNT_AGE) {
+      await db.query('UPDATE users SET age_attestation_rejected_at = NOW() WHERE id = ?', [userId]);
+
+      auditService.record({
+        actorType: 'user',
+        actorId: userId,
+        action: 'user.age_attestation_rejected',
+        targetType: 'user',
+        targetId: userId,
+        metadata: { age, country_code: countryCode, minimum_age: MINIMUM_ACCOUNT_AGE },
+        ipAddress,
+      });
+
+      throw new AppError(`You must be at least ${MINIMUM_ACCOUNT_AGE} to use Booze`, 403);
+    }
+
+    await db.query(
+      'UPDATE users SET date_of_birth = ?, country_code = ?, age_verified_at = NOW() WHERE id = ?',
+      [attestation.dateOfBirth, countryCode || null, userId]
+    );
+
+    const status = await getAgeStatus(userId);
+
+    // The audit trail keeps the age rather than the date of birth, so it survives account erasure
+    await auditService.record({
+      actorType: 'user',
+      actorId: userId,
+      action: 'user.age_attestation',
+      targetType: 'user',
+      targetId: userId,
+      metadata: {
+        age,
+        country_code: countryCode || null,
+        country_source: countrySource,
+        legal_drinking_age: status.legal_drinking_age,
+        can_access_alcohol: status.can_access_alcohol,
+      },
+      ipAddress,
+    });
+
+    return status;
+  } catch (error) {
+    logger.error(`Age attestation error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Make sure a user may take part in alcohol-related rooms and games
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const assertCanAccessAlcohol = async (userId) => {
+  const { reason, legal_drinking_age } = await getAgeStatus(userId);
+
+  if (reason === 'unverified') {
+    throw new AppError('Confirm your date of birth to join alcohol-related rooms and games', 403, {
+      reason,
+    });
+  }
+
+  if (reason === 'jurisdiction') {
+    throw new AppError('Alcohol-related rooms and games are not available in your country', 403, {
+      reason,
+    });
+  }
+
+  if (reason === 'underage') {
+    throw new AppError(
+      `You must be at least ${legal_drinking_age} to join alcohol-related rooms and games`,
+      403,
+      { reason }
+    );
+  }
+};
+
+/**
+ * Check whether a user may take part in alcohol-related rooms and games
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether the user may take part
+ */
+const canAccessAlcohol = async (userId) => {
+  const { can_access_alcohol } = await getAgeStatus(userId);
+  return can_access_alcohol;
+};
+
+module.exports = {
+  getLegalDrinkingAge,
+  countryFromPhone,
+  calculateAge,
+  getAgeStatus,
+  attestAge,
+  assertCanAccessAlcohol,
+  canAccessAlcohol,
+};
@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Record an audit log entry
+ * Failures are logged but never break the action being audited
+ * @param {Object} entry - Entry (actorType, actorId, action, targetType, targetId, metadata, ipAddress)
+ * @returns {Promise<void>}
+ */
+const record = async (entry) => {
+  try {
+    const { actorType, actorId, action, targetType, targetId, metadata, ipAddress } = entry;
+
+    await db.query(
+      `INSERT INTO audit_logs
+      (id, actor_type, actor_id, action, target_type, target_id, metadata, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        actorType,
+        actorId || null,
+        action,
+        targetType || null,
+        targetId || null,
+        JSON.stringify(metadata || {}),
+        ipAddress || null,
+      ]
+    );
+  } catch (error) {
+    logger.error(`Audit log error: ${error.message}`);
+  }
+};
+
+/**
+ * Get the actor of a request for audit entries
+ * @param {Object} req - Express request
+ * @returns {Object} - Actor fields (actorType, actorId, ipAddress)
+ */
+const actorFromRequest = (req) => {
+  if (req.serviceAccount) {
+    return {
+      actorType: 'service_account',
+      actorId: req.serviceAccount.id,
+      ipAddress: req.ip,
+    };
+  }
+
+  return {
+    actorType: 'user',
+    actorId: req.user ? req.user.id : null,
+    ipAddress: req.ip,
+  };
+};
+
+/**
+ * Search audit logs
+ * @param {Object} filters - Filters (actorType, actorId, action, targetType, targetId)
+ * @param {number} limit - Number of entries to return
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Array>} - Audit log entries, newest first
+ */
+const getAuditLogs = async (filters = {}, limit = 50, offset = 0) => {
+  try {
+    const conditions = [];
+    const values = [];
+
+    const columns = {
+      actorType: 'actor_type',
+      actorId: 'actor_id',
+      action: 'action',
+      targetType: 'target_type',
+      targetId: 'target_id',
+    };
+
+    for (const [filter, column] of Object.entries(columns)) {
+      if (filters[filter]) {
+        conditions.push(`${column} = ?`);
+        values.push(filters[filter]);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const logs = await db.query(
+      `SELECT id, actor_type, actor_id, action, target_type, target_id, metadata, ip_address, created_at
+      FROM audit_logs ${where}
+      ORDER BY created_at DESC
+      LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      values
+    );
+
+    return logs.map((log) => ({
+      ...log,
+      metadata: typeof log.metadata === 'string' ? JSON.parse(log.metadata) : log.metadata,
+    }));
+  } catch (error) {
+    logger.error(`Get audit logs error: ${error.message}`);
+    throw new AppError('Failed to retrieve audit logs', 500);
+  }
+};
+
+module.exports = {
+  record,
+  actorFromRequest,
+  getAuditLogs,
+};
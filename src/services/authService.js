@@ -1,60 +1,336 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const twilio = require('twilio');
 const { AppError } = require('../utils/errorHandler');
 const db = require('../config/database');
 const logger = require('../config/logger');
+const socket = require('../config/socket');
+const deviceService = require('./deviceService');
+const roleService = require('./roleService');
+const contactService = require('./contactService');
+const { verifyIdToken } = require('../utils/socialTokenVerifier');
+const { lookupLocation } = require('../utils/geoip');
+const { sendSms } = require('../utils/sms');
+const { sendMail } = require('../utils/mail');
+const {
+  hashToken,
+  hmac,
+  safeEqual,
+  generateNumericCode,
+  encrypt,
+  decrypt,
+} = require('../utils/security');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
 
-// Initialize Twilio client
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// Session ID -> timestamp of the last last_active_time write
+const sessionTouches = new Map();
 
 /**
  * Generate JWT token
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID the token belongs to
  * @returns {string} - JWT token
  */
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRES_IN,
   });
 };
 
 /**
  * Generate refresh token
+ * Refresh tokens are bound to a session and carry a unique ID (jti) so each one can be used once
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} tokenId - Unique token ID
  * @returns {string} - Refresh token
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
+const generateRefreshToken = (userId, sessionId, tokenId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
+    jwtid: tokenId,
   });
 };
 
+/**
+ * Issue a new token pair for a session, replacing the session's current refresh token
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Access and refresh tokens
+ */
+const issueSessionTokens = async (userId, sessionId) => {
+  const tokenId = uuidv4();
+
+  await db.query('UPDATE user_sessions SET refresh_token_hash = ? WHERE id = ?', [
+    hashToken(tokenId),
+    sessionId,
+  ]);
+
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken: generateRefreshToken(userId, sessionId, tokenId),
+  };
+};
+
+/**
+ * Stop logins to deleted accounts
+ * Accounts still in their deletion grace period may log in - the new session cancels the deletion
+ * @param {Object} user - User row (id, account_status)
+ * @returns {Promise<void>}
+ */
+const assertAccountNotDeleted = async (user) => {
+  if (user.account_status !== 'deleted') {
+    return;
+  }
+
+  const [pending] = await db.query(
+    'SELECT status_before_deletion FROM users WHERE id = ? AND deletion_scheduled_for > NOW()',
+    [user.id]
+  );
+
+  if (!pending) {
+    throw new AppError('This account has been deleted', 400);
+  }
+
+  user.account_status = pending.status_before_deletion || 'active';
+};
+
+/**
+ * Create a login session and issue its tokens
+ * @param {string} userId - User ID
+ * @param {Object} deviceInfo - Device information, accountGroupId links the session to
+ * the accounts already signed in on the device
+ * @returns {Promise<Object>} - Session ID, tokens and the device secret when one was issued
+ */
+const createSession = async (userId, deviceInfo = {}) => {
+  const [user] = await db.query('SELECT suspended_at FROM users WHERE id = ?', [userId]);
+
+  if (user && user.suspended_at) {
+    throw new AppError('This account has been suspended', 403);
+  }
+
+  // Logging in during the grace period cancels a scheduled account deletion
+  const cancelled = await db.query(
+    `UPDATE users SET account_status = COALESCE(status_before_deletion, 'active'),
+    status_before_deletion = NULL, deletion_requested_at = NULL, deletion_scheduled_for = NULL
+    WHERE id = ? AND account_status = 'deleted' AND deletion_scheduled_for > NOW()`,
+    [userId]
+  );
+  if (cancelled.affectedRows > 0) {
+    logger.info(`Scheduled deletion of user ${userId} cancelled by login`);
+  }
+
+  const sessionId = uuidv4();
+  const accountGroupId = deviceInfo.accountGroupId || sessionId;
+  const location = lookupLocation(deviceInfo.ipAddress);
+
+  await db.query(
+    `INSERT INTO user_sessions
+    (id, user_id, device_name, device_id, ip_address, location, country_code, user_agent, account_group_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      userId,
+      deviceInfo.deviceName || null,
+      deviceInfo.deviceId || null,
+      deviceInfo.ipAddress || null,
+      location ? location.label : null,
+      location ? location.country : null,
+      deviceInfo.userAgent || null,
+      accountGroupId,
+    ]
+  );
+
+  // Alert the user about new devices and countries, and trust this device from now on
+  const deviceSecret = await deviceService.recordDeviceLogin(
+    userId,
+    sessionId,
+    deviceInfo,
+    location
+  );
+
+  // Signing in to an account that is already linked on this device replaces its old session
+  if (deviceInfo.accountGroupId) {
+    const previous = await db.query(
+      `SELECT id FROM user_sessions
+      WHERE account_group_id = ? AND user_id = ? AND id != ? AND is_active = TRUE`,
+      [accountGroupId, userId, sessionId]
+    );
+
+    for (const session of previous) {
+      await db.query(
+        'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE id = ?',
+        [session.id]
+      );
+      socket.disconnectSession(userId, session.id, { reason: 'replaced' });
+    }
+  }
+
+  const tokens = await issueSessionTokens(userId, sessionId);
+
+  return {
+    sessionId,
+    ...tokens,
+    deviceSecret,
+  };
+};
+
+/**
+ * Resolve the account group of the device a login comes from
+ * The device proves it holds another account by sending that account's access token
+ * @param {string} linkToken - Access token of an account already signed in on the device
+ * @returns {Promise<string|null>} - Account group ID, or null when no token was sent
+ */
+const resolveAccountGroup = async (linkToken) => {
+  if (!linkToken) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(linkToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid link token. Please sign in to the other account again.', 401);
+  }
+
+  const [session] = decoded.sid
+    ? await db.query(
+        'SELECT id, account_group_id FROM user_sessions WHERE id = ? AND user_id = ? AND is_active = TRUE',
+        [decoded.sid, decoded.id]
+      )
+    : [];
+
+  if (!session) {
+    throw new AppError('Invalid link token. Please sign in to the other account again.', 401);
+  }
+
+  // Sessions created before account groups existed start their own group
+  if (!session.account_group_id) {
+    await db.query(
+      'UPDATE user_sessions SET account_group_id = id WHERE id = ? AND account_group_id IS NULL',
+      [session.id]
+    );
+    return session.id;
+  }
+
+  return session.account_group_id;
+};
+
+/**
+ * Get an active session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session or null if it is missing or inactive
+ */
+const getActiveSession = async (userId, sessionId) => {
+  const [session] = await db.query(
+    'SELECT id, user_id, device_id FROM user_sessions WHERE id = ? AND user_id = ? AND is_active = TRUE',
+    [sessionId, userId]
+  );
+
+  return session || null;
+};
+
+/**
+ * Record session activity
+ * Writes are throttled to one per SESSION_ACTIVITY_INTERVAL seconds per session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+const touchSession = async (sessionId) => {
+  const interval = parseInt(process.env.SESSION_ACTIVITY_INTERVAL) || 60;
+  const now = Date.now();
+  const lastTouch = sessionTouches.get(sessionId);
+
+  if (lastTouch && now - lastTouch < interval * 1000) {
+    return;
+  }
+
+  sessionTouches.set(sessionId, now);
+
+  // Drop stale entries so the map doesn't grow with every session ever seen
+  if (sessionTouches.size > 10000) {
+    for (const [id, touchedAt] of sessionTouches) {
+      if (now - touchedAt >= interval * 1000) {
+        sessionTouches.delete(id);
+      }
+    }
+  }
+
+  try {
+    // The time condition keeps other API instances from writing within the same interval
+    await db.query(
+      'UPDATE user_sessions SET last_active_time = NOW() WHERE id = ? AND last_active_time < NOW() - INTERVAL ? SECOND',
+      [sessionId, interval]
+    );
+  } catch (error) {
+    logger.error(`Touch session error: ${error.message}`);
+  }
+};
+
 /**
  * Generate a random 6-digit OTP
  * @returns {string} - 6-digit OTP
  */
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return generateNumericCode(6);
+};
+
+/**
+ * Hash an OTP for storage
+ * The phone is part of the input so equal codes for different phones hash differently
+ * @param {string} phone - Phone number
+ * @param {string} otp - OTP code
+ * @returns {string} - OTP hash
+ */
+const hashOTP = (phone, otp) => {
+  return hmac(`${phone}:${otp}`, process.env.OTP_HASH_SECRET || process.env.JWT_SECRET);
+};
+
+/**
+ * Read OTP throttling settings from the environment
+ * @returns {Object} - Limits in seconds / counts
+ */
+const getOTPLimits = () => ({
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  lockoutTime: parseInt(process.env.OTP_LOCKOUT_TIME) || 900,
+  resendCooldown: parseInt(process.env.OTP_RESEND_COOLDOWN) || 60,
+  ipMaxRequests: parseInt(process.env.OTP_IP_MAX_REQUESTS) || 10,
+  ipWindow: parseInt(process.env.OTP_IP_WINDOW) || 3600,
+});
+
+/**
+ * Build a 429 error telling the client when to retry
+ * @param {string} message - Error message
+ * @param {Date} retryAt - Time the client may retry
+ * @returns {AppError} - Throttling error
+ */
+const throttledError = (message, retryAt) => {
+  const seconds = Math.max(1, Math.ceil((new Date(retryAt).getTime() - Date.now()) / 1000));
+  const wait = seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+
+  return new AppError(`${message} Try again in ${wait}.`, 429, { retry_after: seconds });
 };
 
 /**
  * Send OTP via SMS
  * @param {string} phone - Phone number
  * @param {string} otp - OTP code
- * @returns {Promise} - Twilio API response
+ * @param {string} locale - Preferred message locale
+ * @returns {Promise<Object>} - Delivery result from the SMS transport
  */
-const sendOTP = async (phone, otp) => {
+const sendOTP = async (phone, otp, locale) => {
   try {
-    const message = await twilioClient.messages.create({
-      body: `Your Booze app verification code is: ${otp}`,
-      from: process.env.TWILIO_PHONE_NUMBER,
+    return await sendSms({
       to: phone,
+      template: 'otp',
+      params: {
+        code: otp,
+        minutes: Math.ceil(parseInt(process.env.OTP_EXPIRY_TIME) / 60),
+      },
+      locale,
     });
-
-    logger.info(`OTP sent to ${phone}: ${message.sid}`);
-    return message;
   } catch (error) {
     logger.error(`Failed to send OTP: ${error.message}`);
     throw new AppError('Failed to send OTP. Please try again.', 500);
@@ -64,10 +340,46 @@ const sendOTP = async (phone, otp) => {
 /**
  * Request OTP for phone verification
  * @param {string} phone - Phone number
+ * @param {string} ipAddress - IP address of the requester
+ * @param {string} locale - Preferred SMS locale
  * @returns {Promise} - OTP expiry time
  */
-const requestOTP = async (phone) => {
+const requestOTP = async (phone, ipAddress, locale) => {
   try {
+    const limits = getOTPLimits();
+    const now = Date.now();
+
+    // The latest code for this phone carries its lockout and resend cooldown
+    const [latest] = await db.query(
+      'SELECT created_at, locked_until FROM otp_codes WHERE phone = ? ORDER BY created_at DESC LIMIT 1',
+      [phone]
+    );
+
+    if (latest && latest.locked_until && new Date(latest.locked_until).getTime() > now) {
+      throw throttledError('Too many failed attempts.', latest.locked_until);
+    }
+
+    if (latest) {
+      const resendAt = new Date(latest.created_at).getTime() + limits.resendCooldown * 1000;
+      if (resendAt > now) {
+        throw throttledError('Please wait before requesting another OTP.', resendAt);
+      }
+    }
+
+    // Per-IP limit across all phone numbers
+    if (ipAddress) {
+      const windowStart = new Date(now - limits.ipWindow * 1000);
+      const [ipUsage] = await db.query(
+        'SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM otp_codes WHERE ip_address = ? AND created_at > ?',
+        [ipAddress, windowStart]
+      );
+
+      if (ipUsage.count >= limits.ipMaxRequests) {
+        const retryAt = new Date(ipUsage.oldest).getTime() + limits.ipWindow * 1000;
+        throw throttledError('Too many OTP requests from this network.', retryAt);
+      }
+    }
+
     // Generate OTP
     const otp = generateOTP();
 
@@ -75,62 +387,118 @@ const requestOTP = async (phone) => {
     const expiryTime = new Date();
     expiryTime.setSeconds(expiryTime.getSeconds() + parseInt(process.env.OTP_EXPIRY_TIME));
 
-    // Delete any existing OTPs for this phone
-    await db.query('DELETE FROM otp_codes WHERE phone = ?', [phone]);
-
-    // Store OTP in database
-    await db.query('INSERT INTO otp_codes (id, phone, code, expires_at) VALUES (?, ?, ?, ?)', [
-      uuidv4(),
-      phone,
-      otp,
-      expiryTime,
+    // Old rows are kept for a day so cooldowns and per-IP limits can be enforced;
+    // only the latest code for a phone is ever accepted
+    await db.query('DELETE FROM otp_codes WHERE created_at < ?', [
+      new Date(now - Math.max(limits.ipWindow, limits.lockoutTime, 86400) * 1000),
     ]);
 
-    // TODO: Uncomment below line to enable sending OTP via SMS
-    // // Send OTP via SMS
-    // await sendOTP(phone, otp);
+    // Store hashed OTP in database
+    const otpId = uuidv4();
+    await db.query(
+      'INSERT INTO otp_codes (id, phone, code, expires_at, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [otpId, phone, hashOTP(phone, otp), expiryTime, ipAddress || null]
+    );
+
+    // Send OTP via SMS - drop the code if delivery fails so the resend cooldown doesn't apply
+    try {
+      await sendOTP(phone, otp, locale);
+    } catch (error) {
+      await db.query('DELETE FROM otp_codes WHERE id = ?', [otpId]);
+      throw error;
+    }
 
     return {
       expiresAt: expiryTime,
     };
   } catch (error) {
     logger.error(`OTP request error: ${error.message}`);
+    if (error instanceof AppError) {
+      throw error;
+    }
     throw new AppError('Failed to request OTP', 500);
   }
 };
 
 /**
  * Verify OTP
+ * Each code allows OTP_MAX_ATTEMPTS guesses, after that the phone is locked out
  * @param {string} phone - Phone number
  * @param {string} otp - OTP code
  * @returns {Promise<boolean>} - Whether OTP is valid
  */
 const verifyOTP = async (phone, otp) => {
   try {
+    const limits = getOTPLimits();
+
     // Get OTP from database
     const [otpRecord] = await db.query(
-      'SELECT id, code, expires_at FROM otp_codes WHERE phone = ? ORDER BY created_at DESC LIMIT 1',
+      `SELECT id, code, expires_at, is_verified, locked_until
+      FROM otp_codes WHERE phone = ? ORDER BY created_at DESC LIMIT 1`,
       [phone]
     );
 
-    // Check if OTP exists
-    if (!otpRecord) {
+    // Check if OTP exists and hasn't been used
+    if (!otpRecord || otpRecord.is_verified) {
       throw new AppError('Invalid OTP or OTP expired', 400);
     }
 
+    // Check if phone is locked out
+    if (otpRecord.locked_until && new Date(otpRecord.locked_until) > new Date()) {
+      throw throttledError('Too many failed attempts.', otpRecord.locked_until);
+    }
+
     // Check if OTP is expired
     if (new Date() > new Date(otpRecord.expires_at)) {
-      await db.query('DELETE FROM otp_codes WHERE id = ?', [otpRecord.id]);
       throw new AppError('OTP has expired', 400);
     }
 
     // Check if OTP matches
-    if (otpRecord.code !== otp) {
-      throw new AppError('Invalid OTP', 400);
+    if (!safeEqual(otpRecord.code, hashOTP(phone, otp))) {
+      // Count the guess and lock out in one statement so parallel guesses can't exceed the limit.
+      // MySQL applies the assignments in order, so the lockout sees the new attempt count
+      const result = await db.query(
+        `UPDATE otp_codes SET attempts = attempts + 1,
+        locked_until = IF(attempts >= ?, DATE_ADD(NOW(), INTERVAL ? SECOND), locked_until)
+        WHERE id = ? AND is_verified = FALSE AND (locked_until IS NULL OR locked_until < NOW())`,
+        [limits.maxAttempts, limits.lockoutTime, otpRecord.id]
+      );
+
+      const [{ attempts, locked_until }] = await db.query(
+        'SELECT attempts, locked_until FROM otp_codes WHERE id = ?',
+        [otpRecord.id]
+      );
+
+      const isLocked = locked_until && new Date(locked_until) > new Date();
+
+      // Nothing was counted when a parallel request locked the code or used it up
+      if (result.affectedRows === 0 && !isLocked) {
+        throw new AppError('Invalid OTP or OTP expired', 400);
+      }
+
+      if (isLocked || attempts >= limits.maxAttempts) {
+        throw throttledError('Too many failed attempts.', locked_until);
+      }
+
+      const remaining = limits.maxAttempts - attempts;
+      throw new AppError(
+        `Invalid OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`,
+        400,
+        { attempts_remaining: remaining }
+      );
     }
 
-    // Mark OTP as verified
-    await db.query('UPDATE otp_codes SET is_verified = TRUE WHERE id = ?', [otpRecord.id]);
+    // Mark OTP as verified so it can't be used again, unless a parallel request got there first
+    const result = await db.query(
+      `UPDATE otp_codes SET is_verified = TRUE
+      WHERE id = ? AND is_verified = FALSE AND (locked_until IS NULL OR locked_until < NOW())
+      AND expires_at > NOW()`,
+      [otpRecord.id]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('Invalid OTP or OTP expired', 400);
+    }
 
     return true;
   } catch (error) {
@@ -142,9 +510,10 @@ const verifyOTP = async (phone, otp) => {
 /**
  * Register a new user with phone number
  * @param {Object} userData - User data
+ * @param {Object} deviceInfo - Device information
  * @returns {Promise<Object>} - User object and tokens
  */
-const registerWithPhone = async (userData) => {
+const registerWithPhone = async (userData, deviceInfo) => {
   const { phone, otp } = userData;
 
   try {
@@ -161,14 +530,17 @@ const registerWithPhone = async (userData) => {
     // Create user
     const userId = uuidv4();
 
-    await db.query('INSERT INTO users (id, phone) VALUES (?, ?)', [userId, phone]);
+    await db.query('INSERT INTO users (id, phone, phone_hash) VALUES (?, ?, ?)', [
+      userId,
+      phone,
+      contactService.hashPhone(phone),
+    ]);
 
     // Create default notification settings
     await db.query('INSERT INTO notification_settings (user_id) VALUES (?)', [userId]);
 
-    // Generate tokens
-    const token = generateToken(userId);
-    const refreshToken = generateRefreshToken(userId);
+    // Create session
+    const { token, refreshToken, deviceSecret } = await createSession(userId, deviceInfo);
 
     return {
       user: {
@@ -177,6 +549,7 @@ const registerWithPhone = async (userData) => {
       },
       token,
       refreshToken,
+      deviceSecret,
     };
   } catch (error) {
     logger.error(`Registration error: ${error.message}`);
@@ -198,7 +571,7 @@ const loginWithPhone = async (phone, otp, deviceInfo) => {
 
     // Get user
     const [user] = await db.query(
-      'SELECT id, phone, username, account_status FROM users WHERE phone = ?',
+      'SELECT id, phone, username, account_status, two_factor_enabled FROM users WHERE phone = ?',
       [phone]
     );
 
@@ -206,27 +579,21 @@ const loginWithPhone = async (phone, otp, deviceInfo) => {
       throw new AppError('User not found', 404);
     }
 
-    if (user.account_status === 'deleted') {
-      throw new AppError('This account has been deleted', 400);
+    await assertAccountNotDeleted(user);
+
+    // Accounts with two-factor authentication finish logging in with a second code
+    if (user.two_factor_enabled) {
+      return createTwoFactorChallenge(user.id, deviceInfo);
     }
 
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    // New devices wait for approval from a trusted device when the user turned it on
+    const approval = await deviceService.requestApprovalIfNeeded(user.id, deviceInfo);
+    if (approval) {
+      return approval;
+    }
 
     // Create session
-    const sessionId = uuidv4();
-    await db.query(
-      'INSERT INTO user_sessions (id, user_id, device_name, device_id, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?)',
-      [
-        sessionId,
-        user.id,
-        deviceInfo.deviceName,
-        deviceInfo.deviceId,
-        deviceInfo.ipAddress,
-        deviceInfo.userAgent,
-      ]
-    );
+    const { token, refreshToken, deviceSecret } = await createSession(user.id, deviceInfo);
 
     return {
       user: {
@@ -237,6 +604,7 @@ const loginWithPhone = async (phone, otp, deviceInfo) => {
       },
       token,
       refreshToken,
+      deviceSecret,
     };
   } catch (error) {
     logger.error(`Login error: ${error.message}`);
@@ -246,43 +614,66 @@ const loginWithPhone = async (phone, otp, deviceInfo) => {
 
 /**
  * Login with social provider
- * @param {Object} socialData - Social login data
+ * @param {Object} socialData - Social login data (provider, idToken)
+ * @param {Object} deviceInfo - Device information
  * @returns {Promise<Object>} - User object and tokens
  */
 const loginWithSocial = async (socialData, deviceInfo) => {
-  const { provider, providerId, email, name } = socialData;
+  const { provider, idToken } = socialData;
 
   try {
+    // Verify the ID token with the provider's signing keys
+    const { providerId, email, emailVerified } = await verifyIdToken(provider, idToken);
+
     // Check if user exists by provider and providerId
     let [user] = await db.query(
-      'SELECT id, email, username, account_status FROM users WHERE auth_provider = ? AND auth_provider_id = ?',
+      'SELECT id, email, username, account_status, two_factor_enabled FROM users WHERE auth_provider = ? AND auth_provider_id = ?',
       [provider, providerId]
     );
 
-    // If no user found but email exists, check by email
-    if (!user && email) {
+    // If no user found, link by email - but only when the provider vouches for it
+    if (!user && email && emailVerified) {
       [user] = await db.query(
-        'SELECT id, email, username, account_status FROM users WHERE email = ?',
+        `SELECT id, email, username, account_status, two_factor_enabled, email_verified_at,
+        auth_provider, auth_provider_id
+        FROM users WHERE email = ?`,
         [email]
       );
 
-      // If user found by email, update their provider info
       if (user) {
-        await db.query('UPDATE users SET auth_provider = ?, auth_provider_id = ? WHERE id = ?', [
-          provider,
-          providerId,
-          user.id,
-        ]);
+        // Never take over a sign-in that is already linked to another social account
+        if (user.auth_provider_id) {
+          throw new AppError(
+            `An account with this email already signs in with ${user.auth_provider}`,
+            409
+          );
+        }
+
+        // Anyone can register an address they don't own, so only link once the account has
+        // proven it - otherwise whoever registered it first would get the owner's sign-ins
+        if (!user.email_verified_at) {
+          throw new AppError(
+            'An account with this email already exists but the email has not been verified. Verify it or reset the password, then sign in again',
+            409
+          );
+        }
+
+        await db.query(
+          `UPDATE users SET auth_provider = ?, auth_provider_id = ?
+          WHERE id = ? AND auth_provider_id IS NULL AND email_verified_at IS NOT NULL`,
+          [provider, providerId, user.id]
+        );
       }
     }
 
     // If still no user, create a new one
     if (!user) {
       const userId = uuidv4();
+      const userEmail = emailVerified ? email : null;
 
       await db.query(
         'INSERT INTO users (id, email, auth_provider, auth_provider_id) VALUES (?, ?, ?, ?)',
-        [userId, email, provider, providerId]
+        [userId, userEmail, provider, providerId]
       );
 
       // Create default notification settings
@@ -290,33 +681,27 @@ const loginWithSocial = async (socialData, deviceInfo) => {
 
       user = {
         id: userId,
-        email,
+        email: userEmail,
         username: null,
         account_status: 'active',
       };
     }
 
-    if (user.account_status === 'deleted') {
-      throw new AppError('This account has been deleted', 400);
+    await assertAccountNotDeleted(user);
+
+    // Accounts with two-factor authentication finish logging in with a second code
+    if (user.two_factor_enabled) {
+      return createTwoFactorChallenge(user.id, deviceInfo);
     }
 
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    // New devices wait for approval from a trusted device when the user turned it on
+    const approval = await deviceService.requestApprovalIfNeeded(user.id, deviceInfo);
+    if (approval) {
+      return approval;
+    }
 
     // Create session
-    const sessionId = uuidv4();
-    await db.query(
-      'INSERT INTO user_sessions (id, user_id, device_name, device_id, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?)',
-      [
-        sessionId,
-        user.id,
-        deviceInfo.deviceName,
-        deviceInfo.deviceId,
-        deviceInfo.ipAddress,
-        deviceInfo.userAgent,
-      ]
-    );
+    const { token, refreshToken, deviceSecret } = await createSession(user.id, deviceInfo);
 
     return {
       user: {
@@ -327,6 +712,7 @@ const loginWithSocial = async (socialData, deviceInfo) => {
       },
       token,
       refreshToken,
+      deviceSecret,
     };
   } catch (error) {
     logger.error(`Social login error: ${error.message}`);
@@ -335,95 +721,1242 @@ const loginWithSocial = async (socialData, deviceInfo) => {
 };
 
 /**
- * Refresh JWT token
- * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} - New tokens
+ * Email link settings per purpose
  */
-const refreshToken = async (refreshToken) => {
-  try {
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+const emailLinkSettings = {
+  verify_email: {
+    path: '/verify-email',
+    expiresIn: () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRY) || 86400,
+  },
+  password_reset: {
+    path: '/reset-password',
+    expiresIn: () => parseInt(process.env.PASSWORD_RESET_EXPIRY) || 3600,
+  },
+  magic_link: {
+    path: '/magic-login',
+    expiresIn: () => parseInt(process.env.MAGIC_LINK_EXPIRY) || 900,
+  },
+};
 
-    // Check if user exists
-    const [user] = await db.query(
-      'SELECT id FROM users WHERE id = ? AND account_status != "deleted"',
-      [decoded.id]
-    );
+/**
+ * Normalize an email address for storage and lookup
+ * @param {string} email - Email address
+ * @returns {string} - Trimmed, lower-cased email
+ */
+const normalizeEmail = (email) =>
+  String(email || '')
+    .trim()
+    .toLowerCase();
 
-    if (!user) {
-      throw new AppError('Invalid refresh token', 401);
-    }
+// Hash compared against when an email has no account, created on first use
+let dummyPasswordHash;
 
-    // Generate new tokens
-    const token = generateToken(user.id);
-    const newRefreshToken = generateRefreshToken(user.id);
+/**
+ * Hash a password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+const hashPassword = (password) => {
+  return bcrypt.hash(password, parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12);
+};
 
-    return {
-      token,
-      refreshToken: newRefreshToken,
-    };
-  } catch (error) {
-    logger.error(`Token refresh error: ${error.message}`);
-    throw new AppError('Invalid refresh token', 401);
+/**
+ * Create a signed, single-use email link and mail it
+ * The link carries a JWT whose ID is stored hashed in email_tokens until it is used
+ * @param {Object} user - User (id, email)
+ * @param {string} purpose - verify_email, password_reset or magic_link
+ * @returns {Promise<void>}
+ */
+const sendEmailLink = async (user, purpose) => {
+  const settings = emailLinkSettings[purpose];
+  const expiresIn = settings.expiresIn();
+  const email = normalizeEmail(user.email);
+
+  // One link per address and purpose per EMAIL_RESEND_COOLDOWN seconds
+  const cooldown = parseInt(process.env.EMAIL_RESEND_COOLDOWN) || 60;
+  const [latest] = await db.query(
+    'SELECT created_at FROM email_tokens WHERE email = ? AND purpose = ? ORDER BY created_at DESC LIMIT 1',
+    [email, purpose]
+  );
+
+  if (latest) {
+    const resendAt = new Date(latest.created_at).getTime() + cooldown * 1000;
+    if (resendAt > Date.now()) {
+      throw throttledError('Please wait before requesting another email.', resendAt);
+    }
   }
+
+  const tokenId = uuidv4();
+  const token = jwt.sign(
+    { id: user.id, purpose },
+    process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET,
+    { expiresIn, jwtid: tokenId }
+  );
+
+  await db.query(
+    `INSERT INTO email_tokens (id, user_id, email, purpose, token_hash, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), user.id, email, purpose, hashToken(tokenId), new Date(Date.now() + expiresIn * 1000)]
+  );
+
+  const baseUrl = process.env.EMAIL_LINK_BASE_URL || process.env.CLIENT_URL;
+  const expires =
+    expiresIn < 7200
+      ? `${Math.ceil(expiresIn / 60)} minutes`
+      : `${Math.ceil(expiresIn / 3600)} hours`;
+
+  await sendMail({
+    to: email,
+    template: purpose,
+    params: {
+      link: `${baseUrl}${settings.path}?token=${encodeURIComponent(token)}`,
+      expires,
+    },
+  });
 };
 
 /**
- * Logout user
- * @param {string} userId - User ID
- * @param {string} deviceId - Device ID
- * @returns {Promise<boolean>} - Logout success
+ * Consume a signed email link token
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object>} - Token owner (user_id, email)
  */
-const logout = async (userId, deviceId) => {
+const consumeEmailToken = async (token, purpose) => {
+  let decoded;
   try {
-    // Invalidate session for the specific device
-    if (deviceId) {
-      await db.query(
-        'UPDATE user_sessions SET is_active = FALSE WHERE user_id = ? AND device_id = ?',
-        [userId, deviceId]
-      );
-    } else {
-      // Invalidate all sessions for this user
-      await db.query('UPDATE user_sessions SET is_active = FALSE WHERE user_id = ?', [userId]);
-    }
-
-    return true;
+    decoded = jwt.verify(token, process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET);
   } catch (error) {
-    logger.error(`Logout error: ${error.message}`);
-    throw new AppError('Logout failed', 500);
+    throw new AppError('This link is invalid or has expired', 400);
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new AppError('This link is invalid or has expired', 400);
+  }
+
+  const tokenHash = hashToken(decoded.jti);
+  const [record] = await db.query(
+    'SELECT id, user_id, email FROM email_tokens WHERE token_hash = ? AND purpose = ?',
+    [tokenHash, purpose]
+  );
+
+  if (!record) {
+    throw new AppError('This link is invalid or has expired', 400);
   }
+
+  // Mark as used - the condition makes a second use of the same link fail
+  const result = await db.query(
+    'UPDATE email_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [record.id]
+  );
+
+  if (result.affectedRows !== 1) {
+    throw new AppError('This link has already been used', 400);
+  }
+
+  return record;
 };
 
 /**
- * Get user's login activity
- * @param {string} userId - User ID
- * @returns {Promise<Array>} - Login sessions
+ * Register a new user with email and password
+ * @param {Object} userData - User data (email, password)
+ * @param {Object} deviceInfo - Device information
+ * @returns {Promise<Object>} - User object and tokens
  */
-const getLoginActivity = async (userId) => {
+const registerWithEmail = async (userData, deviceInfo) => {
+  const email = normalizeEmail(userData.email);
+
   try {
-    const sessions = await db.query(
-      `SELECT id, device_name, device_id, ip_address, location, 
-      login_time, last_active_time, is_active, user_agent 
-      FROM user_sessions 
-      WHERE user_id = ? 
-      ORDER BY last_active_time DESC`,
-      [userId]
-    );
+    // Check if user already exists
+    const [existingUser] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+
+    if (existingUser) {
+      throw new AppError('An account with this email already exists', 400);
+    }
+
+    // Create user
+    const userId = uuidv4();
+    const passwordHash = await hashPassword(userData.password);
+
+    await db.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [
+      userId,
+      email,
+      passwordHash,
+    ]);
+
+    // Create default notification settings
+    await db.query('INSERT INTO notification_settings (user_id) VALUES (?)', [userId]);
+
+    // Send verification email - registration still succeeds if mail is down
+    try {
+      await sendEmailLink({ id: userId, email }, 'verify_email');
+    } catch (error) {
+      logger.error(`Verification email error: ${error.message}`);
+    }
 
-    return sessions;
+    // Create session
+    const { token, refreshToken, deviceSecret } = await createSession(userId, deviceInfo);
+
+    return {
+      user: {
+        id: userId,
+        email,
+        email_verified: false,
+      },
+      token,
+      refreshToken,
+      deviceSecret,
+    };
   } catch (error) {
-    logger.error(`Get login activity error: ${error.message}`);
-    throw new AppError('Failed to retrieve login activity', 500);
+    logger.error(`Email registration error: ${error.message}`);
+    throw error;
   }
 };
 
 /**
- * Switch between active accounts
- * This is a placeholder function - actual implementation would depend on how you handle multiple accounts
+ * Login with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @param {Object} deviceInfo - Device information
+ * @returns {Promise<Object>} - User object and tokens
  */
-const switchAccount = async (userId, targetAccountId) => {
-  // This would be implemented based on your multiple account management system
-  throw new AppError('Not implemented', 501);
+const loginWithEmail = async (email, password, deviceInfo) => {
+  try {
+    const [user] = await db.query(
+      `SELECT id, email, username, password, account_status, email_verified_at, two_factor_enabled
+      FROM users WHERE email = ?`,
+      [normalizeEmail(email)]
+    );
+
+    // Compare against a dummy hash when there is no user so timing doesn't reveal accounts
+    if (!dummyPasswordHash) {
+      dummyPasswordHash = await hashPassword(uuidv4());
+    }
+    const passwordHash = (user && user.password) || dummyPasswordHash;
+    const isMatch = await bcrypt.compare(password, passwordHash);
+
+    if (!user || !user.password || !isMatch) {
+      throw new AppError('Invalid email or password', 401);
+    }
+
+    await assertAccountNotDeleted(user);
+
+    // Accounts with two-factor authentication finish logging in with a second code
+    if (user.two_factor_enabled) {
+      return createTwoFactorChallenge(user.id, deviceInfo);
+    }
+
+    // New devices wait for approval from a trusted device when the user turned it on
+    const approval = await deviceService.requestApprovalIfNeeded(user.id, deviceInfo);
+    if (approval) {
+      return approval;
+    }
+
+    // Create session
+    const { token, refreshToken, deviceSecret } = await createSession(user.id, deviceInfo);
+
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        status: user.account_status,
+        email_verified: !!user.email_verified_at,
+      },
+      token,
+      refreshToken,
+      deviceSecret,
+    };
+  } catch (error) {
+    logger.error(`Email login error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send a new verification email to the user's current address
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const requestEmailVerification = async (userId) => {
+  try {
+    const [user] = await db.query('SELECT id, email, email_verified_at FROM users WHERE id = ?', [
+      userId,
+    ]);
+
+    if (!user || !user.email) {
+      throw new AppError('Add an email address to your profile first', 400);
+    }
+
+    if (user.email_verified_at) {
+      throw new AppError('Email is already verified', 400);
+    }
+
+    await sendEmailLink(user, 'verify_email');
+
+    return true;
+  } catch (error) {
+    logger.error(`Request email verification error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Verify an email address from a verification link
+ * @param {string} token - Token from the link
+ * @returns {Promise<boolean>} - Success status
+ */
+const verifyEmail = async (token) => {
+  try {
+    const record = await consumeEmailToken(token, 'verify_email');
+
+    // Only verify the address the link was sent to, not one changed since
+    const result = await db.query(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email = ?',
+      [record.user_id, record.email]
+    );
+
+    if (result.affectedRows !== 1) {
+      throw new AppError('This link is invalid or has expired', 400);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send a password reset link
+ * Succeeds silently for unknown addresses so the endpoint can't be used to find accounts
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} - Success status
+ */
+const requestPasswordReset = async (email) => {
+  try {
+    const [user] = await db.query(
+      "SELECT id, email FROM users WHERE email = ? AND account_status != 'deleted'",
+      [normalizeEmail(email)]
+    );
+
+    if (user) {
+      await sendEmailLink(user, 'password_reset');
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Password reset request error: ${error.message}`);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to send password reset email', 500);
+  }
+};
+
+/**
+ * Reset password from a reset link
+ * All sessions are revoked so a compromised device loses access
+ * @param {string} token - Token from the link
+ * @param {string} password - New password
+ * @returns {Promise<boolean>} - Success status
+ */
+const resetPassword = async (token, password) => {
+  try {
+    const record = await consumeEmailToken(token, 'password_reset');
+    const passwordHash = await hashPassword(password);
+
+    // The reset link proves control of the address, so it also verifies it
+    await db.query(
+      `UPDATE users SET password = ?,
+      email_verified_at = CASE WHEN email = ? THEN COALESCE(email_verified_at, NOW()) ELSE email_verified_at END
+      WHERE id = ?`,
+      [passwordHash, record.email, record.user_id]
+    );
+
+    const sessions = await db.query(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND is_active = TRUE',
+      [record.user_id]
+    );
+    await db.query(
+      'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE user_id = ?',
+      [record.user_id]
+    );
+    for (const session of sessions) {
+      socket.disconnectSession(record.user_id, session.id, { reason: 'password_reset' });
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send a passwordless login link
+ * Succeeds silently for unknown addresses so the endpoint can't be used to find accounts
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} - Success status
+ */
+const requestMagicLink = async (email) => {
+  try {
+    const [user] = await db.query(
+      "SELECT id, email FROM users WHERE email = ? AND account_status != 'deleted'",
+      [normalizeEmail(email)]
+    );
+
+    if (user) {
+      await sendEmailLink(user, 'magic_link');
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Magic link request error: ${error.message}`);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to send login link', 500);
+  }
+};
+
+/**
+ * Login with a magic link
+ * @param {string} token - Token from the link
+ * @param {Object} deviceInfo - Device information
+ * @returns {Promise<Object>} - User object and tokens
+ */
+const loginWithMagicLink = async (token, deviceInfo) => {
+  try {
+    const record = await consumeEmailToken(token, 'magic_link');
+
+    const [user] = await db.query(
+      'SELECT id, email, username, account_status, two_factor_enabled FROM users WHERE id = ? AND email = ?',
+      [record.user_id, record.email]
+    );
+
+    if (!user) {
+      throw new AppError('This link is invalid or has expired', 400);
+    }
+
+    await assertAccountNotDeleted(user);
+
+    // Following the link proves control of the address
+    await db.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+      [user.id]
+    );
+
+    // Accounts with two-factor authentication finish logging in with a second code
+    if (user.two_factor_enabled) {
+      return createTwoFactorChallenge(user.id, deviceInfo);
+    }
+
+    // New devices wait for approval from a trusted device when the user turned it on
+    const approval = await deviceService.requestApprovalIfNeeded(user.id, deviceInfo);
+    if (approval) {
+      return approval;
+    }
+
+    // Create session
+    const {
+      token: accessToken,
+      refreshToken,
+      deviceSecret,
+    } = await createSession(user.id, deviceInfo);
+
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        status: user.account_status,
+        email_verified: true,
+      },
+      token: accessToken,
+      refreshToken,
+      deviceSecret,
+    };
+  } catch (error) {
+    logger.error(`Magic link login error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Refresh JWT token
+ * Rotates the session's refresh token. Presenting a refresh token that was already
+ * rotated out means it leaked, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} - New tokens
+ */
+const refreshToken = async (refreshToken) => {
+  try {
+    // Verify refresh token
+    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+    // Tokens issued before session binding cannot be rotated
+    if (!decoded.sid || !decoded.jti) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    // Check that the session is still active and belongs to a live user
+    const [session] = await db.query(
+      `SELECT s.id, s.user_id, s.is_active, s.refresh_token_hash
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = ? AND s.user_id = ? AND u.account_status != 'deleted'`,
+      [decoded.sid, decoded.id]
+    );
+
+    if (!session || !session.is_active) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const presentedHash = hashToken(decoded.jti);
+
+    if (session.refresh_token_hash !== presentedHash) {
+      await revokeSessionForReuse(session.id);
+      throw new AppError('Refresh token has already been used. Please log in again.', 401);
+    }
+
+    // Rotate - the conditional update makes concurrent use of the same token fail
+    const tokenId = uuidv4();
+    const result = await db.query(
+      'UPDATE user_sessions SET refresh_token_hash = ? WHERE id = ? AND refresh_token_hash = ? AND is_active = TRUE',
+      [hashToken(tokenId), session.id, presentedHash]
+    );
+
+    if (result.affectedRows !== 1) {
+      await revokeSessionForReuse(session.id);
+      throw new AppError('Refresh token has already been used. Please log in again.', 401);
+    }
+
+    return {
+      token: generateToken(session.user_id, session.id),
+      refreshToken: generateRefreshToken(session.user_id, session.id, tokenId),
+    };
+  } catch (error) {
+    logger.error(`Token refresh error: ${error.message}`);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Invalid refresh token', 401);
+  }
+};
+
+/**
+ * Revoke a session after its refresh token was reused
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+const revokeSessionForReuse = async (sessionId) => {
+  logger.warn(`Refresh token reuse detected, revoking session ${sessionId}`);
+  await db.query(
+    'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE id = ?',
+    [sessionId]
+  );
+};
+
+/**
+ * Logout user
+ * Only the session making the request is logged out unless a device is given;
+ * other devices are logged out with revokeOtherSessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session making the request
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<boolean>} - Logout success
+ */
+const logout = async (userId, sessionId, deviceId) => {
+  try {
+    if (!deviceId) {
+      return await revokeSession(userId, sessionId);
+    }
+
+    // Invalidate the sessions for the specific device
+    const sessions = await db.query(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND device_id = ? AND is_active = TRUE',
+      [userId, deviceId]
+    );
+    await db.query(
+      'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE user_id = ? AND device_id = ?',
+      [userId, deviceId]
+    );
+    for (const session of sessions) {
+      socket.disconnectSession(userId, session.id, { reason: 'logout' });
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Logout failed', 500);
+  }
+};
+
+/**
+ * Get user's login activity
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Promise<Array>} - Login sessions
+ */
+const getLoginActivity = async (userId, currentSessionId) => {
+  try {
+    const sessions = await db.query(
+      `SELECT id, device_name, device_id, ip_address, location, 
+      login_time, last_active_time, is_active, user_agent 
+      FROM user_sessions 
+      WHERE user_id = ? 
+      ORDER BY last_active_time DESC`,
+      [userId]
+    );
+
+    return sessions.map((session) => ({
+      ...session,
+      is_current: session.id === currentSessionId,
+    }));
+  } catch (error) {
+    logger.error(`Get login activity error: ${error.message}`);
+    throw new AppError('Failed to retrieve login activity', 500);
+  }
+};
+
+/**
+ * Revoke a single session and disconnect its live sockets
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<boolean>} - Success status
+ */
+const revokeSession = async (userId, sessionId) => {
+  try {
+    const [session] = await db.query(
+      'SELECT id, is_active FROM user_sessions WHERE id = ? AND user_id = ?',
+      [sessionId, userId]
+    );
+
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    if (session.is_active) {
+      await db.query(
+        'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE id = ?',
+        [sessionId]
+      );
+    }
+
+    // Kick the device off even if the row was already inactive
+    socket.disconnectSession(userId, sessionId, { reason: 'revoked' });
+
+    return true;
+  } catch (error) {
+    logger.error(`Revoke session error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every active session except the current one
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session to keep
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  try {
+    const sessions = await db.query(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND id != ? AND is_active = TRUE',
+      [userId, currentSessionId]
+    );
+
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    await db.query(
+      'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE user_id = ? AND id != ? AND is_active = TRUE',
+      [userId, currentSessionId]
+    );
+
+    for (const session of sessions) {
+      socket.disconnectSession(userId, session.id, { reason: 'revoked' });
+    }
+
+    return sessions.length;
+  } catch (error) {
+    logger.error(`Revoke other sessions error: ${error.message}`);
+    throw new AppError('Failed to log out other devices', 500);
+  }
+};
+
+/**
+ * Get the current session's account group
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Current session ID
+ * @returns {Promise<string>} - Account group ID
+ */
+const getAccountGroupId = async (userId, sessionId) => {
+  const [session] = await db.query(
+    'SELECT id, account_group_id FROM user_sessions WHERE id = ? AND user_id = ? AND is_active = TRUE',
+    [sessionId, userId]
+  );
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  return session.account_group_id || session.id;
+};
+
+/**
+ * Get the accounts signed in on the current device
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Current session ID
+ * @returns {Promise<Array>} - Linked accounts
+ */
+const getLinkedAccounts = async (userId, sessionId) => {
+  try {
+    const accountGroupId = await getAccountGroupId(userId, sessionId);
+
+    const accounts = await db.query(
+      `SELECT u.id, u.username, u.profile_picture, MAX(s.last_active_time) AS last_active_time
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE (s.account_group_id = ? OR s.id = ?) AND s.is_active = TRUE
+      AND u.account_status != 'deleted'
+      GROUP BY u.id, u.username, u.profile_picture
+      ORDER BY last_active_time DESC`,
+      [accountGroupId, sessionId]
+    );
+
+    return accounts.map((account) => ({
+      ...account,
+      is_current: account.id === userId,
+    }));
+  } catch (error) {
+    logger.error(`Get linked accounts error: ${error.message}`);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to retrieve linked accounts', 500);
+  }
+};
+
+/**
+ * Switch to another account signed in on the same device
+ * Issues fresh tokens for the target account's own session, which replace the
+ * refresh token the device held for that account
+ * @param {string} userId - Current user ID
+ * @param {string} sessionId - Current session ID
+ * @param {string} targetAccountId - User ID to switch to
+ * @returns {Promise<Object>} - Target user object and tokens
+ */
+const switchAccount = async (userId, sessionId, targetAccountId) => {
+  try {
+    if (targetAccountId === userId) {
+      throw new AppError('You are already using this account', 400);
+    }
+
+    const accountGroupId = await getAccountGroupId(userId, sessionId);
+
+    const [target] = await db.query(
+      `SELECT s.id AS session_id, u.id, u.username, u.profile_picture, u.account_status
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.account_group_id = ? AND s.user_id = ? AND s.is_active = TRUE
+      AND u.account_status != 'deleted'
+      ORDER BY s.last_active_time DESC
+      LIMIT 1`,
+      [accountGroupId, targetAccountId]
+    );
+
+    if (!target) {
+      throw new AppError('This account is not signed in on this device', 403);
+    }
+
+    const { token, refreshToken } = await issueSessionTokens(target.id, target.session_id);
+
+    return {
+      user: {
+        id: target.id,
+        username: target.username,
+        profile_picture: target.profile_picture,
+        status: target.account_status,
+      },
+      token,
+      refreshToken,
+    };
+  } catch (error) {
+    logger.error(`Switch account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get two-factor settings
+ * @returns {Object} - Two-factor settings
+ */
+const getTwoFactorLimits = () => ({
+  maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+  lockoutTime: parseInt(process.env.TWO_FACTOR_LOCKOUT_TIME) || 900,
+  challengeExpiry: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRY) || 300,
+});
+
+/**
+ * Get a user's two-factor state
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - User with two-factor columns
+ */
+const getTwoFactorUser = async (userId) => {
+  const [user] = await db.query(
+    `SELECT id, phone, email, username, account_status, two_factor_enabled,
+    two_factor_secret, two_factor_last_step, two_factor_locked_until
+    FROM users WHERE id = ? AND (account_status != 'deleted' OR deletion_scheduled_for > NOW())`,
+    [userId]
+  );
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Create the challenge returned instead of tokens when an account has two-factor enabled
+ * The device details ride along in the signed token so the session is created as if
+ * the first step had completed it
+ * @param {string} userId - User ID
+ * @param {Object} deviceInfo - Device information
+ * @returns {Object} - Challenge token
+ */
+const createTwoFactorChallenge = (userId, deviceInfo = {}) => {
+  const { challengeExpiry } = getTwoFactorLimits();
+
+  const challengeToken = jwt.sign(
+    {
+      id: userId,
+      purpose: 'two_factor',
+      device: {
+        deviceName: deviceInfo.deviceName || null,
+        deviceId: deviceInfo.deviceId || null,
+        accountGroupId: deviceInfo.accountGroupId || null,
+      },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: challengeExpiry }
+  );
+
+  return {
+    twoFactorRequired: true,
+    challengeToken,
+    expiresIn: challengeExpiry,
+  };
+};
+
+/**
+ * Normalize a recovery code for hashing
+ * @param {string} code - Recovery code as typed
+ * @returns {string} - Lower-case code without separators
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - Plaintext codes, shown to the user once
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const count = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10;
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    let code = '';
+    for (let j = 0; j < 10; j++) {
+      code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  await db.transaction(async (connection) => {
+    await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+    for (const code of codes) {
+      await connection.query(
+        'INSERT INTO two_factor_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+        [uuidv4(), userId, hashToken(normalizeRecoveryCode(code))]
+      );
+    }
+  });
+
+  return codes;
+};
+
+/**
+ * Check a second-factor code - either a TOTP code or an unused recovery code
+ * Failed attempts count towards a lockout shared by login and settings changes
+ * @param {Object} user - User with two-factor columns
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string>} - Method used (totp, recovery_code)
+ */
+const checkTwoFactorCode = async (user, code) => {
+  const { maxAttempts, lockoutTime } = getTwoFactorLimits();
+
+  if (user.two_factor_locked_until && new Date(user.two_factor_locked_until) > new Date()) {
+    throw throttledError('Too many failed attempts.', user.two_factor_locked_until);
+  }
+
+  const step = verifyCode(decrypt(user.two_factor_secret), code);
+
+  if (step !== null) {
+    // Each code works once - the step condition rejects a replay of the last accepted code
+    const result = await db.query(
+      `UPDATE users SET two_factor_last_step = ?, two_factor_failed_attempts = 0
+      WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+      [step, user.id, step]
+    );
+
+    if (result.affectedRows === 1) {
+      return 'totp';
+    }
+  } else {
+    const recoveryCode = normalizeRecoveryCode(code);
+    const result = recoveryCode
+      ? await db.query(
+          `UPDATE two_factor_recovery_codes SET used_at = NOW()
+          WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+          [user.id, hashToken(recoveryCode)]
+        )
+      : { affectedRows: 0 };
+
+    if (result.affectedRows === 1) {
+      await db.query('UPDATE users SET two_factor_failed_attempts = 0 WHERE id = ?', [user.id]);
+      return 'recovery_code';
+    }
+  }
+
+  await db.query(
+    'UPDATE users SET two_factor_failed_attempts = two_factor_failed_attempts + 1 WHERE id = ?',
+    [user.id]
+  );
+
+  const [{ two_factor_failed_attempts: attempts }] = await db.query(
+    'SELECT two_factor_failed_attempts FROM users WHERE id = ?',
+    [user.id]
+  );
+
+  if (attempts >= maxAttempts) {
+    const lockedUntil = new Date(Date.now() + lockoutTime * 1000);
+    await db.query(
+      'UPDATE users SET two_factor_failed_attempts = 0, two_factor_locked_until = ? WHERE id = ?',
+      [lockedUntil, user.id]
+    );
+    throw throttledError('Too many failed attempts.', lockedUntil);
+  }
+
+  const remaining = maxAttempts - attempts;
+  throw new AppError(
+    `Invalid two-factor code. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`,
+    400,
+    { attempts_remaining: remaining }
+  );
+};
+
+/**
+ * Complete a login that is waiting for a second factor
+ * @param {string} challengeToken - Challenge token from the first login step
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} deviceInfo - Device information (ipAddress, userAgent)
+ * @returns {Promise<Object>} - User object and tokens
+ */
+const verifyTwoFactorLogin = async (challengeToken, code, deviceInfo) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new AppError('Your login attempt has expired. Please log in again.', 401);
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+      throw new AppError('Your login attempt has expired. Please log in again.', 401);
+    }
+
+    const user = await getTwoFactorUser(decoded.id);
+
+    if (!user.two_factor_enabled) {
+      throw new AppError('Your login attempt has expired. Please log in again.', 401);
+    }
+
+    await assertAccountNotDeleted(user);
+
+    const method = await checkTwoFactorCode(user, code);
+
+    const sessionDeviceInfo = {
+      ...decoded.device,
+      deviceSecret: deviceInfo.deviceSecret,
+      ipAddress: deviceInfo.ipAddress,
+      userAgent: deviceInfo.userAgent,
+    };
+
+    // New devices wait for approval from a trusted device when the user turned it on
+    const approval = await deviceService.requestApprovalIfNeeded(user.id, sessionDeviceInfo);
+    if (approval) {
+      return approval;
+    }
+
+    // Create session
+    const { token, refreshToken, deviceSecret } = await createSession(user.id, sessionDeviceInfo);
+
+    const [{ remaining }] = await db.query(
+      'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+
+    return {
+      user: {
+        id: user.id,
+        phone: user.phone,
+        email: user.email,
+        username: user.username,
+        status: user.account_status,
+      },
+      token,
+      refreshToken,
+      deviceSecret,
+      method,
+      recoveryCodesRemaining: remaining,
+    };
+  } catch (error) {
+    logger.error(`Two-factor login error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get two-factor status for the security settings screen
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Two-factor status
+ */
+const getTwoFactorStatus = async (userId) => {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    const [{ remaining }] = await db.query(
+      'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+
+    return {
+      enabled: !!user.two_factor_enabled,
+      required: (await roleService.getUserAccess(userId)).requiresTwoFactor,
+      recovery_codes_remaining: user.two_factor_enabled ? remaining : 0,
+    };
+  } catch (error) {
+    logger.error(`Get two-factor status error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * The secret is stored encrypted but stays inactive until a code from it is confirmed
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Secret and otpauth URI for the authenticator app
+ */
+const setupTwoFactor = async (userId) => {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (user.two_factor_enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateSecret();
+
+    await db.query(
+      'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+      [encrypt(secret), userId]
+    );
+
+    const accountName = user.username || user.email || user.phone || user.id;
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, accountName, process.env.TWO_FACTOR_ISSUER || 'Booze'),
+    };
+  } catch (error) {
+    logger.error(`Two-factor setup error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * Other sessions are logged out so every remaining session has passed the second factor
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Current session ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} - Recovery codes
+ */
+const enableTwoFactor = async (userId, sessionId, code) => {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (user.two_factor_enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!user.two_factor_secret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = verifyCode(decrypt(user.two_factor_secret), code);
+
+    if (step === null) {
+      throw new AppError('Invalid two-factor code', 400);
+    }
+
+    await db.query(
+      `UPDATE users SET two_factor_enabled = TRUE, two_factor_last_step = ?,
+      two_factor_failed_attempts = 0, two_factor_locked_until = NULL WHERE id = ?`,
+      [step, userId]
+    );
+
+    const recoveryCodes = await replaceRecoveryCodes(userId);
+
+    await revokeOtherSessions(userId, sessionId);
+
+    return recoveryCodes;
+  } catch (error) {
+    logger.error(`Enable two-factor error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<boolean>} - Success status
+ */
+const disableTwoFactor = async (userId, code) => {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (!user.two_factor_enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if ((await roleService.getUserAccess(userId)).requiresTwoFactor) {
+      throw new AppError(
+        'Two-factor authentication is required for accounts with admin permissions',
+        403
+      );
+    }
+
+    await checkTwoFactorCode(user, code);
+
+    await db.query(
+      `UPDATE users SET two_factor_enabled = FALSE, two_factor_secret = NULL,
+      two_factor_last_step = NULL WHERE id = ?`,
+      [userId]
+    );
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+    return true;
+  } catch (error) {
+    logger.error(`Disable two-factor error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Replace recovery codes, invalidating the old ones
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<Array<string>>} - New recovery codes
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (!user.two_factor_enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    await checkTwoFactorCode(user, code);
+
+    return await replaceRecoveryCodes(userId);
+  } catch (error) {
+    logger.error(`Regenerate recovery codes error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Finish a login that was waiting for approval from a trusted device
+ * The waiting device polls this until the request is approved or denied
+ * @param {string} approvalToken - Approval token from the login response
+ * @returns {Promise<Object>} - Pending status, or user object and tokens once approved
+ */
+const completeDeviceApproval = async (approvalToken) => {
+  try {
+    const request = await deviceService.getApprovalRequestByToken(approvalToken);
+
+    if (request.status === 'pending') {
+      return { pending: true };
+    }
+
+    if (request.status === 'denied') {
+      throw new AppError('This login was denied from one of your trusted devices', 403);
+    }
+
+    if (request.status !== 'approved' || !(await deviceService.claimApprovedRequest(request.id))) {
+      throw new AppError('This login request has expired. Please log in again.', 401);
+    }
+
+    const [user] = await db.query(
+      'SELECT id, phone, email, username, account_status FROM users WHERE id = ?',
+      [request.user_id]
+    );
+
+    if (!user) {
+      throw new AppError('This account has been deleted', 400);
+    }
+
+    await assertAccountNotDeleted(user);
+
+    // Create session
+    const { token, refreshToken, deviceSecret } = await createSession(user.id, {
+      deviceName: request.device_name,
+      deviceId: request.device_id,
+      ipAddress: request.ip_address,
+      userAgent: request.user_agent,
+      accountGroupId: request.account_group_id,
+    });
+
+    return {
+      user: {
+        id: user.id,
+        phone: user.phone,
+        email: user.email,
+        username: user.username,
+        status: user.account_status,
+      },
+      token,
+      refreshToken,
+      deviceSecret,
+    };
+  } catch (error) {
+    logger.error(`Complete device approval error: ${error.message}`);
+    throw error;
+  }
 };
 
 module.exports = {
@@ -432,8 +1965,29 @@ module.exports = {
   registerWithPhone,
   loginWithPhone,
   loginWithSocial,
+  registerWithEmail,
+  loginWithEmail,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  requestMagicLink,
+  loginWithMagicLink,
   refreshToken,
   logout,
   getLoginActivity,
+  revokeSession,
+  revokeOtherSessions,
+  resolveAccountGroup,
+  getLinkedAccounts,
   switchAccount,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  completeDeviceApproval,
+  getActiveSession,
+  touchSession,
 };
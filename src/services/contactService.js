@@ -0,0 +1,180 @@
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const rateLimiter = require('../utils/rateLimiter');
+const { hmac } = require('../utils/security');
+const privacyService = require('./privacyService');
+const friendService = require('./friendService');
+const { CONTACT_MATCH_LIMIT, CONTACT_MATCH_WINDOW_SECONDS } = require('../config/friends');
+
+/**
+ * Contact discovery
+ * Devices hash the phone numbers in their address book with a salt from the server and send only
+ * the hashes. They are compared with the same hash of each user's phone number and never stored
+ */
+
+/**
+ * Hash a phone number the way devices do for contact discovery
+ * @param {string} phone - Phone number in E.164 format
+ * @returns {string|null} - HMAC-SHA256 hex digest, or null if contact discovery isn't configured
+ */
+const hashPhone = (phone) => {
+  const salt = process.env.CONTACT_DISCOVERY_SALT;
+  return salt && phone ? hmac(phone, salt) : null;
+};
+
+/**
+ * Get what devices need to hash phone numbers for contact discovery
+ * @returns {Object} - Hashing scheme (algorithm, salt, phone_format)
+ */
+const getHashingScheme = () => {
+  if (!process.env.CONTACT_DISCOVERY_SALT) {
+    throw new AppError('Contact discovery is not available', 503);
+  }
+
+  return {
+    algorithm: 'hmac-sha256',
+    salt: process.env.CONTACT_DISCOVERY_SALT,
+    phone_format: 'E.164',
+  };
+};
+
+/**
+ * Find users whose phone numbers match hashed contacts
+ * Users who opted out, ghosts (except to their friends) and blocked users are never matched
+ * @param {string} userId - ID of the user matching their contacts
+ * @param {Array<string>} hashes - Hashed phone numbers
+ * @returns {Promise<Array>} - Matches (phone_hash, user, friendship)
+ */
+const matchContacts = async (userId, hashes) => {
+  getHashingScheme();
+
+  const rate = rateLimiter.consume(
+    `contacts:${userId}`,
+    CONTACT_MATCH_LIMIT,
+    CONTACT_MATCH_WINDOW_SECONDS
+  );
+
+  if (!rate.allowed) {
+    const retryAfter = Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000));
+    throw new AppError(
+      `Too many contact matching requests. Try again in ${retryAfter} seconds.`,
+      429,
+      { retry_after: retryAfter }
+    );
+  }
+
+  try {
+    const uniqueHashes = [...new Set(hashes.map((hash) => hash.toLowerCase()))];
+
+    const ghostVisible = privacyService.visibleTo(
+      privacyService.GHOST,
+      'u.id',
+      'u.account_status',
+      userId
+    );
+    const notBlocked = privacyService.notBlocked('u.id', userId);
+    const placeholders = uniqueHashes.map(() => '?').join(',');
+
+    const users = await db.query(
+      `SELECT u.id, u.username, u.profile_picture, u.phone_hash
+      FROM users u
+      WHERE u.phone_hash IN (${placeholders})
+      AND u.contact_discoverable = TRUE
+      AND u.account_status IN ('active', 'ghost', 'private')
+      AND u.username IS NOT NULL AND u.id != ?
+      AND ${ghostVisible.sql}
+      AND ${notBlocked.sql}`,
+      [...uniqueHashes, userId, ...ghostVisible.params, ...notBlocked.params]
+    );
+
+    const statuses = await friendService.getFriendshipStatuses(
+      userId,
+      users.map((user) => user.id)
+    );
+
+    return users.map((user) => ({
+      phone_hash: user.phone_hash,
+      user: {
+        id: user.id,
+        username: user.username,
+        profile_picture: user.profile_picture,
+      },
+      friendship: statuses.get(user.id),
+    }));
+  } catch (error) {
+    logger.error(`Match contacts error: ${error.message}`);
+    throw new AppError('Failed to match contacts', 500);
+  }
+};
+
+/**
+ * Check whether a user can be found by people who have their phone number
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether the user is discoverable
+ */
+const getContactDiscovery = async (userId) => {
+  const [user] = await db.query('SELECT contact_discoverable FROM users WHERE id = ?', [userId]);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return !!user.contact_discoverable;
+};
+
+/**
+ * Opt in to or out of being found by people who have the user's phone number
+ * @param {string} userId - User ID
+ * @param {boolean} discoverable - Whether the user can be found
+ * @returns {Promise<boolean>} - The new setting
+ */
+const setContactDiscovery = async (userId, discoverable) => {
+  try {
+    await db.query('UPDATE users SET contact_discoverable = ? WHERE id = ?', [
+      discoverable,
+      userId,
+    ]);
+
+    return discoverable;
+  } catch (error) {
+    logger.error(`Update contact discovery error: ${error.message}`);
+    throw new AppError('Failed to update contact discovery', 500);
+  }
+};
+
+/**
+ * Hash the phone numbers of users who don't have a contact discovery hash yet
+ * @param {number} limit - Maximum number of users to hash in one run
+ * @returns {Promise<number>} - Number of users hashed
+ */
+const hashMissingPhones = async (limit = 500) => {
+  if (!process.env.CONTACT_DISCOVERY_SALT) {
+    return 0;
+  }
+
+  const users = await db.query(
+    `SELECT id, phone FROM users
+    WHERE phone IS NOT NULL AND phone_hash IS NULL
+    LIMIT ${Number(limit)}`
+  );
+
+  for (const user of users) {
+    await db.query('UPDATE users SET phone_hash = ? WHERE id = ? AND phone = ?', [
+      hashPhone(user.phone),
+      user.id,
+      user.phone,
+    ]);
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  hashPhone,
+  getHashingScheme,
+  matchContacts,
+  getContactDiscovery,
+  setContactDiscovery,
+  hashMissingPhones,
+};
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const socket = require('../config/socket');
+const { lookupLocation } = require('../utils/geoip');
+const { hashToken, safeEqual } = require('../utils/security');
+
+// This will be lazy-loaded to avoid circular dependency
+let notificationService;
+
+/**
+ * Send a security notification, never failing the login that triggered it
+ * @param {string} userId - User ID
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {Object} data - Additional data
+ * @returns {Promise<void>}
+ */
+const notifySecurityEvent = async (userId, title, message, data) => {
+  if (!notificationService) {
+    notificationService = require('./notificationService');
+  }
+
+  try {
+    await notificationService.createNotification({
+      userId,
+      type: 'security',
+      title,
+      message,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Security notification error: ${error.message}`);
+  }
+};
+
+/**
+ * Check whether a device is trusted for a user
+ * The device ID is chosen by the client and shown in the sessions list, so the device also has to
+ * prove it holds the secret it was given when it was trusted
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Client device ID
+ * @param {string} deviceSecret - Secret issued to the device when it was trusted
+ * @returns {Promise<boolean>} - Whether the device is trusted
+ */
+const isTrustedDevice = async (userId, deviceId, deviceSecret) => {
+  if (!deviceId || !deviceSecret) {
+    return false;
+  }
+
+  const [device] = await db.query(
+    'SELECT secret_hash FROM trusted_devices WHERE user_id = ? AND device_id = ?',
+    [userId, deviceId]
+  );
+
+  return !!device && !!device.secret_hash && safeEqual(device.secret_hash, hashToken(deviceSecret));
+};
+
+/**
+ * Record a new session's device and location, alerting the user when either is new
+ * The device becomes trusted once it holds a session, and is given a secret to prove it next time.
+ * Trusting a device again replaces its secret
+ * @param {string} userId - User ID
+ * @param {string} sessionId - New session ID
+ * @param {Object} deviceInfo - Device information (deviceId, deviceSecret, deviceName, ipAddress)
+ * @param {Object|null} location - Location from the GeoIP lookup
+ * @returns {Promise<string|null>} - New device secret, or null if the device already proved itself
+ */
+const recordDeviceLogin = async (userId, sessionId, deviceInfo, location) => {
+  try {
+    const trusted = await isTrustedDevice(userId, deviceInfo.deviceId, deviceInfo.deviceSecret);
+
+    const [{ previousSessions }] = await db.query(
+      'SELECT COUNT(*) AS previousSessions FROM user_sessions WHERE user_id = ? AND id != ?',
+      [userId, sessionId]
+    );
+
+    // The very first login is the device the account was created on
+    if (previousSessions > 0) {
+      const newDevice = !trusted;
+
+      let newCountry = false;
+      if (location) {
+        const [{ seenCountry, knownCountries }] = await db.query(
+          `SELECT SUM(country_code = ?) AS seenCountry, COUNT(country_code) AS knownCountries
+          FROM user_sessions WHERE user_id = ? AND id != ?`,
+          [location.country, userId, sessionId]
+        );
+        newCountry = knownCountries > 0 && !Number(seenCountry);
+      }
+
+      if (newDevice || newCountry) {
+        const deviceName = deviceInfo.deviceName || 'an unknown device';
+        const where = location ? ` in ${location.label}` : '';
+
+        await notifySecurityEvent(
+          userId,
+          newCountry ? 'Login from a new country' : 'New device login',
+          `Your account was signed in on ${deviceName}${where}. If this wasn't you, log out that session and secure your account.`,
+          {
+            sessionId,
+            deviceName: deviceInfo.deviceName || null,
+            ipAddress: deviceInfo.ipAddress || null,
+            location: location ? location.label : null,
+            newDevice,
+            newCountry,
+          }
+        );
+      }
+    }
+
+    if (!deviceInfo.deviceId) {
+      return null;
+    }
+
+    const deviceSecret = trusted ? null : crypto.randomBytes(32).toString('base64url');
+
+    await db.query(
+      `INSERT INTO trusted_devices
+      (id, user_id, device_id, device_name, last_ip_address, last_location, secret_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE device_name = VALUES(device_name), last_ip_address = VALUES(last_ip_address),
+      last_location = VALUES(last_location), secret_hash = COALESCE(?, secret_hash), last_seen_at = NOW()`,
+      [
+        uuidv4(),
+        userId,
+        deviceInfo.deviceId,
+        deviceInfo.deviceName || null,
+        deviceInfo.ipAddress || null,
+        location ? location.label : null,
+        deviceSecret && hashToken(deviceSecret),
+        deviceSecret && hashToken(deviceSecret),
+      ]
+    );
+
+    return deviceSecret;
+  } catch (error) {
+    logger.error(`Record device login error: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Hold a login from a new device until a trusted device approves it
+ * Only applies to users who turned on device approval and have a trusted device signed in
+ * @param {string} userId - User ID
+ * @param {Object} deviceInfo - Device information
+ * @returns {Promise<Object|null>} - Approval request, or null when the login can go ahead
+ */
+const requestApprovalIfNeeded = async (userId, deviceInfo) => {
+  const [user] = await db.query('SELECT require_device_approval FROM users WHERE id = ?', [userId]);
+
+  if (!user || !user.require_device_approval) {
+    return null;
+  }
+
+  if (await isTrustedDevice(userId, deviceInfo.deviceId, deviceInfo.deviceSecret)) {
+    return null;
+  }
+
+  // Without a signed-in trusted device nobody could approve, so don't lock the user out
+  const [approver] = await db.query(
+    `SELECT s.id FROM user_sessions s
+    JOIN trusted_devices d ON d.user_id = s.user_id AND d.device_id = s.device_id
+    WHERE s.user_id = ? AND s.is_active = TRUE
+    LIMIT 1`,
+    [userId]
+  );
+
+  if (!approver) {
+    return null;
+  }
+
+  if (!deviceInfo.deviceId) {
+    throw new AppError('A device ID is required to sign in to this account', 400);
+  }
+
+  const expiresIn = parseInt(process.env.DEVICE_APPROVAL_EXPIRY) || 600;
+  const requestId = uuidv4();
+  const location = lookupLocation(deviceInfo.ipAddress);
+  const locationLabel = location ? location.label : null;
+
+  await db.query(
+    `INSERT INTO device_approval_requests
+    (id, user_id, device_id, device_name, ip_address, location, user_agent, account_group_id, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      requestId,
+      userId,
+      deviceInfo.deviceId,
+      deviceInfo.deviceName || null,
+      deviceInfo.ipAddress || null,
+      locationLabel,
+      deviceInfo.userAgent || null,
+      deviceInfo.accountGroupId || null,
+      new Date(Date.now() + expiresIn * 1000),
+    ]
+  );
+
+  const request = {
+    requestId,
+    deviceName: deviceInfo.deviceName || null,
+    ipAddress: deviceInfo.ipAddress || null,
+    location: locationLabel,
+  };
+
+  await notifySecurityEvent(
+    userId,
+    'Approve new device',
+    `${deviceInfo.deviceName || 'A new device'}${locationLabel ? ` in ${locationLabel}` : ''} is trying to sign in to your account. Approve it from a device you trust.`,
+    request
+  );
+
+  try {
+    socket.emitToUser(userId, 'device-approval-request', request);
+  } catch (socketErr) {
+    logger.error(`Socket emit error: ${socketErr.message}`);
+  }
+
+  const approvalToken = jwt.sign(
+    { rid: requestId, purpose: 'device_approval' },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+
+  return {
+    deviceApprovalRequired: true,
+    approvalToken,
+    expiresIn,
+  };
+};
+
+/**
+ * Get an approval request from the token held by the waiting device
+ * @param {string} approvalToken - Approval token
+ * @returns {Promise<Object>} - Approval request
+ */
+const getApprovalRequestByToken = async (approvalToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(approvalToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('This login request has expired. Please log in again.', 401);
+  }
+
+  if (decoded.purpose !== 'device_approval') {
+    throw new AppError('This login request has expired. Please log in again.', 401);
+  }
+
+  const [request] = await db.query('SELECT * FROM device_approval_requests WHERE id = ?', [
+    decoded.rid,
+  ]);
+
+  if (!request || new Date(request.expires_at) < new Date()) {
+    throw new AppError('This login request has expired. Please log in again.', 401);
+  }
+
+  return request;
+};
+
+/**
+ * Mark an approved request as used so its token can't start a second session
+ * @param {string} requestId - Request ID
+ * @returns {Promise<boolean>} - Whether this call claimed the request
+ */
+const claimApprovedRequest = async (requestId) => {
+  const result = await db.query(
+    "UPDATE device_approval_requests SET status = 'completed' WHERE id = ? AND status = 'approved'",
+    [requestId]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * Check that a session is signed in on one of the user's trusted devices
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+const assertTrustedSession = async (userId, sessionId) => {
+  const [session] = await db.query(
+    `SELECT s.id FROM user_sessions s
+    JOIN trusted_devices d ON d.user_id = s.user_id AND d.device_id = s.device_id
+    WHERE s.id = ? AND s.user_id = ? AND s.is_active = TRUE`,
+    [sessionId, userId]
+  );
+
+  if (!session) {
+    throw new AppError('Only a trusted device can do this', 403);
+  }
+};
+
+/**
+ * Get pending device approval requests
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Pending requests
+ */
+const getPendingApprovalRequests = async (userId) => {
+  try {
+    return await db.query(
+      `SELECT id, device_name, ip_address, location, user_agent, created_at, expires_at
+      FROM device_approval_requests
+      WHERE user_id = ? AND status = 'pending' AND expires_at > NOW()
+      ORDER BY created_at DESC`,
+      [userId]
+    );
+  } catch (error) {
+    logger.error(`Get device approval requests error: ${error.message}`);
+    throw new AppError('Failed to retrieve device approval requests', 500);
+  }
+};
+
+/**
+ * Approve or deny a login from a new device
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session of the trusted device responding
+ * @param {string} requestId - Request ID
+ * @param {boolean} approve - Whether to approve the login
+ * @returns {Promise<boolean>} - Success status
+ */
+const respondToApprovalRequest = async (userId, sessionId, requestId, approve) => {
+  try {
+    await assertTrustedSession(userId, sessionId);
+
+    const result = await db.query(
+      `UPDATE device_approval_requests SET status = ?, responded_by = ?, responded_at = NOW()
+      WHERE id = ? AND user_id = ? AND status = 'pending' AND expires_at > NOW()`,
+      [approve ? 'approved' : 'denied', sessionId, requestId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('Request not found or already answered', 404);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Respond to device approval error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get trusted devices
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Current session ID
+ * @returns {Promise<Object>} - Trusted devices and the approval setting
+ */
+const getTrustedDevices = async (userId, currentSessionId) => {
+  try {
+    const devices = await db.query(
+      `SELECT d.device_id, d.device_name, d.last_ip_address, d.last_location,
+      d.first_seen_at, d.last_seen_at,
+      EXISTS (SELECT 1 FROM user_sessions s WHERE s.id = ? AND s.device_id = d.device_id) AS is_current
+      FROM trusted_devices d
+      WHERE d.user_id = ?
+      ORDER BY d.last_seen_at DESC`,
+      [currentSessionId, userId]
+    );
+
+    const [user] = await db.query('SELECT require_device_approval FROM users WHERE id = ?', [
+      userId,
+    ]);
+
+    return {
+      devices: devices.map((device) => ({ ...device, is_current: !!device.is_current })),
+      require_device_approval: !!(user && user.require_device_approval),
+    };
+  } catch (error) {
+    logger.error(`Get trusted devices error: ${error.message}`);
+    throw new AppError('Failed to retrieve trusted devices', 500);
+  }
+};
+
+/**
+ * Stop trusting a device and log out its sessions
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Client device ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const removeTrustedDevice = async (userId, deviceId) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM trusted_devices WHERE user_id = ? AND device_id = ?',
+      [userId, deviceId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('Device not found', 404);
+    }
+
+    const sessions = await db.query(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND device_id = ? AND is_active = TRUE',
+      [userId, deviceId]
+    );
+    await db.query(
+      'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE user_id = ? AND device_id = ?',
+      [userId, deviceId]
+    );
+    for (const session of sessions) {
+      socket.disconnectSession(userId, session.id, { reason: 'device_removed' });
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Remove trusted device error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Turn new-device approval on or off
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Current session ID
+ * @param {boolean} enabled - Whether new devices need approval
+ * @returns {Promise<boolean>} - New setting
+ */
+const setDeviceApprovalRequired = async (userId, sessionId, enabled) => {
+  try {
+    // Turning it on from an untrusted device would leave nobody able to approve
+    if (enabled) {
+      await assertTrustedSession(userId, sessionId);
+    }
+
+    await db.query('UPDATE users SET require_device_approval = ? WHERE id = ?', [
+      enabled ? 1 : 0,
+      userId,
+    ]);
+
+    return enabled;
+  } catch (error) {
+    logger.error(`Set device approval error: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  recordDeviceLogin,
+  requestApprovalIfNeeded,
+  getApprovalRequestByToken,
+  claimApprovedRequest,
+  getPendingApprovalRequests,
+  respondToApprovalRequest,
+  getTrustedDevices,
+  removeTrustedDevice,
+  setDeviceApprovalRequired,
+};
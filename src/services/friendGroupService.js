@@ -0,0 +1,331 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const privacyService = require('./privacyService');
+const { MAX_FRIEND_GROUPS } = require('../config/friends');
+const { GROUP_VISIBILITY_PREFIX } = require('../config/profile');
+
+/**
+ * Get a friend group, making sure it belongs to the user
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @returns {Promise<Object>} - Group (id, name, created_at, updated_at)
+ */
+const getOwnGroup = async (groupId, ownerId) => {
+  const [group] = await db.query(
+    'SELECT id, name, created_at, updated_at FROM friend_groups WHERE id = ? AND owner_id = ?',
+    [groupId, ownerId]
+  );
+
+  if (!group) {
+    throw new AppError('Friend group not found', 404);
+  }
+
+  return group;
+};
+
+/**
+ * Check that a group name isn't used by another of the user's groups
+ * @param {string} ownerId - User ID
+ * @param {string} name - Group name
+ * @param {string} groupId - Group being renamed, if any
+ * @returns {Promise<void>}
+ */
+const assertNameAvailable = async (ownerId, name, groupId = null) => {
+  const [existing] = await db.query(
+    'SELECT id FROM friend_groups WHERE owner_id = ? AND name = ? AND id != ?',
+    [ownerId, name, groupId || '']
+  );
+
+  if (existing) {
+    throw new AppError('You already have a friend group with this name', 400);
+  }
+};
+
+/**
+ * Get a user's friend groups
+ * @param {string} ownerId - User ID
+ * @returns {Promise<Array>} - Groups (id, name, member_count, created_at, updated_at)
+ */
+const getGroups = async (ownerId) => {
+  try {
+    const groups = await db.query(
+      `SELECT g.id, g.name, COUNT(m.user_id) AS member_count, g.created_at, g.updated_at
+      FROM friend_groups g
+      LEFT JOIN friend_group_members m ON m.group_id = g.id
+      WHERE g.owner_id = ?
+      GROUP BY g.id
+      ORDER BY g.name`,
+      [ownerId]
+    );
+
+    return groups.map((group) => ({ ...group, member_count: Number(group.member_count) }));
+  } catch (error) {
+    logger.error(`Get friend groups error: ${error.message}`);
+    throw new AppError('Failed to get friend groups', 500);
+  }
+};
+
+/**
+ * Get a friend group with its members
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @returns {Promise<Object>} - Group (id, name, members, created_at, updated_at)
+ */
+const getGroup = async (groupId, ownerId) => {
+  try {
+    const group = await getOwnGroup(groupId, ownerId);
+
+    const members = await db.query(
+      `SELECT u.id AS user_id, u.username, u.profile_picture, m.added_at
+      FROM friend_group_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.group_id = ? AND u.account_status != 'deleted'
+      ORDER BY u.username`,
+      [groupId]
+    );
+
+    return { ...group, members };
+  } catch (error) {
+    logger.error(`Get friend group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Add friends to a group
+ * Only accepted friends can be added; adding someone already in the group does nothing
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @param {Array<string>} userIds - IDs of the friends to add
+ * @returns {Promise<Object>} - Updated group
+ */
+const addMembers = async (groupId, ownerId, userIds) => {
+  try {
+    await getOwnGroup(groupId, ownerId);
+
+    const memberIds = [...new Set(userIds)];
+    const friendIds = await privacyService.getFriendIdSet(ownerId, memberIds);
+    const notFriends = memberIds.filter((id) => !friendIds.has(id));
+
+    if (notFriends.length > 0) {
+      throw new AppError('Only friends can be added to a friend group', 400, {
+        user_ids: notFriends,
+      });
+    }
+
+    for (const userId of memberIds) {
+      await db.query('INSERT IGNORE INTO friend_group_members (group_id, user_id) VALUES (?, ?)', [
+        groupId,
+        userId,
+      ]);
+    }
+
+    return getGroup(groupId, ownerId);
+  } catch (error) {
+    logger.error(`Add friend group members error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a friend group
+ * @param {string} ownerId - User ID
+ * @param {string} name - Group name
+ * @param {Array<string>} memberIds - IDs of friends to add straight away
+ * @returns {Promise<Object>} - Created group
+ */
+const createGroup = async (ownerId, name, memberIds = []) => {
+  try {
+    const [{ count }] = await db.query(
+      'SELECT COUNT(*) AS count FROM friend_groups WHERE owner_id = ?',
+      [ownerId]
+    );
+
+    if (count >= MAX_FRIEND_GROUPS) {
+      throw new AppError(`You can have up to ${MAX_FRIEND_GROUPS} friend groups`, 400);
+    }
+
+    await assertNameAvailable(ownerId, name);
+
+    const groupId = uuidv4();
+
+    await db.query('INSERT INTO friend_groups (id, owner_id, name) VALUES (?, ?, ?)', [
+      groupId,
+      ownerId,
+      name,
+    ]);
+
+    if (memberIds.length > 0) {
+      try {
+        return await addMembers(groupId, ownerId, memberIds);
+      } catch (error) {
+        // Don't leave an empty group behind when the members given can't be added
+        await db.query('DELETE FROM friend_groups WHERE id = ?', [groupId]);
+        throw error;
+      }
+    }
+
+    return getGroup(groupId, ownerId);
+  } catch (error) {
+    logger.error(`Create friend group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Rename a friend group
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @param {string} name - New group name
+ * @returns {Promise<Object>} - Updated group
+ */
+const renameGroup = async (groupId, ownerId, name) => {
+  try {
+    await getOwnGroup(groupId, ownerId);
+    await assertNameAvailable(ownerId, name, groupId);
+
+    await db.query('UPDATE friend_groups SET name = ? WHERE id = ?', [name, groupId]);
+
+    return getGroup(groupId, ownerId);
+  } catch (error) {
+    logger.error(`Rename friend group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a friend group
+ * Profile fields and media shared with the group become visible only to the user
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const deleteGroup = async (groupId, ownerId) => {
+  try {
+    await getOwnGroup(groupId, ownerId);
+
+    const visibility = `${GROUP_VISIBILITY_PREFIX}${groupId}`;
+
+    await db.transaction(async (connection) => {
+      const [[user]] = await connection.query('SELECT field_visibility FROM users WHERE id = ?', [
+        ownerId,
+      ]);
+
+      const fieldVisibility = user.field_visibility || {};
+      const sharedFields = Object.keys(fieldVisibility).filter(
+        (field) => fieldVisibility[field] === visibility
+      );
+
+      if (sharedFields.length > 0) {
+        for (const field of sharedFields) {
+          fieldVisibility[field] = 'only_me';
+        }
+        await connection.query('UPDATE users SET field_visibility = ? WHERE id = ?', [
+          JSON.stringify(fieldVisibility),
+          ownerId,
+        ]);
+      }
+
+      await connection.query(
+        "UPDATE media_records SET visibility = 'only_me' WHERE user_id = ? AND visibility = ?",
+        [ownerId, visibility]
+      );
+
+      await connection.query('DELETE FROM friend_groups WHERE id = ?', [groupId]);
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Delete friend group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove a friend from a group
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @param {string} userId - Member ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const removeMember = async (groupId, ownerId, userId) => {
+  try {
+    await getOwnGroup(groupId, ownerId);
+
+    const result = await db.query(
+      'DELETE FROM friend_group_members WHERE group_id = ? AND user_id = ?',
+      [groupId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('User is not in this friend group', 404);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Remove friend group member error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Take two users out of each other's friend groups, when they stop being friends
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {Promise<void>}
+ */
+const removeFromGroups = async (userId, otherUserId) => {
+  await db.query(
+    `DELETE m FROM friend_group_members m
+    JOIN friend_groups g ON g.id = m.group_id
+    WHERE (g.owner_id = ? AND m.user_id = ?) OR (g.owner_id = ? AND m.user_id = ?)`,
+    [userId, otherUserId, otherUserId, userId]
+  );
+};
+
+/**
+ * Invite every member of a group, one at a time
+ * Members who can't be invited are skipped with the reason rather than failing the whole call
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - User ID
+ * @param {Function} invite - Invites one member, given their ID
+ * @returns {Promise<Object>} - Result (invited user IDs, skipped [{ user_id, reason }])
+ */
+const inviteMembers = async (groupId, ownerId, invite) => {
+  const { members } = await getGroup(groupId, ownerId);
+
+  if (members.length === 0) {
+    throw new AppError('Friend group has no members', 400);
+  }
+
+  const invited = [];
+  const skipped = [];
+
+  for (const member of members) {
+    try {
+      await invite(member.user_id);
+      invited.push(member.user_id);
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      skipped.push({ user_id: member.user_id, reason: error.message });
+    }
+  }
+
+  return { invited, skipped };
+};
+
+module.exports = {
+  getGroups,
+  getGroup,
+  createGroup,
+  renameGroup,
+  deleteGroup,
+  addMembers,
+  removeMember,
+  removeFromGroups,
+  inviteMembers,
+};
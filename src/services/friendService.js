@@ -2,7 +2,10 @@ const { v4: uuidv4 } = require('uuid');
 const { AppError } = require('../utils/errorHandler');
 const db = require('../config/database');
 const logger = require('../config/logger');
+const socket = require('../config/socket');
+const { FRIEND_REQUEST_EXPIRY_DAYS, FRIEND_REQUEST_COOLDOWN_DAYS } = require('../config/friends');
 const userService = require('./userService');
+const friendGroupService = require('./friendGroupService');
 
 // This will be lazy-loaded to avoid circular dependency
 let notificationService;
@@ -21,7 +24,7 @@ const sendFriendRequest = async (requesterId, addresseeId) => {
     }
 
     // Check if users exist
-    await userService.getUserById(requesterId);
+    const requester = await userService.getUserById(requesterId);
     await userService.getUserById(addresseeId);
 
     // Cannot send friend request to yourself
@@ -31,10 +34,20 @@ const sendFriendRequest = async (requesterId, addresseeId) => {
 
     // Check if friendship already exists
     const [existingFriendship] = await db.query(
-      `SELECT id, status FROM friendships 
+      `SELECT id, requester_id, status,
+      created_at < NOW() - INTERVAL ? DAY AS is_expired,
+      TIMESTAMPDIFF(SECOND, NOW(), updated_at + INTERVAL ? DAY) AS cooldown_seconds
+      FROM friendships 
       WHERE (requester_id = ? AND addressee_id = ?) 
       OR (requester_id = ? AND addressee_id = ?)`,
-      [requesterId, addresseeId, addresseeId, requesterId]
+      [
+        FRIEND_REQUEST_EXPIRY_DAYS,
+        FRIEND_REQUEST_COOLDOWN_DAYS,
+        requesterId,
+        addresseeId,
+        addresseeId,
+        requesterId,
+      ]
     );
 
     if (existingFriendship) {
@@ -44,32 +57,66 @@ const sendFriendRequest = async (requesterId, addresseeId) => {
       if (existingFriendship.status === 'accepted') {
         throw new AppError('Already friends', 400);
       }
-      if (existingFriendship.status === 'pending') {
+      if (existingFriendship.status === 'pending' && !existingFriendship.is_expired) {
         throw new AppError('Friend request already sent', 400);
       }
-      // If rejected, allow sending again
+      // If rejected, the rejected user has to wait before sending again
+      if (
+        existingFriendship.status === 'rejected' &&
+        existingFriendship.requester_id === requesterId &&
+        existingFriendship.cooldown_seconds > 0
+      ) {
+        const days = Math.ceil(existingFriendship.cooldown_seconds / 86400);
+        throw new AppError(
+          `You can send this user another friend request in ${days} day${days === 1 ? '' : 's'}.`,
+          429,
+          { retry_after: existingFriendship.cooldown_seconds }
+        );
+      }
     }
 
-    // Create new friendship
-    const friendshipId = uuidv4();
+    // A pair shares one friendship row, so an expired or rejected request is sent again on it
+    const friendshipId = existingFriendship ? existingFriendship.id : uuidv4();
 
-    await db.query(
-      'INSERT INTO friendships (id, requester_id, addressee_id, status) VALUES (?, ?, ?, ?)',
-      [friendshipId, requesterId, addresseeId, 'pending']
-    );
+    if (existingFriendship) {
+      await db.query(
+        `UPDATE friendships SET requester_id = ?, addressee_id = ?, status = ?, created_at = NOW()
+        WHERE id = ?`,
+        [requesterId, addresseeId, 'pending', friendshipId]
+      );
+    } else {
+      await db.query(
+        'INSERT INTO friendships (id, requester_id, addressee_id, status) VALUES (?, ?, ?, ?)',
+        [friendshipId, requesterId, addresseeId, 'pending']
+      );
+    }
 
-    // @FIRE : Send notification to addressee
     // Send notification to addressee
-    // await notificationService.createNotification({
-    //   userId: addresseeId,
-    //   type: 'friend_request',
-    //   title: 'Friend Request',
-    //   message: `You received a friend request`,
-    //   data: {
-    //     requesterId,
-    //     friendshipId
-    //   }
-    // });
+    try {
+      await notificationService.createNotification({
+        userId: addresseeId,
+        type: 'friend_request',
+        title: 'Friend Request',
+        message: `${requester.username} sent you a friend request`,
+        data: {
+          requesterId,
+          friendshipId,
+        },
+      });
+    } catch (notificationErr) {
+      logger.error(`Friend request notification error: ${notificationErr.message}`);
+    }
+
+    // Emit friend request event
+    socket.emitToUser(addresseeId, 'friend-request-received', {
+      friendshipId,
+      requester: {
+        id: requesterId,
+        username: requester.username,
+        profile_picture: requester.profile_picture,
+      },
+      timestamp: new Date(),
+    });
 
     return {
       id: friendshipId,
@@ -99,8 +146,10 @@ const acceptFriendRequest = async (friendshipId, userId) => {
 
     // Get friendship
     const [friendship] = await db.query(
-      'SELECT id, requester_id, addressee_id, status FROM friendships WHERE id = ?',
-      [friendshipId]
+      `SELECT id, requester_id, addressee_id, status,
+      created_at < NOW() - INTERVAL ? DAY AS is_expired
+      FROM friendships WHERE id = ?`,
+      [FRIEND_REQUEST_EXPIRY_DAYS, friendshipId]
     );
 
     if (!friendship) {
@@ -117,21 +166,43 @@ const acceptFriendRequest = async (friendshipId, userId) => {
       throw new AppError('Friend request already processed', 400);
     }
 
+    if (friendship.is_expired) {
+      throw new AppError('Friend request has expired', 400);
+    }
+
     // Update friendship status
     await db.query('UPDATE friendships SET status = ? WHERE id = ?', ['accepted', friendshipId]);
-    // @FIRE : Send notification to addressee
-
-    // // Send notification to requester
-    // await notificationService.createNotification({
-    //   userId: friendship.requester_id,
-    //   type: 'friend_request',
-    //   title: 'Friend Request Accepted',
-    //   message: `Your friend request has been accepted`,
-    //   data: {
-    //     addresseeId: userId,
-    //     friendshipId
-    //   }
-    // });
+
+    const [addressee] = await db.query('SELECT username, profile_picture FROM users WHERE id = ?', [
+      userId,
+    ]);
+
+    // Send notification to requester
+    try {
+      await notificationService.createNotification({
+        userId: friendship.requester_id,
+        type: 'friend_request',
+        title: 'Friend Request Accepted',
+        message: `${addressee.username} accepted your friend request`,
+        data: {
+          addresseeId: userId,
+          friendshipId,
+        },
+      });
+    } catch (notificationErr) {
+      logger.error(`Friend request notification error: ${notificationErr.message}`);
+    }
+
+    // Emit friend request accepted event
+    socket.emitToUser(friendship.requester_id, 'friend-request-accepted', {
+      friendshipId,
+      friend: {
+        id: userId,
+        username: addressee.username,
+        profile_picture: addressee.profile_picture,
+      },
+      timestamp: new Date(),
+    });
 
     return {
       id: friendshipId,
@@ -188,6 +259,58 @@ const rejectFriendRequest = async (friendshipId, userId) => {
   }
 };
 
+/**
+ * Cancel a friend request the user sent
+ * The addressee's notification about it is removed as well
+ * @param {string} friendshipId - Friendship ID
+ * @param {string} userId - User cancelling the request
+ * @returns {Promise<boolean>} - Success status
+ */
+const cancelFriendRequest = async (friendshipId, userId) => {
+  try {
+    // Get friendship
+    const [friendship] = await db.query(
+      'SELECT id, requester_id, addressee_id, status FROM friendships WHERE id = ?',
+      [friendshipId]
+    );
+
+    if (!friendship) {
+      throw new AppError('Friend request not found', 404);
+    }
+
+    // Check if user is the requester
+    if (friendship.requester_id !== userId) {
+      throw new AppError('Not authorized to cancel this friend request', 403);
+    }
+
+    // Check if status is pending
+    if (friendship.status !== 'pending') {
+      throw new AppError('Friend request already processed', 400);
+    }
+
+    await db.query('DELETE FROM friendships WHERE id = ?', [friendshipId]);
+
+    await db.query(
+      `DELETE FROM notifications
+      WHERE user_id = ? AND type = 'friend_request'
+      AND JSON_UNQUOTE(JSON_EXTRACT(data, '$.friendshipId')) = ?`,
+      [friendship.addressee_id, friendshipId]
+    );
+
+    // Emit friend request cancelled event
+    socket.emitToUser(friendship.addressee_id, 'friend-request-cancelled', {
+      friendshipId,
+      requesterId: userId,
+      timestamp: new Date(),
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Cancel friend request error: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Block user
  * @param {string} userId - User blocking
@@ -233,6 +356,8 @@ const blockUser = async (userId, blockedUserId) => {
       );
     }
 
+    await friendGroupService.removeFromGroups(userId, blockedUserId);
+
     return {
       id: friendshipId,
       requesterId: userId,
@@ -297,6 +422,7 @@ const removeFriend = async (userId, friendId) => {
 
     // Delete friendship
     await db.query('DELETE FROM friendships WHERE id = ?', [friendship.id]);
+    await friendGroupService.removeFromGroups(userId, friendId);
 
     return true;
   } catch (error) {
@@ -374,13 +500,14 @@ const getPendingFriendRequests = async (userId) => {
   try {
     // Get pending requests received by user
     const requests = await db.query(
-      `SELECT f.id, f.requester_id, f.created_at,
+      `SELECT f.id, f.requester_id, f.created_at, f.created_at + INTERVAL ? DAY AS expires_at,
       u.username, u.profile_picture, u.bio
       FROM friendships f
       JOIN users u ON u.id = f.requester_id
       WHERE f.addressee_id = ? AND f.status = ? AND u.account_status != 'deleted'
+      AND f.created_at >= NOW() - INTERVAL ? DAY
       ORDER BY f.created_at DESC`,
-      [userId, 'pending']
+      [FRIEND_REQUEST_EXPIRY_DAYS, userId, 'pending', FRIEND_REQUEST_EXPIRY_DAYS]
     );
 
     return requests.map((r) => ({
@@ -390,6 +517,7 @@ const getPendingFriendRequests = async (userId) => {
       profile_picture: r.profile_picture,
       bio: r.bio,
       created_at: r.created_at,
+      expires_at: r.expires_at,
     }));
   } catch (error) {
     logger.error(`Get pending friend requests error: ${error.message}`);
@@ -397,8 +525,79 @@ const getPendingFriendRequests = async (userId) => {
   }
 };
 
+/**
+ * Get pending friend requests sent by user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Sent friend requests
+ */
+const getSentFriendRequests = async (userId) => {
+  try {
+    const requests = await db.query(
+      `SELECT f.id, f.addressee_id, f.created_at, f.created_at + INTERVAL ? DAY AS expires_at,
+      u.username, u.profile_picture
+      FROM friendships f
+      JOIN users u ON u.id = f.addressee_id
+      WHERE f.requester_id = ? AND f.status = ? AND u.account_status != 'deleted'
+      AND f.created_at >= NOW() - INTERVAL ? DAY
+      ORDER BY f.created_at DESC`,
+      [FRIEND_REQUEST_EXPIRY_DAYS, userId, 'pending', FRIEND_REQUEST_EXPIRY_DAYS]
+    );
+
+    return requests.map((r) => ({
+      request_id: r.id,
+      user_id: r.addressee_id,
+      username: r.username,
+      profile_picture: r.profile_picture,
+      created_at: r.created_at,
+      expires_at: r.expires_at,
+    }));
+  } catch (error) {
+    logger.error(`Get sent friend requests error: ${error.message}`);
+    throw new AppError('Failed to get sent friend requests', 500);
+  }
+};
+
+/**
+ * Remove friend requests that have been pending for longer than the expiry period, along with
+ * the notifications about them
+ * @param {number} limit - Maximum number of requests to remove in one run
+ * @returns {Promise<number>} - Number of requests removed
+ */
+const expireFriendRequests = async (limit = 500) => {
+  const expired = await db.query(
+    `SELECT id FROM friendships
+    WHERE status = 'pending' AND created_at < NOW() - INTERVAL ? DAY
+    LIMIT ${Number(limit)}`,
+    [FRIEND_REQUEST_EXPIRY_DAYS]
+  );
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const ids = expired.map((request) => request.id);
+  const placeholders = ids.map(() => '?').join(',');
+
+  // Only rows still pending and expired, in case one was answered or sent again meanwhile
+  const result = await db.query(
+    `DELETE FROM friendships
+    WHERE id IN (${placeholders}) AND status = 'pending' AND created_at < NOW() - INTERVAL ? DAY`,
+    [...ids, FRIEND_REQUEST_EXPIRY_DAYS]
+  );
+
+  await db.query(
+    `DELETE FROM notifications
+    WHERE type = 'friend_request'
+    AND JSON_UNQUOTE(JSON_EXTRACT(data, '$.friendshipId')) IN (${placeholders})`,
+    ids
+  );
+
+  return result.affectedRows;
+};
+
 /**
  * Get friend suggestions
+ * Ghosts are never suggested, and private accounts are suggested without their bio
  * @param {string} userId - User ID
  * @param {number} limit - Results limit
  * @returns {Promise<Array>} - User suggestions
@@ -421,7 +620,7 @@ const getFriendSuggestions = async (userId, limit = 10) => {
 
     const mutualFriends = await db.query(
       `SELECT DISTINCT 
-        u.id, u.username, u.profile_picture, u.bio,
+        u.id, u.username, u.profile_picture, IF(u.account_status = 'private', NULL, u.bio) AS bio,
         COUNT(DISTINCT f1.requester_id, f1.addressee_id) AS mutual_count
       FROM
         (SELECT 
@@ -440,7 +639,7 @@ const getFriendSuggestions = async (userId, limit = 10) => {
         OR (f1.addressee_id = ff.friend_id AND f1.requester_id IN (${placeholders}) AND f1.status = 'accepted')
       WHERE 
         u.id != ? 
-        AND u.account_status = 'active'
+        AND u.account_status IN ('active', 'private')
         AND u.id NOT IN (
           SELECT 
             CASE 
@@ -504,10 +703,10 @@ const getRandomUserSuggestions = async (userId, limit = 10, excludeIds = []) =>
 
     // Get random users
     const randomUsers = await db.query(
-      `SELECT id, username, profile_picture, bio
+      `SELECT id, username, profile_picture, IF(account_status = 'private', NULL, bio) AS bio
       FROM users
       WHERE id NOT IN (${placeholders})
-      AND account_status = 'active'
+      AND account_status IN ('active', 'private')
       ORDER BY RAND()
       LIMIT ${limit}`,
       [...allExcludeIds]
@@ -577,6 +776,33 @@ const areFriends = async (userId1, userId2) => {
   }
 };
 
+/**
+ * Describe a friendship row from one user's side
+ * @param {Object} friendship - Friendship (requester_id, addressee_id, status, is_expired), if any
+ * @param {string} userId - User ID
+ * @returns {Object} - Friendship status
+ */
+const describeFriendship = (friendship, userId) => {
+  // An expired request counts as no request, even before it is cleaned up
+  if (!friendship || (friendship.status === 'pending' && friendship.is_expired)) {
+    return { status: 'none' };
+  }
+
+  if (friendship.status === 'pending') {
+    return {
+      status: 'pending',
+      isPendingOutgoing: friendship.requester_id === userId,
+      isPendingIncoming: friendship.addressee_id === userId,
+    };
+  }
+
+  return {
+    status: friendship.status,
+    isBlocked: friendship.status === 'blocked' && friendship.requester_id === userId,
+    isBlockedBy: friendship.status === 'blocked' && friendship.addressee_id === userId,
+  };
+};
+
 /**
  * Get friendship status between users
  * @param {string} userId1 - First user ID
@@ -586,33 +812,56 @@ const areFriends = async (userId1, userId2) => {
 const getFriendshipStatus = async (userId1, userId2) => {
   try {
     const [friendship] = await db.query(
-      `SELECT id, requester_id, addressee_id, status
+      `SELECT id, requester_id, addressee_id, status,
+      created_at < NOW() - INTERVAL ? DAY AS is_expired
       FROM friendships 
       WHERE (requester_id = ? AND addressee_id = ?) 
       OR (requester_id = ? AND addressee_id = ?)`,
-      [userId1, userId2, userId2, userId1]
+      [FRIEND_REQUEST_EXPIRY_DAYS, userId1, userId2, userId2, userId1]
     );
 
-    if (!friendship) {
-      return { status: 'none' };
+    return describeFriendship(friendship, userId1);
+  } catch (error) {
+    logger.error(`Get friendship status error: ${error.message}`);
+    throw new AppError('Failed to get friendship status', 500);
+  }
+};
+
+/**
+ * Get a user's friendship status with each of several other users
+ * @param {string} userId - User ID
+ * @param {Array<string>} otherUserIds - Other user IDs
+ * @returns {Promise<Map<string, Object>>} - Friendship status by other user ID
+ */
+const getFriendshipStatuses = async (userId, otherUserIds) => {
+  try {
+    const statuses = new Map();
+    if (otherUserIds.length === 0) {
+      return statuses;
     }
 
-    if (friendship.status === 'pending') {
-      return {
-        status: 'pending',
-        isPendingOutgoing: friendship.requester_id === userId1,
-        isPendingIncoming: friendship.addressee_id === userId1,
-      };
+    const placeholders = otherUserIds.map(() => '?').join(',');
+    const friendships = await db.query(
+      `SELECT requester_id, addressee_id, status,
+      created_at < NOW() - INTERVAL ? DAY AS is_expired
+      FROM friendships
+      WHERE (requester_id = ? AND addressee_id IN (${placeholders}))
+      OR (addressee_id = ? AND requester_id IN (${placeholders}))`,
+      [FRIEND_REQUEST_EXPIRY_DAYS, userId, ...otherUserIds, userId, ...otherUserIds]
+    );
+
+    const byUser = new Map(
+      friendships.map((f) => [f.requester_id === userId ? f.addressee_id : f.requester_id, f])
+    );
+
+    for (const otherUserId of otherUserIds) {
+      statuses.set(otherUserId, describeFriendship(byUser.get(otherUserId), userId));
     }
 
-    return {
-      status: friendship.status,
-      isBlocked: friendship.status === 'blocked' && friendship.requester_id === userId1,
-      isBlockedBy: friendship.status === 'blocked' && friendship.addressee_id === userId1,
-    };
+    return statuses;
   } catch (error) {
-    logger.error(`Get friendship status error: ${error.message}`);
-    throw new AppError('Failed to get friendship status', 500);
+    logger.error(`Get friendship statuses error: ${error.message}`);
+    throw new AppError('Failed to get friendship statuses', 500);
   }
 };
 
@@ -620,13 +869,17 @@ module.exports = {
   sendFriendRequest,
   acceptFriendRequest,
   rejectFriendRequest,
+  cancelFriendRequest,
   blockUser,
   unblockUser,
   removeFriend,
   getUserFriends,
   getPendingFriendRequests,
+  getSentFriendRequests,
+  expireFriendRequests,
   getFriendSuggestions,
   getUserFriendsIds,
   areFriends,
   getFriendshipStatus,
+  getFriendshipStatuses,
 };
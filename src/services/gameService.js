@@ -3,6 +3,8 @@ const { AppError } = require('../utils/errorHandler');
 const db = require('../config/database');
 const logger = require('../config/logger');
 const socket = require('../config/socket');
+const ageService = require('./ageService');
+const friendGroupService = require('./friendGroupService');
 
 // This will be lazy-loaded to avoid circular dependency
 let notificationService;
@@ -13,7 +15,8 @@ let notificationService;
  */
 const createGames = async (gameData) => {
   try {
-    const { name, description, rules, rules_id, min_players, max_players } = gameData;
+    const { name, description, rules, rules_id, min_players, max_players, is_alcohol_related } =
+      gameData;
 
     // Validate required fields
     if (!name || !min_players || !max_players) {
@@ -21,7 +24,7 @@ const createGames = async (gameData) => {
     }
 
     // Check if game exists
-    const [game] = await db.query(`SELECT id FROM games WHERE name like '${name}'`);
+    const [game] = await db.query('SELECT id FROM games WHERE name = ?', [name]);
 
     if (game) {
       throw new AppError('Game Already Exists', 404);
@@ -32,9 +35,18 @@ const createGames = async (gameData) => {
 
     await db.query(
       `INSERT INTO games 
-      (id, name, description, rules, rules_id ,min_players ,max_players ) 
-      VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [gameId, name, description, rules, rules_id, min_players, max_players]
+      (id, name, description, rules, rules_id ,min_players ,max_players, is_alcohol_related) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        gameId,
+        name,
+        description,
+        rules,
+        rules_id,
+        min_players,
+        max_players,
+        is_alcohol_related === false ? 0 : 1,
+      ]
     );
 
     // Get game details
@@ -52,10 +64,11 @@ const createGames = async (gameData) => {
 
 const updateGame = async (gameId, gameData) => {
   try {
-    const { name, description, rules, rules_id, min_players, max_players } = gameData;
+    const { name, description, rules, rules_id, min_players, max_players, is_alcohol_related } =
+      gameData;
 
     if (name) {
-      const [game] = await db.query(`SELECT id FROM games WHERE name like '${name}'`);
+      const [game] = await db.query('SELECT id FROM games WHERE name = ?', [name]);
 
       if (game) {
         throw new AppError('Game Already Exists', 404);
@@ -97,6 +110,11 @@ const updateGame = async (gameId, gameData) => {
       updateValues.push(max_players);
     }
 
+    if (is_alcohol_related !== undefined) {
+      updateFields.push('is_alcohol_related = ?');
+      updateValues.push(is_alcohol_related ? 1 : 0);
+    }
+
     updateQuery += updateFields.join(', ');
     updateQuery += ' WHERE id = ?';
     updateValues.push(gameId);
@@ -141,7 +159,9 @@ const deleteGame = async (gameId) => {
  */
 const checkGameExists = async (game_name) => {
   try {
-    const [game] = await db.query(`SELECT id FROM games WHERE name like '${game_name}%'`);
+    // Escape LIKE wildcards so the name is only matched as a prefix
+    const prefix = String(game_name).replace(/[\\%_]/g, '\\$&');
+    const [game] = await db.query('SELECT id FROM games WHERE name LIKE ?', [`${prefix}%`]);
 
     return !!game;
   } catch (error) {
@@ -157,7 +177,7 @@ const checkGameExists = async (game_name) => {
 const getGames = async () => {
   try {
     const games = await db.query(
-      'SELECT id, name, description, rules, rules_id , min_players, max_players FROM games'
+      'SELECT id, name, description, rules, rules_id , min_players, max_players, is_alcohol_related FROM games'
     );
 
     return games;
@@ -175,7 +195,7 @@ const getGames = async () => {
 const getGameById = async (gameId) => {
   try {
     const [game] = await db.query(
-      'SELECT id, name, description, rules, rules_id , min_players, max_players FROM games WHERE id = ?',
+      'SELECT id, name, description, rules, rules_id , min_players, max_players, is_alcohol_related FROM games WHERE id = ?',
       [gameId]
     );
 
@@ -205,21 +225,28 @@ const createGameSession = async (sessionData) => {
     }
 
     // Check if game exists
-    const [game] = await db.query('SELECT id, min_players, max_players FROM games WHERE id = ?', [
-      gameId,
-    ]);
+    const [game] = await db.query(
+      'SELECT id, min_players, max_players, is_alcohol_related FROM games WHERE id = ?',
+      [gameId]
+    );
 
     if (!game) {
       throw new AppError('Game not found', 404);
     }
 
     // Check if room exists
-    const [room] = await db.query('SELECT id FROM rooms WHERE id = ?', [roomId]);
+    const [room] = await db.query('SELECT id, is_alcohol_related FROM rooms WHERE id = ?', [
+      roomId,
+    ]);
 
     if (!room) {
       throw new AppError('Room not found', 404);
     }
 
+    if (game.is_alcohol_related || room.is_alcohol_related) {
+      await ageService.assertCanAccessAlcohol(createdBy);
+    }
+
     // Check if user is in room
     const [participant] = await db.query(
       'SELECT id FROM room_participants WHERE room_id = ? AND user_id = ? AND is_active = TRUE',
@@ -257,6 +284,8 @@ const createGameSession = async (sessionData) => {
       [uuidv4(), sessionId, createdBy]
     );
 
+    socket.emitPresenceChange(createdBy);
+
     // Get session details
     return getGameSession(sessionId);
   } catch (error) {
@@ -333,9 +362,11 @@ const joinGameSession = async (sessionId, userId) => {
   try {
     // Check if session exists and is active
     const [session] = await db.query(
-      `SELECT gs.id, gs.room_id, gs.status, g.max_players
+      `SELECT gs.id, gs.room_id, gs.status, g.max_players,
+      g.is_alcohol_related OR r.is_alcohol_related AS is_alcohol_related
       FROM game_sessions gs
       JOIN games g ON g.id = gs.game_id
+      JOIN rooms r ON r.id = gs.room_id
       WHERE gs.id = ?`,
       [sessionId]
     );
@@ -348,6 +379,10 @@ const joinGameSession = async (sessionId, userId) => {
       throw new AppError('Game session is not active', 400);
     }
 
+    if (session.is_alcohol_related) {
+      await ageService.assertCanAccessAlcohol(userId);
+    }
+
     // Check if user is in the room
     const [participant] = await db.query(
       'SELECT id FROM room_participants WHERE room_id = ? AND user_id = ? AND is_active = TRUE',
@@ -385,6 +420,8 @@ const joinGameSession = async (sessionId, userId) => {
       [uuidv4(), sessionId, userId]
     );
 
+    socket.emitPresenceChange(userId);
+
     // Emit player joined event
     try {
       const [user] = await db.query('SELECT username, profile_picture FROM users WHERE id = ?', [
@@ -443,6 +480,7 @@ const leaveGameSession = async (sessionId, userId) => {
 
     // Mark participant as left
     await db.query('UPDATE game_participants SET left_at = NOW() WHERE id = ?', [participant.id]);
+    socket.emitPresenceChange(userId);
 
     // Check if there are any participants left
     const [participantCount] = await db.query(
@@ -506,6 +544,11 @@ const endGameSession = async (sessionId, userId) => {
       throw new AppError('Only the game creator or room host can end the game', 403);
     }
 
+    const players = await db.query(
+      'SELECT user_id FROM game_participants WHERE game_session_id = ? AND left_at IS NULL',
+      [sessionId]
+    );
+
     // End the game session
     await db.query('UPDATE game_sessions SET status = ?, ended_at = NOW() WHERE id = ?', [
       'completed',
@@ -520,6 +563,10 @@ const endGameSession = async (sessionId, userId) => {
       [sessionId]
     );
 
+    for (const player of players) {
+      socket.emitPresenceChange(player.user_id);
+    }
+
     // Emit game ended event
     try {
       socket.getIO().to(`room:${session.room_id}`).emit('game-ended', {
@@ -726,6 +773,25 @@ const inviteToGame = async (sessionId, inviterId, inviteeId) => {
   }
 };
 
+/**
+ * Invite everyone in one of the inviter's friend groups to a game
+ * Like single invites, only members who are in the game's room are invited
+ * @param {string} sessionId - Session ID
+ * @param {string} inviterId - User ID inviting
+ * @param {string} groupId - Friend group ID
+ * @returns {Promise<Object>} - Result (invited user IDs, skipped [{ user_id, reason }])
+ */
+const inviteGroupToGame = async (sessionId, inviterId, groupId) => {
+  try {
+    return await friendGroupService.inviteMembers(groupId, inviterId, (inviteeId) =>
+      inviteToGame(sessionId, inviterId, inviteeId)
+    );
+  } catch (error) {
+    logger.error(`Invite group to game error: ${error.message}`);
+    throw error;
+  }
+};
+
 module.exports = {
   checkGameExists,
   createGames,
@@ -741,4 +807,5 @@ module.exports = {
   updatePlayerScore,
   getActiveGameSessionsInRoom,
   inviteToGame,
+  inviteGroupToGame,
 };
@@ -0,0 +1,244 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const auditService = require('./auditService');
+const { detectImageType, processImage } = require('../utils/image');
+const { moderateImage } = require('../utils/moderation');
+const { uploadMediaToCloudinary, deleteMediaFromCloudinary } = require('../middleware/cloudinary');
+
+// Cloudinary folder for approved images, by what they are used for
+const IMAGE_FOLDERS = {
+  profile_picture: 'avatars',
+  cover_picture: 'covers',
+};
+
+// Column holding when the user last changed the picture, by what it is used for
+const IMAGE_UPDATED_COLUMNS = {
+  profile_picture: 'profile_picture_updated_at',
+  cover_picture: 'cover_picture_updated_at',
+};
+
+/**
+ * Upload processed variants to Cloudinary
+ * @param {Array<Object>} variants - Variants (name, buffer)
+ * @param {string} folder - Cloudinary folder
+ * @returns {Promise<Array<Object>>} - Uploaded variants (name, url, public_id)
+ */
+const uploadVariants = async (variants, folder) => {
+  const uploaded = [];
+
+  for (const variant of variants) {
+    const result = await uploadMediaToCloudinary({ buffer: variant.buffer }, folder);
+    uploaded.push({ name: variant.name, url: result.url, public_id: result.public_id });
+  }
+
+  return uploaded;
+};
+
+/**
+ * Delete uploaded variants from Cloudinary, logging rather than failing
+ * @param {Array<Object>} variants - Uploaded variants (public_id)
+ * @returns {Promise<void>}
+ */
+const deleteVariants = async (variants) => {
+  for (const variant of variants) {
+    try {
+      await deleteMediaFromCloudinary(variant.public_id);
+    } catch (err) {
+      logger.warn(`Could not delete image ${variant.public_id}: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * Validate, clean up and moderate an uploaded image
+ * The file type is taken from its bytes, metadata is stripped and the image is resized to the
+ * purpose's standard sizes. Rejected images are dropped, quarantined ones are held for a
+ * moderator and only approved ones are returned for use
+ * @param {string} userId - Uploader ID
+ * @param {Object} file - Uploaded file (buffer)
+ * @param {string} purpose - What the image is for (profile_picture, cover_picture)
+ * @param {string} ipAddress - IP address of the upload
+ * @returns {Promise<Object>} - Result (status approved with variants, or quarantined with review)
+ */
+const processUpload = async (userId, file, purpose, ipAddress) => {
+  if (!file || !file.buffer) {
+    throw new AppError('No file uploaded', 400);
+  }
+
+  if (!detectImageType(file.buffer)) {
+    throw new AppError('Only JPEG, PNG, GIF, WebP and AVIF images are allowed', 400);
+  }
+
+  let image;
+  try {
+    image = await processImage(file.buffer, purpose);
+  } catch (error) {
+    logger.warn(`Could not process ${purpose} upload from ${userId}: ${error.message}`);
+    throw new AppError('The image could not be read', 400);
+  }
+
+  const moderation = await moderateImage({
+    buffer: image.variants[0].buffer,
+    width: image.width,
+    height: image.height,
+    sha256: image.sha256,
+    purpose,
+    userId,
+  });
+
+  const auditMetadata = {
+    purpose,
+    sha256: image.sha256,
+    provider: moderation.provider,
+    reasons: moderation.reasons,
+  };
+
+  if (moderation.decision === 'reject') {
+    auditService.record({
+      actorType: 'user',
+      actorId: userId,
+      action: 'image.rejected',
+      targetType: 'user',
+      targetId: userId,
+      metadata: auditMetadata,
+      ipAddress,
+    });
+
+    throw new AppError("This image can't be used", 422, { reasons: moderation.reasons });
+  }
+
+  if (moderation.decision === 'quarantine') {
+    const variants = await uploadVariants(image.variants, 'quarantine');
+    const reviewId = uuidv4();
+
+    await db.query(
+      `INSERT INTO image_moderation_queue (id, user_id, purpose, variants, reasons, provider)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        reviewId,
+        userId,
+        purpose,
+        JSON.stringify(variants),
+        JSON.stringify(moderation.reasons),
+        moderation.provider,
+      ]
+    );
+
+    auditService.record({
+      actorType: 'user',
+      actorId: userId,
+      action: 'image.quarantined',
+      targetType: 'image',
+      targetId: reviewId,
+      metadata: auditMetadata,
+      ipAddress,
+    });
+
+    return {
+      status: 'quarantined',
+      review: { id: reviewId, purpose, reasons: moderation.reasons },
+    };
+  }
+
+  return {
+    status: 'approved',
+    variants: await uploadVariants(image.variants, IMAGE_FOLDERS[purpose]),
+  };
+};
+
+/**
+ * Get images waiting for a moderator, oldest first
+ * @param {number} limit - Results limit
+ * @param {number} offset - Results offset
+ * @returns {Promise<Array>} - Quarantined images
+ */
+const getQuarantinedImages = async (limit = 50, offset = 0) => {
+  try {
+    return await db.query(
+      `SELECT q.id, q.user_id, u.username, q.purpose, q.variants, q.reasons, q.provider,
+      q.created_at
+      FROM image_moderation_queue q
+      JOIN users u ON u.id = q.user_id
+      WHERE q.status = 'pending'
+      ORDER BY q.created_at ASC
+      LIMIT ${Number(limit)} OFFSET ${Number(offset)}`
+    );
+  } catch (error) {
+    logger.error(`Get quarantined images error: ${error.message}`);
+    throw new AppError('Failed to get quarantined images', 500);
+  }
+};
+
+/**
+ * Approve or reject a quarantined image
+ * An approved image the user has since replaced is marked superseded and should not be used
+ * @param {string} imageId - Queue entry ID
+ * @param {string} decision - approve or reject
+ * @param {string} moderatorId - ID of the moderator
+ * @returns {Promise<Object>} - Reviewed entry (id, user_id, purpose, variants, status, superseded)
+ */
+const reviewQuarantinedImage = async (imageId, decision, moderatorId) => {
+  try {
+    const [entry] = await db.query(
+      'SELECT id, user_id, purpose, variants, status FROM image_moderation_queue WHERE id = ?',
+      [imageId]
+    );
+
+    if (!entry) {
+      throw new AppError('Image not found', 404);
+    }
+
+    if (entry.status !== 'pending') {
+      throw new AppError('Image has already been reviewed', 400);
+    }
+
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+
+    const updatedColumn = IMAGE_UPDATED_COLUMNS[entry.purpose];
+    const [{ superseded }] = await db.query(
+      `SELECT (u.${updatedColumn} IS NOT NULL AND u.${updatedColumn} > q.created_at) AS superseded
+      FROM image_moderation_queue q
+      JOIN users u ON u.id = q.user_id
+      WHERE q.id = ?`,
+      [imageId]
+    );
+
+    // Claim the review first so two moderators can't decide the same image at once
+    const result = await db.query(
+      `UPDATE image_moderation_queue SET status = ?, reviewed_by = ?, reviewed_at = NOW()
+      WHERE id = ? AND status = 'pending'`,
+      [status, moderatorId, imageId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('Image has already been reviewed', 400);
+    }
+
+    if (status === 'rejected' || superseded) {
+      await deleteVariants(entry.variants);
+    }
+
+    auditService.record({
+      actorType: 'user',
+      actorId: moderatorId,
+      action: `image.${status}`,
+      targetType: 'image',
+      targetId: imageId,
+      metadata: { user_id: entry.user_id, purpose: entry.purpose, superseded: !!superseded },
+    });
+
+    return { ...entry, status, superseded: !!superseded };
+  } catch (error) {
+    logger.error(`Review quarantined image error: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  processUpload,
+  deleteVariants,
+  getQuarantinedImages,
+  reviewQuarantinedImage,
+};
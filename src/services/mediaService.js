@@ -6,8 +6,25 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const { uploadMediaToCloudinary, deleteMediaFromCloudinary } = require('../middleware/cloudinary');
+const privacyService = require('./privacyService');
+const { FIELD_VISIBILITY_LEVELS } = require('../config/profile');
 const unlinkAsync = promisify(fs.unlink);
 
+/**
+ * Check a media visibility setting
+ * @param {string} userId - Owner ID
+ * @param {string} visibility - Visibility setting
+ * @returns {Promise<void>}
+ */
+const assertValidVisibility = async (userId, visibility) => {
+  if (!(await privacyService.isValidVisibility(userId, visibility))) {
+    throw new AppError(
+      `Visibility must be one of: ${FIELD_VISIBILITY_LEVELS.join(', ')} or one of your friend groups`,
+      400
+    );
+  }
+};
+
 /**
  * Store screenshot or recording
  * @param {Object} mediaData - Media data
@@ -15,7 +32,7 @@ const unlinkAsync = promisify(fs.unlink);
  */
 const storeMedia = async (mediaData) => {
   try {
-    const { userId, roomId, type, file } = mediaData;
+    const { userId, roomId, type, file, visibility = 'public' } = mediaData;
 
     if (!userId || !roomId || !type || !file) {
       throw new AppError('User ID, room ID, type, and file are required', 400);
@@ -36,6 +53,8 @@ const storeMedia = async (mediaData) => {
     if (!participant) {
       throw new AppError('You must be in the room to save media', 403);
     }
+
+    await assertValidVisibility(userId, visibility);
     //upload media to cloudinary
     const uploadedFile = await uploadMediaToCloudinary(file, type);
     const { public_id = null, url = null } = uploadedFile || {};
@@ -43,8 +62,8 @@ const storeMedia = async (mediaData) => {
     const mediaId = uuidv4();
 
     await db.query(
-      'INSERT INTO media_records (id, user_id, room_id, type, file_path , file_id) VALUES (?, ?, ?, ?, ?, ?)',
-      [mediaId, userId, roomId, type, url, public_id]
+      'INSERT INTO media_records (id, user_id, room_id, type, file_path , file_id, visibility) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [mediaId, userId, roomId, type, url, public_id, visibility]
     );
 
     return {
@@ -54,6 +73,7 @@ const storeMedia = async (mediaData) => {
       type,
       file_path: url,
       file_id: public_id,
+      visibility,
       created_at: new Date(),
     };
   } catch (error) {
@@ -74,7 +94,7 @@ const getUserMediaRecords = async (userId, type = null, limit = 20, offset = 0)
   try {
     // Build query
     let query = `
-      SELECT m.id, m.room_id, m.type, m.file_path, m.created_at,
+      SELECT m.id, m.room_id, m.type, m.file_path, m.visibility, m.created_at,
       r.name AS room_name
       FROM media_records m
       JOIN rooms r ON r.id = m.room_id
@@ -106,6 +126,7 @@ const getUserMediaRecords = async (userId, type = null, limit = 20, offset = 0)
       type: r.type,
       file_path: r.file_path,
       url: `${process.env.API_URL}/${r.file_path}`,
+      visibility: r.visibility,
       created_at: r.created_at,
     }));
   } catch (error) {
@@ -116,24 +137,41 @@ const getUserMediaRecords = async (userId, type = null, limit = 20, offset = 0)
 
 /**
  * Get room media records
+ * Media from private accounts is only returned to their friends, and media is only returned to
+ * the audience its owner chose
  * @param {string} roomId - Room ID
  * @param {string} type - Optional media type filter
  * @param {number} limit - Results limit
  * @param {number} offset - Results offset
+ * @param {string} viewerId - ID of the user viewing the media
  * @returns {Promise<Array>} - Media records
  */
-const getRoomMediaRecords = async (roomId, type = null, limit = 20, offset = 0) => {
+const getRoomMediaRecords = async (
+  roomId,
+  type = null,
+  limit = 20,
+  offset = 0,
+  viewerId = null
+) => {
   try {
+    const visible = privacyService.visibleTo(
+      privacyService.PRIVATE,
+      'm.user_id',
+      'u.account_status',
+      viewerId
+    );
+    const audience = privacyService.audienceIncludes('m.visibility', 'm.user_id', viewerId);
+
     // Build query
     let query = `
       SELECT m.id, m.user_id, m.type, m.file_path, m.created_at,
       u.username
       FROM media_records m
       JOIN users u ON u.id = m.user_id
-      WHERE m.room_id = ?
+      WHERE m.room_id = ? AND ${visible.sql} AND ${audience.sql}
     `;
 
-    const params = [roomId];
+    const params = [roomId, ...visible.params, ...audience.params];
 
     if (type) {
       // Validate media type
@@ -166,6 +204,35 @@ const getRoomMediaRecords = async (roomId, type = null, limit = 20, offset = 0)
   }
 };
 
+/**
+ * Change who can see a media record
+ * @param {string} mediaId - Media ID
+ * @param {string} userId - User ID
+ * @param {string} visibility - Visibility setting
+ * @returns {Promise<Object>} - Updated media (id, visibility)
+ */
+const updateMediaVisibility = async (mediaId, userId, visibility) => {
+  try {
+    const [media] = await db.query('SELECT id FROM media_records WHERE id = ? AND user_id = ?', [
+      mediaId,
+      userId,
+    ]);
+
+    if (!media) {
+      throw new AppError('Media record not found or you do not have permission', 404);
+    }
+
+    await assertValidVisibility(userId, visibility);
+
+    await db.query('UPDATE media_records SET visibility = ? WHERE id = ?', [visibility, mediaId]);
+
+    return { id: mediaId, visibility };
+  } catch (error) {
+    logger.error(`Update media visibility error: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Delete media record
  * @param {string} mediaId - Media ID
@@ -207,5 +274,6 @@ module.exports = {
   storeMedia,
   getUserMediaRecords,
   getRoomMediaRecords,
+  updateMediaVisibility,
   deleteMedia,
 };
@@ -44,6 +44,7 @@ const createNotification = async (notificationData) => {
     ]);
 
     // If user has disabled this notification type, don't create it
+    // Security notifications have no setting and are always delivered
     if (settings) {
       if (type === 'friend_request' && !settings.friend_requests) return null;
       if (type === 'room_invite' && !settings.room_invites) return null;
@@ -84,7 +85,10 @@ const createNotification = async (notificationData) => {
       type: notification.type,
       title: notification.title,
       message: notification.message,
-      data: JSON.parse(notification.data || '{}'),
+      data:
+        typeof notification.data === 'string'
+          ? JSON.parse(notification.data)
+          : notification.data || {},
       is_read: notification.is_read,
       created_at: notification.created_at,
     };
@@ -0,0 +1,195 @@
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+// Onboarding steps in the order clients should walk through them
+// Required steps gate joining rooms, optional ones can be skipped. Weights add up to 100 and make up
+// the completeness score
+const ONBOARDING_STEPS = [
+  { name: 'username', required: true, weight: 25 },
+  { name: 'date_of_birth', required: true, weight: 15 },
+  { name: 'profile_picture', required: false, weight: 15 },
+  { name: 'interests', required: false, weight: 15 },
+  { name: 'vibe_preference', required: false, weight: 10 },
+  { name: 'notifications', required: false, weight: 10 },
+  { name: 'first_friends', required: false, weight: 10 },
+];
+
+const OPTIONAL_STEPS = ONBOARDING_STEPS.filter((step) => !step.required).map((step) => step.name);
+
+/**
+ * Load what onboarding needs to know about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - User row with device and friendship counts
+ */
+const getOnboardingRow = async (userId) => {
+  const [user] = await db.query(
+    `SELECT u.id, u.username, u.profile_picture, u.interests, u.vibe_preference, u.date_of_birth,
+    u.onboarding_skipped_steps, u.onboarding_completed_at,
+    (SELECT COUNT(*) FROM device_tokens dt WHERE dt.user_id = u.id) AS device_count,
+    (SELECT COUNT(*) FROM friendships f
+      WHERE (f.status = 'accepted' AND (f.requester_id = u.id OR f.addressee_id = u.id))
+      OR (f.status = 'pending' AND f.requester_id = u.id)) AS friend_count
+    FROM users u
+    WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Check which steps a user has completed
+ * @param {Object} user - Onboarding row
+ * @returns {Object} - Completion by step name
+ */
+const getCompletedSteps = (user) => ({
+  username: !!user.username,
+  date_of_birth: !!user.date_of_birth,
+  profile_picture: !!user.profile_picture,
+  interests: Array.isArray(user.interests) && user.interests.length > 0,
+  vibe_preference: !!user.vibe_preference,
+  // A registered device token means the client was granted push permission
+  notifications: Number(user.device_count) > 0,
+  // Sending a request is enough - the step is about reaching out, not about being accepted
+  first_friends: Number(user.friend_count) > 0,
+});
+
+/**
+ * Work out where a user is in onboarding
+ * @param {Object} user - Onboarding row
+ * @returns {Object} - Onboarding state
+ */
+const buildState = (user) => {
+  const completed = getCompletedSteps(user);
+  const skipped = Array.isArray(user.onboarding_skipped_steps) ? user.onboarding_skipped_steps : [];
+
+  const steps = ONBOARDING_STEPS.map((step) => ({
+    name: step.name,
+    required: step.required,
+    completed: completed[step.name],
+    skipped: !step.required && !completed[step.name] && skipped.includes(step.name),
+  }));
+
+  const missingRequired = steps.filter((step) => step.required && !step.completed);
+  const pending = steps.filter((step) => !step.completed && !step.skipped);
+
+  let status = 'completed';
+  if (missingRequired.length > 0) {
+    status = 'required_steps_pending';
+  } else if (pending.length > 0) {
+    status = 'optional_steps_pending';
+  }
+
+  const completeness = ONBOARDING_STEPS.reduce(
+    (score, step) => score + (completed[step.name] ? step.weight : 0),
+    0
+  );
+
+  return {
+    status,
+    current_step: pending.length > 0 ? pending[0].name : null,
+    completeness,
+    can_join_rooms: missingRequired.length === 0,
+    missing_required_steps: missingRequired.map((step) => step.name),
+    steps,
+    completed_at: user.onboarding_completed_at,
+  };
+};
+
+/**
+ * Get a user's onboarding progress
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Onboarding state (status, current_step, completeness, can_join_rooms,
+ * missing_required_steps, steps, completed_at)
+ */
+const getOnboardingState = async (userId) => {
+  try {
+    const user = await getOnboardingRow(userId);
+    const state = buildState(user);
+
+    // Remember when onboarding was first finished; it stays finished even if a step is undone later
+    if (state.status === 'completed' && !user.onboarding_completed_at) {
+      await db.query(
+        'UPDATE users SET onboarding_completed_at = NOW() WHERE id = ? AND onboarding_completed_at IS NULL',
+        [userId]
+      );
+      state.completed_at = new Date();
+    }
+
+    return state;
+  } catch (error) {
+    logger.error(`Get onboarding state error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Skip an optional onboarding step
+ * @param {string} userId - User ID
+ * @param {string} stepName - Step to skip
+ * @returns {Promise<Object>} - Onboarding state
+ */
+const skipStep = async (userId, stepName) => {
+  try {
+    if (!OPTIONAL_STEPS.includes(stepName)) {
+      throw new AppError('Only optional onboarding steps can be skipped', 400);
+    }
+
+    const user = await getOnboardingRow(userId);
+    const skipped = Array.isArray(user.onboarding_skipped_steps)
+      ? user.onboarding_skipped_steps
+      : [];
+
+    if (!skipped.includes(stepName)) {
+      await db.query('UPDATE users SET onboarding_skipped_steps = ? WHERE id = ?', [
+        JSON.stringify([...skipped, stepName]),
+        userId,
+      ]);
+    }
+
+    return getOnboardingState(userId);
+  } catch (error) {
+    logger.error(`Skip onboarding step error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Make sure a user has finished the required onboarding steps
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const assertCanJoinRooms = async (userId) => {
+  const state = buildState(await getOnboardingRow(userId));
+
+  if (!state.can_join_rooms) {
+    throw new AppError('Finish setting up your profile to join rooms', 403, {
+      reason: 'onboarding',
+      missing_steps: state.missing_required_steps,
+    });
+  }
+};
+
+/**
+ * Check whether a user has finished the required onboarding steps
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether the user may join rooms
+ */
+const canJoinRooms = async (userId) => {
+  const user = await getOnboardingRow(userId);
+  return buildState(user).can_join_rooms;
+};
+
+module.exports = {
+  ONBOARDING_STEPS,
+  OPTIONAL_STEPS,
+  getOnboardingState,
+  skipStep,
+  assertCanJoinRooms,
+  canJoinRooms,
+};
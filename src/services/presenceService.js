@@ -0,0 +1,154 @@
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const socket = require('../config/socket');
+const privacyService = require('./privacyService');
+
+// Presence states, from least to most specific
+// offline: no connected socket (ghosts are always offline to others)
+// online: connected, not in a room
+// in_room: taking part in a room
+// in_game: playing in an active game session
+const OFFLINE = 'offline';
+const ONLINE = 'online';
+const IN_ROOM = 'in_room';
+const IN_GAME = 'in_game';
+
+/**
+ * Get the IDs of a user's friends, leaving out anyone blocked either way
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - Friend IDs
+ */
+const getFriendIds = async (userId) => {
+  const notBlocked = privacyService.notBlocked('u.id', userId);
+
+  const friends = await db.query(
+    `SELECT u.id
+    FROM friendships f
+    JOIN users u ON u.id = IF(f.requester_id = ?, f.addressee_id, f.requester_id)
+    WHERE f.status = 'accepted' AND (f.requester_id = ? OR f.addressee_id = ?)
+    AND u.account_status != 'deleted'
+    AND ${notBlocked.sql}`,
+    [userId, userId, userId, ...notBlocked.params]
+  );
+
+  return friends.map((friend) => friend.id);
+};
+
+/**
+ * Work out what connected users are doing from the rooms and games they are taking part in
+ * Private rooms, and games played in them, are reported without their details
+ * @param {Array<string>} userIds - IDs of connected users
+ * @returns {Promise<Map<string, Object>>} - Activity (status, room, game) by user ID
+ */
+const getActivities = async (userIds) => {
+  const activities = new Map();
+  if (userIds.length === 0) {
+    return activities;
+  }
+
+  for (const userId of userIds) {
+    activities.set(userId, { status: ONLINE, room: null, game: null });
+  }
+
+  const placeholders = userIds.map(() => '?').join(',');
+
+  const rooms = await db.query(
+    `SELECT rp.user_id, r.id, r.name, r.type
+    FROM room_participants rp
+    JOIN rooms r ON r.id = rp.room_id
+    WHERE rp.user_id IN (${placeholders}) AND rp.is_active = TRUE
+    ORDER BY rp.joined_at ASC`,
+    userIds
+  );
+
+  // The room joined most recently wins
+  for (const room of rooms) {
+    const activity = activities.get(room.user_id);
+    activity.status = IN_ROOM;
+    activity.room = room.type === 'public' ? { id: room.id, name: room.name } : null;
+  }
+
+  const games = await db.query(
+    `SELECT gp.user_id, gs.id AS session_id, g.id, g.name, r.type AS room_type
+    FROM game_participants gp
+    JOIN game_sessions gs ON gs.id = gp.game_session_id
+    JOIN games g ON g.id = gs.game_id
+    JOIN rooms r ON r.id = gs.room_id
+    WHERE gp.user_id IN (${placeholders}) AND gp.left_at IS NULL AND gs.status = 'active'
+    ORDER BY gp.joined_at ASC`,
+    userIds
+  );
+
+  for (const game of games) {
+    const activity = activities.get(game.user_id);
+    activity.status = IN_GAME;
+    activity.game = {
+      id: game.id,
+      name: game.name,
+      session_id: game.room_type === 'public' ? game.session_id : null,
+    };
+  }
+
+  return activities;
+};
+
+/**
+ * Get a user's presence as their friends see it
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Presence (status, room, game)
+ */
+const getPresence = async (userId) => {
+  if (!socket.isUserOnline(userId) || (await privacyService.isGhost(userId))) {
+    return { status: OFFLINE, room: null, game: null };
+  }
+
+  const activities = await getActivities([userId]);
+  return activities.get(userId);
+};
+
+/**
+ * Get a user's friends who are online right now, with what they are doing
+ * Friends in ghost mode are left out
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Online friends (user_id, username, profile_picture, status, room, game)
+ */
+const getOnlineFriends = async (userId) => {
+  try {
+    const friendIds = (await getFriendIds(userId)).filter((id) => socket.isUserOnline(id));
+    if (friendIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = friendIds.map(() => '?').join(',');
+    const friends = await db.query(
+      `SELECT id, username, profile_picture
+      FROM users
+      WHERE id IN (${placeholders}) AND account_status != '${privacyService.GHOST}'
+      ORDER BY username`,
+      friendIds
+    );
+
+    const activities = await getActivities(friends.map((friend) => friend.id));
+
+    return friends.map((friend) => ({
+      user_id: friend.id,
+      username: friend.username,
+      profile_picture: friend.profile_picture,
+      ...activities.get(friend.id),
+    }));
+  } catch (error) {
+    logger.error(`Get online friends error: ${error.message}`);
+    throw new AppError('Failed to get online friends', 500);
+  }
+};
+
+module.exports = {
+  OFFLINE,
+  ONLINE,
+  IN_ROOM,
+  IN_GAME,
+  getFriendIds,
+  getPresence,
+  getOnlineFriends,
+};
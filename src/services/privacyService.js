@@ -0,0 +1,299 @@
+const db = require('../config/database');
+const {
+  FIELD_VISIBILITY_LEVELS,
+  GROUP_VISIBILITY_PREFIX,
+  DEFAULT_FIELD_VISIBILITY,
+} = require('../config/profile');
+
+// Account modes
+// ghost: hidden from presence, suggestions, search and room participant lists of non-friends
+// private: profile fields, media and activity are only shown to accepted friends
+const GHOST = 'ghost';
+const PRIVATE = 'private';
+
+// Profile fields anyone may see on a private account
+const PRIVATE_PROFILE_FIELDS = [
+  'id',
+  'username',
+  'profile_picture',
+  'profile_picture_sizes',
+  'account_status',
+];
+
+/**
+ * SQL condition that hides rows of users in a mode from everyone but themselves and their friends
+ * @param {string} mode - Account mode to hide (ghost or private)
+ * @param {string} userColumn - Column holding the row's user ID
+ * @param {string} statusColumn - Column holding that user's account_status
+ * @param {string} viewerId - ID of the user viewing the rows
+ * @returns {Object} - Condition (sql, params)
+ */
+const visibleTo = (mode, userColumn, statusColumn, viewerId) => ({
+  sql: `(${statusColumn} != '${mode}' OR ${userColumn} = ? OR EXISTS (
+    SELECT 1 FROM friendships vf WHERE vf.status = 'accepted'
+    AND ((vf.requester_id = ? AND vf.addressee_id = ${userColumn})
+      OR (vf.addressee_id = ? AND vf.requester_id = ${userColumn}))
+  ))`,
+  params: [viewerId, viewerId, viewerId],
+});
+
+/**
+ * SQL condition that hides rows of users who blocked the viewer or were blocked by them
+ * @param {string} userColumn - Column holding the row's user ID
+ * @param {string} viewerId - ID of the user viewing the rows
+ * @returns {Object} - Condition (sql, params)
+ */
+const notBlocked = (userColumn, viewerId) => ({
+  sql: `NOT EXISTS (
+    SELECT 1 FROM friendships bf WHERE bf.status = 'blocked'
+    AND ((bf.requester_id = ? AND bf.addressee_id = ${userColumn})
+      OR (bf.addressee_id = ? AND bf.requester_id = ${userColumn}))
+  )`,
+  params: [viewerId, viewerId],
+});
+
+/**
+ * Find which of the given users are accepted friends of the viewer
+ * @param {string} viewerId - Viewer ID
+ * @param {Array<string>} userIds - User IDs to check
+ * @returns {Promise<Set<string>>} - IDs of the viewer's friends among them
+ */
+const getFriendIdSet = async (viewerId, userIds) => {
+  if (!viewerId || userIds.length === 0) {
+    return new Set();
+  }
+
+  const placeholders = userIds.map(() => '?').join(',');
+  const rows = await db.query(
+    `SELECT IF(requester_id = ?, addressee_id, requester_id) AS friend_id
+    FROM friendships
+    WHERE status = 'accepted'
+    AND ((requester_id = ? AND addressee_id IN (${placeholders}))
+      OR (addressee_id = ? AND requester_id IN (${placeholders})))`,
+    [viewerId, viewerId, ...userIds, viewerId, ...userIds]
+  );
+
+  return new Set(rows.map((row) => row.friend_id));
+};
+
+/**
+ * Check whether a viewer may see everything a user shares with friends
+ * @param {string} viewerId - Viewer ID
+ * @param {string} userId - Owner of the content
+ * @returns {Promise<boolean>} - Whether the viewer is the user or one of their friends
+ */
+const isSelfOrFriend = async (viewerId, userId) => {
+  if (viewerId === userId) {
+    return true;
+  }
+
+  const friends = await getFriendIdSet(viewerId, [userId]);
+  return friends.has(userId);
+};
+
+/**
+ * Drop the users a viewer may not see from a list - ghosts are only visible to their friends
+ * @param {string} viewerId - Viewer ID
+ * @param {Array<Object>} users - Users with id and account_status
+ * @returns {Promise<Array<Object>>} - Visible users
+ */
+const filterGhosts = async (viewerId, users) => {
+  const ghostIds = users
+    .filter((user) => user.account_status === GHOST && user.id !== viewerId)
+    .map((user) => user.id);
+
+  if (ghostIds.length === 0) {
+    return users;
+  }
+
+  const friends = await getFriendIdSet(viewerId, ghostIds);
+  return users.filter((user) => !ghostIds.includes(user.id) || friends.has(user.id));
+};
+
+/**
+ * Reduce a private account's profile to the fields anyone may see
+ * @param {Object} user - Full profile
+ * @returns {Object} - Restricted profile
+ */
+const restrictProfile = (user) => {
+  const restricted = { is_restricted: true };
+  for (const field of PRIVATE_PROFILE_FIELDS) {
+    restricted[field] = user[field];
+  }
+  return restricted;
+};
+
+/**
+ * Get the visibility of each profile field, falling back to the defaults
+ * @param {Object} fieldVisibility - Visibility the user chose, by field
+ * @returns {Object} - Visibility of every field
+ */
+const getFieldVisibility = (fieldVisibility) => ({
+  ...DEFAULT_FIELD_VISIBILITY,
+  ...(fieldVisibility || {}),
+});
+
+/**
+ * Get the friend group a visibility setting is limited to
+ * @param {string} visibility - Visibility setting
+ * @returns {string|null} - Group ID, or null if the setting isn't a group
+ */
+const getVisibilityGroupId = (visibility) =>
+  typeof visibility === 'string' && visibility.startsWith(GROUP_VISIBILITY_PREFIX)
+    ? visibility.slice(GROUP_VISIBILITY_PREFIX.length)
+    : null;
+
+/**
+ * Check that a visibility setting is a level or one of the owner's friend groups
+ * @param {string} ownerId - ID of the user the setting belongs to
+ * @param {string} visibility - Visibility setting
+ * @returns {Promise<boolean>} - Whether the setting can be used
+ */
+const isValidVisibility = async (ownerId, visibility) => {
+  if (FIELD_VISIBILITY_LEVELS.includes(visibility)) {
+    return true;
+  }
+
+  const groupId = getVisibilityGroupId(visibility);
+  if (!groupId) {
+    return false;
+  }
+
+  const [group] = await db.query('SELECT id FROM friend_groups WHERE id = ? AND owner_id = ?', [
+    groupId,
+    ownerId,
+  ]);
+  return !!group;
+};
+
+/**
+ * Find which of an owner's friend groups a user is in
+ * @param {string} ownerId - Group owner ID
+ * @param {string} userId - Member ID
+ * @returns {Promise<Set<string>>} - Group IDs
+ */
+const getMemberGroupIds = async (ownerId, userId) => {
+  const groups = await db.query(
+    `SELECT g.id FROM friend_groups g
+    JOIN friend_group_members m ON m.group_id = g.id
+    WHERE g.owner_id = ? AND m.user_id = ?`,
+    [ownerId, userId]
+  );
+
+  return new Set(groups.map((group) => group.id));
+};
+
+/**
+ * Check whether a visibility setting shows something to a viewer other than its owner
+ * @param {string} visibility - Visibility setting
+ * @param {boolean} isFriend - Whether the viewer is one of the owner's friends
+ * @param {Set<string>} groupIds - Owner's friend groups the viewer is in
+ * @returns {boolean} - Whether the viewer may see it
+ */
+const isVisibleTo = (visibility, isFriend, groupIds = new Set()) => {
+  if (visibility === 'public') {
+    return true;
+  }
+
+  if (visibility === 'friends') {
+    return isFriend;
+  }
+
+  const groupId = getVisibilityGroupId(visibility);
+  return !!groupId && isFriend && groupIds.has(groupId);
+};
+
+/**
+ * SQL condition that hides rows whose visibility setting doesn't include the viewer
+ * @param {string} visibilityColumn - Column holding the row's visibility setting
+ * @param {string} userColumn - Column holding the ID of the row's owner
+ * @param {string} viewerId - ID of the user viewing the rows
+ * @returns {Object} - Condition (sql, params)
+ */
+const audienceIncludes = (visibilityColumn, userColumn, viewerId) => ({
+  sql: `(${userColumn} = ? OR ${visibilityColumn} = 'public'
+    OR (${visibilityColumn} != 'only_me' AND EXISTS (
+      SELECT 1 FROM friendships af WHERE af.status = 'accepted'
+      AND ((af.requester_id = ? AND af.addressee_id = ${userColumn})
+        OR (af.addressee_id = ? AND af.requester_id = ${userColumn}))
+    ) AND (${visibilityColumn} = 'friends' OR EXISTS (
+      SELECT 1 FROM friend_groups ag
+      JOIN friend_group_members am ON am.group_id = ag.id
+      WHERE ag.owner_id = ${userColumn} AND am.user_id = ?
+      AND ${visibilityColumn} = CONCAT('${GROUP_VISIBILITY_PREFIX}', ag.id)
+    ))))`,
+  params: [viewerId, viewerId, viewerId, viewerId],
+});
+
+/**
+ * Blank out the profile fields the user doesn't share with a viewer
+ * @param {Object} user - Full profile
+ * @param {boolean} isFriend - Whether the viewer is one of the user's friends
+ * @param {Set<string>} groupIds - User's friend groups the viewer is in
+ * @returns {Object} - Profile without hidden fields or the visibility settings
+ */
+const hideProfileFields = (user, isFriend, groupIds = new Set()) => {
+  const { field_visibility, ...profile } = user;
+  const visibility = getFieldVisibility(field_visibility);
+
+  for (const [field, level] of Object.entries(visibility)) {
+    if (field in profile && !isVisibleTo(level, isFriend, groupIds)) {
+      profile[field] = Array.isArray(profile[field]) ? [] : null;
+    }
+  }
+
+  return profile;
+};
+
+/**
+ * Get a profile as a viewer may see it
+ * @param {string} viewerId - Viewer ID
+ * @param {Object} user - Full profile
+ * @returns {Promise<Object>} - The profile, restricted for private accounts the viewer isn't friends
+ * with and without the fields the user doesn't share with the viewer
+ */
+const getVisibleProfile = async (viewerId, user) => {
+  if (viewerId === user.id) {
+    return user;
+  }
+
+  const isFriend = await isSelfOrFriend(viewerId, user.id);
+
+  if (user.account_status === PRIVATE && !isFriend) {
+    return restrictProfile(user);
+  }
+
+  const groupIds = isFriend ? await getMemberGroupIds(user.id, viewerId) : new Set();
+
+  return hideProfileFields(user, isFriend, groupIds);
+};
+
+/**
+ * Check whether a user is in ghost mode
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether the user is a ghost
+ */
+const isGhost = async (userId) => {
+  const [user] = await db.query('SELECT account_status FROM users WHERE id = ?', [userId]);
+  return !!user && user.account_status === GHOST;
+};
+
+module.exports = {
+  GHOST,
+  PRIVATE,
+  visibleTo,
+  notBlocked,
+  getFriendIdSet,
+  isSelfOrFriend,
+  filterGhosts,
+  restrictProfile,
+  getFieldVisibility,
+  getVisibilityGroupId,
+  isValidVisibility,
+  getMemberGroupIds,
+  isVisibleTo,
+  audienceIncludes,
+  hideProfileFields,
+  getVisibleProfile,
+  isGhost,
+};
@@ -0,0 +1,339 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { PERMISSIONS, ADMIN_ROLE } = require('../config/roles');
+
+/**
+ * Get a user's roles and effective permissions
+ * Users flagged with the legacy is_admin column hold the admin role implicitly.
+ * Every permission is an admin power that can be delegated, so holding any requires two-factor
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Access (isAdmin, twoFactorEnabled, requiresTwoFactor, roles,
+ * permissions)
+ */
+const getUserAccess = async (userId) => {
+  const [user] = await db.query('SELECT is_admin, two_factor_enabled FROM users WHERE id = ?', [
+    userId,
+  ]);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const rows = await db.query(
+    `SELECT r.name, rp.permission
+    FROM user_roles ur
+    JOIN roles r ON r.id = ur.role_id
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    WHERE ur.user_id = ?`,
+    [userId]
+  );
+
+  const roles = new Set(rows.map((row) => row.name));
+  const permissions = new Set(rows.map((row) => row.permission).filter(Boolean));
+
+  if (user.is_admin) {
+    roles.add(ADMIN_ROLE);
+  }
+
+  // The admin role always carries every permission, including ones added after it was seeded
+  if (roles.has(ADMIN_ROLE)) {
+    Object.keys(PERMISSIONS).forEach((permission) => permissions.add(permission));
+  }
+
+  return {
+    isAdmin: roles.has(ADMIN_ROLE),
+    twoFactorEnabled: !!user.two_factor_enabled,
+    requiresTwoFactor: permissions.size > 0,
+    roles: [...roles],
+    permissions: [...permissions],
+  };
+};
+
+/**
+ * Get all permissions
+ * @returns {Promise<Array>} - Permissions
+ */
+const getPermissions = async () => {
+  try {
+    return await db.query('SELECT name, description FROM permissions ORDER BY name');
+  } catch (error) {
+    logger.error(`Get permissions error: ${error.message}`);
+    throw new AppError('Failed to retrieve permissions', 500);
+  }
+};
+
+/**
+ * Get a role with its permissions
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} - Role
+ */
+const getRoleById = async (roleId) => {
+  try {
+    const [role] = await db.query(
+      'SELECT id, name, description, is_system, created_at FROM roles WHERE id = ?',
+      [roleId]
+    );
+
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+
+    const permissions = await db.query(
+      'SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission',
+      [roleId]
+    );
+
+    return {
+      ...role,
+      permissions: permissions.map((row) => row.permission),
+    };
+  } catch (error) {
+    logger.error(`Get role error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get all roles with their permissions and member counts
+ * @returns {Promise<Array>} - Roles
+ */
+const getRoles = async () => {
+  try {
+    const roles = await db.query(
+      `SELECT r.id, r.name, r.description, r.is_system, r.created_at,
+      (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id) AS member_count
+      FROM roles r
+      ORDER BY r.is_system DESC, r.name`
+    );
+
+    const permissions = await db.query('SELECT role_id, permission FROM role_permissions');
+
+    return roles.map((role) => ({
+      ...role,
+      permissions: permissions
+        .filter((row) => row.role_id === role.id)
+        .map((row) => row.permission),
+    }));
+  } catch (error) {
+    logger.error(`Get roles error: ${error.message}`);
+    throw new AppError('Failed to retrieve roles', 500);
+  }
+};
+
+/**
+ * Replace a role's permissions
+ * @param {string} roleId - Role ID
+ * @param {Array<string>} permissions - Permission names
+ * @returns {Promise<void>}
+ */
+const setRolePermissions = async (roleId, permissions) => {
+  const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+  }
+
+  await db.transaction(async (connection) => {
+    await connection.query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+    for (const permission of new Set(permissions)) {
+      await connection.query('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)', [
+        roleId,
+        permission,
+      ]);
+    }
+  });
+};
+
+/**
+ * Create a custom role
+ * @param {Object} roleData - Role data (name, description, permissions)
+ * @returns {Promise<Object>} - Created role
+ */
+const createRole = async (roleData) => {
+  try {
+    const { name, description, permissions = [] } = roleData;
+
+    const [existingRole] = await db.query('SELECT id FROM roles WHERE name = ?', [name]);
+    if (existingRole) {
+      throw new AppError('A role with this name already exists', 400);
+    }
+
+    const roleId = uuidv4();
+
+    await db.query('INSERT INTO roles (id, name, description) VALUES (?, ?, ?)', [
+      roleId,
+      name,
+      description || null,
+    ]);
+
+    await setRolePermissions(roleId, permissions);
+
+    return getRoleById(roleId);
+  } catch (error) {
+    logger.error(`Create role error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a custom role
+ * Built-in roles are read-only so the defaults stay meaningful
+ * @param {string} roleId - Role ID
+ * @param {Object} updateData - Data to update (description, permissions)
+ * @returns {Promise<Object>} - Updated role
+ */
+const updateRole = async (roleId, updateData) => {
+  try {
+    const role = await getRoleById(roleId);
+
+    if (role.is_system) {
+      throw new AppError('Built-in roles cannot be changed', 400);
+    }
+
+    if (updateData.description !== undefined) {
+      await db.query('UPDATE roles SET description = ? WHERE id = ?', [
+        updateData.description,
+        roleId,
+      ]);
+    }
+
+    if (updateData.permissions) {
+      await setRolePermissions(roleId, updateData.permissions);
+    }
+
+    return getRoleById(roleId);
+  } catch (error) {
+    logger.error(`Update role error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a custom role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const deleteRole = async (roleId) => {
+  try {
+    const role = await getRoleById(roleId);
+
+    if (role.is_system) {
+      throw new AppError('Built-in roles cannot be deleted', 400);
+    }
+
+    await db.query('DELETE FROM roles WHERE id = ?', [roleId]);
+
+    return true;
+  } catch (error) {
+    logger.error(`Delete role error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the roles assigned to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Assigned roles and effective permissions
+ */
+const getUserRoles = async (userId) => {
+  try {
+    const roles = await db.query(
+      `SELECT r.id, r.name, r.description, ur.assigned_by, ur.created_at AS assigned_at
+      FROM user_roles ur
+      JOIN roles r ON r.id = ur.role_id
+      WHERE ur.user_id = ?
+      ORDER BY r.name`,
+      [userId]
+    );
+
+    const access = await getUserAccess(userId);
+
+    return {
+      roles,
+      is_admin: access.isAdmin,
+      permissions: access.permissions,
+    };
+  } catch (error) {
+    logger.error(`Get user roles error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Assign a role to a user
+ * @param {string} userId - User ID
+ * @param {string} roleId - Role ID
+ * @param {string} assignedBy - ID of the user assigning the role
+ * @returns {Promise<Object>} - User's roles
+ */
+const assignRole = async (userId, roleId, assignedBy) => {
+  try {
+    const [user] = await db.query(
+      "SELECT id FROM users WHERE id = ? AND account_status != 'deleted'",
+      [userId]
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    await getRoleById(roleId);
+
+    await db.query(
+      'INSERT IGNORE INTO user_roles (user_id, role_id, assigned_by) VALUES (?, ?, ?)',
+      [userId, roleId, assignedBy]
+    );
+
+    return getUserRoles(userId);
+  } catch (error) {
+    logger.error(`Assign role error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove a role from a user
+ * @param {string} userId - User ID
+ * @param {string} roleId - Role ID
+ * @param {string} removedBy - ID of the user removing the role
+ * @returns {Promise<Object>} - User's roles
+ */
+const removeRole = async (userId, roleId, removedBy) => {
+  try {
+    const role = await getRoleById(roleId);
+
+    // Keep admins from locking themselves out
+    if (userId === removedBy && role.name === ADMIN_ROLE) {
+      throw new AppError('You cannot remove the admin role from yourself', 400);
+    }
+
+    const result = await db.query('DELETE FROM user_roles WHERE user_id = ? AND role_id = ?', [
+      userId,
+      roleId,
+    ]);
+
+    if (result.affectedRows === 0) {
+      throw new AppError('User does not have this role', 404);
+    }
+
+    return getUserRoles(userId);
+  } catch (error) {
+    logger.error(`Remove role error: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  getUserAccess,
+  getPermissions,
+  getRoleById,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserRoles,
+  assignRole,
+  removeRole,
+};
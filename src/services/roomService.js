@@ -3,6 +3,10 @@ const { AppError } = require('../utils/errorHandler');
 const db = require('../config/database');
 const logger = require('../config/logger');
 const socket = require('../config/socket');
+const privacyService = require('./privacyService');
+const ageService = require('./ageService');
+const onboardingService = require('./onboardingService');
+const friendGroupService = require('./friendGroupService');
 
 // This will be lazy-loaded to avoid circular dependency
 let notificationService;
@@ -14,7 +18,7 @@ let notificationService;
  */
 const createRoom = async (roomData) => {
   try {
-    const { name, type, hostId } = roomData;
+    const { name, type, hostId, isAlcoholRelated } = roomData;
 
     if (!name || !hostId) {
       throw new AppError('Room name and host ID are required', 400);
@@ -26,6 +30,14 @@ const createRoom = async (roomData) => {
       throw new AppError('Invalid room type', 400);
     }
 
+    // The host joins their own room, so they need to have finished onboarding too
+    await onboardingService.assertCanJoinRooms(hostId);
+
+    // Only hosts who may drink can open alcohol-related rooms
+    if (isAlcoholRelated) {
+      await ageService.assertCanAccessAlcohol(hostId);
+    }
+
     // Create room
     const roomId = uuidv4();
 
@@ -38,12 +50,10 @@ const createRoom = async (roomData) => {
       throw new AppError('Room with the same name already exists', 400);
     }
 
-    await db.query('INSERT INTO rooms (id, name, type, host_id) VALUES (?, ?, ?, ?)', [
-      roomId,
-      name,
-      type || 'public',
-      hostId,
-    ]);
+    await db.query(
+      'INSERT INTO rooms (id, name, type, is_alcohol_related, host_id) VALUES (?, ?, ?, ?, ?)',
+      [roomId, name, type || 'public', isAlcoholRelated ? 1 : 0, hostId]
+    );
 
     // Add host as participant
     await db.query('INSERT INTO room_participants (id, room_id, user_id) VALUES (?, ?, ?)', [
@@ -52,8 +62,10 @@ const createRoom = async (roomData) => {
       hostId,
     ]);
 
+    socket.emitPresenceChange(hostId);
+
     // Get room details
-    return getRoomDetails(roomId);
+    return getRoomDetails(roomId, hostId);
   } catch (error) {
     logger.error(`Create room error: ${error.message}`);
     throw error;
@@ -62,14 +74,16 @@ const createRoom = async (roomData) => {
 
 /**
  * Get room details
+ * Ghost participants are only listed for their friends
  * @param {string} roomId - Room ID
+ * @param {string} viewerId - ID of the user viewing the room
  * @returns {Promise<Object>} - Room details
  */
-const getRoomDetails = async (roomId) => {
+const getRoomDetails = async (roomId, viewerId = null) => {
   try {
     // Get room
     const [room] = await db.query(
-      `SELECT r.id, r.name, r.type, r.is_locked, r.host_id, r.created_at,
+      `SELECT r.id, r.name, r.type, r.is_locked, r.is_alcohol_related, r.host_id, r.created_at,
       u.username AS host_username, u.profile_picture AS host_profile_picture
       FROM rooms r
       JOIN users u ON u.id = r.host_id
@@ -82,12 +96,15 @@ const getRoomDetails = async (roomId) => {
     }
 
     // Get active participants
-    const participants = await db.query(
-      `SELECT rp.user_id, rp.joined_at, u.username, u.profile_picture
-      FROM room_participants rp
-      JOIN users u ON u.id = rp.user_id
-      WHERE rp.room_id = ? AND rp.is_active = TRUE`,
-      [roomId]
+    const participants = await privacyService.filterGhosts(
+      viewerId,
+      await db.query(
+        `SELECT rp.user_id AS id, rp.joined_at, u.username, u.profile_picture, u.account_status
+        FROM room_participants rp
+        JOIN users u ON u.id = rp.user_id
+        WHERE rp.room_id = ? AND rp.is_active = TRUE`,
+        [roomId]
+      )
     );
 
     // Get active game sessions
@@ -105,6 +122,7 @@ const getRoomDetails = async (roomId) => {
       name: room.name,
       type: room.type,
       is_locked: !!room.is_locked,
+      is_alcohol_related: !!room.is_alcohol_related,
       created_at: room.created_at,
       host: {
         id: room.host_id,
@@ -112,7 +130,7 @@ const getRoomDetails = async (roomId) => {
         profile_picture: room.host_profile_picture,
       },
       participants: participants.map((p) => ({
-        id: p.user_id,
+        id: p.id,
         username: p.username,
         profile_picture: p.profile_picture,
         joined_at: p.joined_at,
@@ -187,8 +205,16 @@ const updateRoom = async (roomId, updateData, userId) => {
       updateValues.push(updateData.is_locked ? 1 : 0);
     }
 
+    if (updateData.is_alcohol_related !== undefined) {
+      if (updateData.is_alcohol_related) {
+        await ageService.assertCanAccessAlcohol(userId);
+      }
+      updateFields.push('is_alcohol_related = ?');
+      updateValues.push(updateData.is_alcohol_related ? 1 : 0);
+    }
+
     if (updateFields.length === 0) {
-      return getRoomDetails(roomId);
+      return getRoomDetails(roomId, userId);
     }
 
     // Complete update query
@@ -211,7 +237,7 @@ const updateRoom = async (roomId, updateData, userId) => {
     }
 
     // Get updated room
-    return getRoomDetails(roomId);
+    return getRoomDetails(roomId, userId);
   } catch (error) {
     logger.error(`Update room error: ${error.message}`);
     throw error;
@@ -227,12 +253,21 @@ const updateRoom = async (roomId, updateData, userId) => {
 const joinRoom = async (userId, roomId) => {
   try {
     // Check if room exists
-    const [room] = await db.query('SELECT id, is_locked FROM rooms WHERE id = ?', [roomId]);
+    const [room] = await db.query(
+      'SELECT id, is_locked, is_alcohol_related FROM rooms WHERE id = ?',
+      [roomId]
+    );
 
     if (!room) {
       throw new AppError('Room not found', 404);
     }
 
+    await onboardingService.assertCanJoinRooms(userId);
+
+    if (room.is_alcohol_related) {
+      await ageService.assertCanAccessAlcohol(userId);
+    }
+
     // Check if room is locked
     if (room.is_locked) {
       // Check if user has an accepted join request
@@ -286,6 +321,8 @@ const joinRoom = async (userId, roomId) => {
       ]);
     }
 
+    socket.emitPresenceChange(userId);
+
     return {
       roomId,
       userId,
@@ -320,6 +357,8 @@ const leaveRoom = async (userId, roomId) => {
       participant.id,
     ]);
 
+    socket.emitPresenceChange(userId);
+
     // Check if there are any active participants left
     const [activeParticipantsCount] = await db.query(
       'SELECT COUNT(*) as count FROM room_participants WHERE room_id = ? AND is_active = TRUE',
@@ -351,7 +390,7 @@ const getPublicRooms = async (filters = {}, limit = 20, offset = 0) => {
   try {
     // Build query
     let query = `
-      SELECT r.id, r.name, r.type, r.is_locked, r.host_id, r.created_at,
+      SELECT r.id, r.name, r.type, r.is_locked, r.is_alcohol_related, r.host_id, r.created_at,
       u.username AS host_username, u.profile_picture AS host_profile_picture,
       (SELECT COUNT(*) FROM room_participants WHERE room_id = r.id AND is_active = TRUE) AS participants_count
       FROM rooms r
@@ -367,6 +406,11 @@ const getPublicRooms = async (filters = {}, limit = 20, offset = 0) => {
       params.push(`%${filters.name}%`);
     }
 
+    // Users who may not drink don't see alcohol-related rooms
+    if (filters.alcoholAllowed === false) {
+      query += ' AND r.is_alcohol_related = FALSE';
+    }
+
     // Add sorting
     query += ' ORDER BY participants_count DESC, r.created_at DESC';
 
@@ -392,6 +436,7 @@ const getPublicRooms = async (filters = {}, limit = 20, offset = 0) => {
           name: room.name,
           type: room.type,
           is_locked: !!room.is_locked,
+          is_alcohol_related: !!room.is_alcohol_related,
           created_at: room.created_at,
           host: {
             id: room.host_id,
@@ -591,6 +636,130 @@ const updateJoinRequest = async (requestId, accept) => {
   }
 };
 
+/**
+ * Invite a friend to a room
+ * Anyone in the room can invite their friends; only the host can invite people into a locked
+ * room, and their invite lets the friend join without a join request
+ * @param {string} roomId - Room ID
+ * @param {string} inviterId - User ID inviting
+ * @param {string} inviteeId - User ID being invited
+ * @returns {Promise<boolean>} - Success status
+ */
+const inviteToRoom = async (roomId, inviterId, inviteeId) => {
+  try {
+    // Lazy load notification service to prevent circular dependency
+    if (!notificationService) {
+      notificationService = require('./notificationService');
+    }
+
+    const [room] = await db.query('SELECT id, name, host_id, is_locked FROM rooms WHERE id = ?', [
+      roomId,
+    ]);
+
+    if (!room) {
+      throw new AppError('Room not found', 404);
+    }
+
+    // Check if inviter is in the room
+    const [inviter] = await db.query(
+      'SELECT id FROM room_participants WHERE room_id = ? AND user_id = ? AND is_active = TRUE',
+      [roomId, inviterId]
+    );
+
+    if (!inviter && room.host_id !== inviterId) {
+      throw new AppError('You must be in the room to invite others', 403);
+    }
+
+    if (room.is_locked && room.host_id !== inviterId) {
+      throw new AppError('Only the host can invite people to a locked room', 403);
+    }
+
+    if (inviterId === inviteeId || !(await privacyService.isSelfOrFriend(inviterId, inviteeId))) {
+      throw new AppError('You can only invite your friends', 400);
+    }
+
+    // Check if invitee is already in the room
+    const [participant] = await db.query(
+      'SELECT id FROM room_participants WHERE room_id = ? AND user_id = ? AND is_active = TRUE',
+      [roomId, inviteeId]
+    );
+
+    if (participant) {
+      throw new AppError('User is already in the room', 400);
+    }
+
+    if (room.is_locked) {
+      const [joinRequest] = await db.query(
+        `SELECT id FROM room_join_requests
+        WHERE room_id = ? AND user_id = ? AND status IN ('pending', 'accepted')`,
+        [roomId, inviteeId]
+      );
+
+      if (joinRequest) {
+        await db.query('UPDATE room_join_requests SET status = ? WHERE id = ?', [
+          'accepted',
+          joinRequest.id,
+        ]);
+      } else {
+        await db.query(
+          'INSERT INTO room_join_requests (id, room_id, user_id, status) VALUES (?, ?, ?, ?)',
+          [uuidv4(), roomId, inviteeId, 'accepted']
+        );
+      }
+    }
+
+    const [inviterUser] = await db.query('SELECT username FROM users WHERE id = ?', [inviterId]);
+
+    // Send notification to invitee
+    try {
+      await notificationService.createNotification({
+        userId: inviteeId,
+        type: 'room_invite',
+        title: 'Room Invite',
+        message: `${inviterUser.username} invited you to join ${room.name}`,
+        data: {
+          roomId,
+          inviterId,
+        },
+      });
+    } catch (notificationErr) {
+      logger.error(`Room invite notification error: ${notificationErr.message}`);
+    }
+
+    // Emit room invite event
+    socket.emitToUser(inviteeId, 'room-invite', {
+      roomId,
+      roomName: room.name,
+      inviterId,
+      inviterUsername: inviterUser.username,
+      timestamp: new Date(),
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Invite to room error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Invite everyone in one of the inviter's friend groups to a room
+ * @param {string} roomId - Room ID
+ * @param {string} inviterId - User ID inviting
+ * @param {string} groupId - Friend group ID
+ * @returns {Promise<Object>} - Result (invited user IDs, skipped [{ user_id, reason }])
+ */
+const inviteGroupToRoom = async (roomId, inviterId, groupId) => {
+  try {
+    return await friendGroupService.inviteMembers(groupId, inviterId, (inviteeId) =>
+      inviteToRoom(roomId, inviterId, inviteeId)
+    );
+  } catch (error) {
+    logger.error(`Invite group to room error: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Check if user can join room
  * @param {string} userId - User ID
@@ -600,12 +769,23 @@ const updateJoinRequest = async (requestId, accept) => {
 const canUserJoinRoom = async (userId, roomId) => {
   try {
     // Get room
-    const [room] = await db.query('SELECT is_locked, host_id FROM rooms WHERE id = ?', [roomId]);
+    const [room] = await db.query(
+      'SELECT is_locked, is_alcohol_related, host_id FROM rooms WHERE id = ?',
+      [roomId]
+    );
 
     if (!room) {
       return false;
     }
 
+    if (!(await onboardingService.canJoinRooms(userId))) {
+      return false;
+    }
+
+    if (room.is_alcohol_related && !(await ageService.canAccessAlcohol(userId))) {
+      return false;
+    }
+
     // Host can always join
     if (room.host_id === userId) {
       return true;
@@ -683,6 +863,8 @@ module.exports = {
   getUserActiveRooms,
   createJoinRequest,
   updateJoinRequest,
+  inviteToRoom,
+  inviteGroupToRoom,
   canUserJoinRoom,
   getPendingJoinRequests,
 };
@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../utils/errorHandler');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { hashToken } = require('../utils/security');
+const { API_KEY_SCOPES } = require('../config/roles');
+
+// Prefix that makes keys recognisable in config files and secret scanners
+const KEY_PREFIX = 'bzk';
+
+/**
+ * Generate a new API key
+ * @returns {Object} - Plaintext key, its display prefix and its hash
+ */
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  return {
+    key,
+    prefix: `${KEY_PREFIX}_${prefix}`,
+    hash: hashToken(key),
+  };
+};
+
+/**
+ * Parse the scopes column
+ * @param {string|Array} scopes - Scopes as stored
+ * @returns {Array<string>} - Scopes
+ */
+const parseScopes = (scopes) => {
+  return typeof scopes === 'string' ? JSON.parse(scopes) : scopes || [];
+};
+
+/**
+ * Check requested scopes against the known API key scopes
+ * @param {Array<string>} scopes - Requested scopes
+ * @returns {Array<string>} - De-duplicated scopes
+ */
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AppError('At least one scope is required', 400);
+  }
+
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown scopes: ${unknown.join(', ')}`, 400);
+  }
+
+  return [...new Set(scopes)];
+};
+
+/**
+ * Format an API key row for responses - never includes the hash
+ * @param {Object} apiKey - API key row
+ * @returns {Object} - API key
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  key_prefix: apiKey.key_prefix,
+  scopes: parseScopes(apiKey.scopes),
+  rate_limit: apiKey.rate_limit,
+  expires_at: apiKey.expires_at,
+  revoked_at: apiKey.revoked_at,
+  last_used_at: apiKey.last_used_at,
+  last_used_ip: apiKey.last_used_ip,
+  created_at: apiKey.created_at,
+});
+
+/**
+ * Find the service account for an API key
+ * @param {string} key - Plaintext API key from the request
+ * @returns {Promise<Object|null>} - Key and account details, or null if the key is not usable
+ */
+const verifyApiKey = async (key) => {
+  if (!key || !String(key).startsWith(`${KEY_PREFIX}_`)) {
+    return null;
+  }
+
+  const [apiKey] = await db.query(
+    `SELECT k.id, k.scopes, k.rate_limit, k.expires_at, k.revoked_at,
+    a.id AS service_account_id, a.name AS service_account_name, a.is_active
+    FROM api_keys k
+    JOIN service_accounts a ON a.id = k.service_account_id
+    WHERE k.key_hash = ?`,
+    [hashToken(key)]
+  );
+
+  if (
+    !apiKey ||
+    apiKey.revoked_at ||
+    !apiKey.is_active ||
+    (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())
+  ) {
+    return null;
+  }
+
+  return {
+    keyId: apiKey.id,
+    serviceAccountId: apiKey.service_account_id,
+    serviceAccountName: apiKey.service_account_name,
+    scopes: parseScopes(apiKey.scopes),
+    rateLimit: apiKey.rate_limit,
+  };
+};
+
+/**
+ * Record API key usage
+ * @param {string} keyId - API key ID
+ * @param {string} ipAddress - Caller IP address
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (keyId, ipAddress) => {
+  try {
+    // Only write once a minute per key so busy integrations don't hammer the row
+    await db.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 60 SECOND)`,
+      [ipAddress || null, keyId]
+    );
+  } catch (error) {
+    logger.error(`Touch API key error: ${error.message}`);
+  }
+};
+
+/**
+ * Get a service account with its keys
+ * @param {string} serviceAccountId - Service account ID
+ * @returns {Promise<Object>} - Service account
+ */
+const getServiceAccountById = async (serviceAccountId) => {
+  try {
+    const [account] = await db.query(
+      `SELECT id, name, description, is_active, created_by, created_at, updated_at
+      FROM service_accounts WHERE id = ?`,
+      [serviceAccountId]
+    );
+
+    if (!account) {
+      throw new AppError('Service account not found', 404);
+    }
+
+    const keys = await db.query(
+      'SELECT * FROM api_keys WHERE service_account_id = ? ORDER BY created_at DESC',
+      [serviceAccountId]
+    );
+
+    return {
+      ...account,
+      api_keys: keys.map(formatApiKey),
+    };
+  } catch (error) {
+    logger.error(`Get service account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get all service accounts
+ * @returns {Promise<Array>} - Service accounts with active key counts
+ */
+const getServiceAccounts = async () => {
+  try {
+    return await db.query(
+      `SELECT a.id, a.name, a.description, a.is_active, a.created_by, a.created_at,
+      (SELECT COUNT(*) FROM api_keys k WHERE k.service_account_id = a.id
+        AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())) AS active_keys
+      FROM service_accounts a
+      ORDER BY a.name`
+    );
+  } catch (error) {
+    logger.error(`Get service accounts error: ${error.message}`);
+    throw new AppError('Failed to retrieve service accounts', 500);
+  }
+};
+
+/**
+ * Create a service account
+ * @param {Object} accountData - Account data (name, description)
+ * @param {string} createdBy - ID of the admin creating it
+ * @returns {Promise<Object>} - Created service account
+ */
+const createServiceAccount = async (accountData, createdBy) => {
+  try {
+    const { name, description } = accountData;
+
+    const [existing] = await db.query('SELECT id FROM service_accounts WHERE name = ?', [name]);
+    if (existing) {
+      throw new AppError('A service account with this name already exists', 400);
+    }
+
+    const serviceAccountId = uuidv4();
+
+    await db.query(
+      'INSERT INTO service_accounts (id, name, description, created_by) VALUES (?, ?, ?, ?)',
+      [serviceAccountId, name, description || null, createdBy]
+    );
+
+    return getServiceAccountById(serviceAccountId);
+  } catch (error) {
+    logger.error(`Create service account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a service account
+ * @param {string} serviceAccountId - Service account ID
+ * @param {Object} updateData - Data to update (description, is_active)
+ * @returns {Promise<Object>} - Updated service account
+ */
+const updateServiceAccount = async (serviceAccountId, updateData) => {
+  try {
+    await getServiceAccountById(serviceAccountId);
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (updateData.description !== undefined) {
+      updateFields.push('description = ?');
+      updateValues.push(updateData.description);
+    }
+
+    if (updateData.is_active !== undefined) {
+      updateFields.push('is_active = ?');
+      updateValues.push(updateData.is_active ? 1 : 0);
+    }
+
+    if (updateFields.length > 0) {
+      await db.query(`UPDATE service_accounts SET ${updateFields.join(', ')} WHERE id = ?`, [
+        ...updateValues,
+        serviceAccountId,
+      ]);
+    }
+
+    return getServiceAccountById(serviceAccountId);
+  } catch (error) {
+    logger.error(`Update service account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a service account and all of its keys
+ * @param {string} serviceAccountId - Service account ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const deleteServiceAccount = async (serviceAccountId) => {
+  try {
+    const result = await db.query('DELETE FROM service_accounts WHERE id = ?', [serviceAccountId]);
+
+    if (result.affectedRows === 0) {
+      throw new AppError('Service account not found', 404);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Delete service account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create an API key for a service account
+ * The plaintext key is only returned here; only its hash is stored
+ * @param {string} serviceAccountId - Service account ID
+ * @param {Object} keyData - Key data (name, scopes, expiresInDays, rateLimit)
+ * @param {string} createdBy - ID of the admin creating it
+ * @returns {Promise<Object>} - API key details and the plaintext key
+ */
+const createApiKey = async (serviceAccountId, keyData, createdBy) => {
+  try {
+    await getServiceAccountById(serviceAccountId);
+
+    const scopes = validateScopes(keyData.scopes);
+    const { key, prefix, hash } = generateApiKey();
+    const keyId = uuidv4();
+    const expiresAt = keyData.expiresInDays
+      ? new Date(Date.now() + keyData.expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    await db.query(
+      `INSERT INTO api_keys
+      (id, service_account_id, name, key_prefix, key_hash, scopes, rate_limit, expires_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        keyId,
+        serviceAccountId,
+        keyData.name || null,
+        prefix,
+        hash,
+        JSON.stringify(scopes),
+        keyData.rateLimit || null,
+        expiresAt,
+        createdBy,
+      ]
+    );
+
+    const [apiKey] = await db.query('SELECT * FROM api_keys WHERE id = ?', [keyId]);
+
+    return {
+      ...formatApiKey(apiKey),
+      key,
+    };
+  } catch (error) {
+    logger.error(`Create API key error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get an API key belonging to a service account
+ * @param {string} serviceAccountId - Service account ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} - API key row
+ */
+const getApiKey = async (serviceAccountId, keyId) => {
+  const [apiKey] = await db.query(
+    'SELECT * FROM api_keys WHERE id = ? AND service_account_id = ?',
+    [keyId, serviceAccountId]
+  );
+
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+
+  return apiKey;
+};
+
+/**
+ * Rotate an API key: issue a replacement with the same settings and retire the old one
+ * A grace period keeps the old key working while integrations are redeployed
+ * @param {string} serviceAccountId - Service account ID
+ * @param {string} keyId - API key to rotate
+ * @param {number} gracePeriodSeconds - How long the old key keeps working
+ * @param {string} rotatedBy - ID of the admin rotating it
+ * @returns {Promise<Object>} - New API key details and the plaintext key
+ */
+const rotateApiKey = async (serviceAccountId, keyId, gracePeriodSeconds, rotatedBy) => {
+  try {
+    const oldKey = await getApiKey(serviceAccountId, keyId);
+
+    if (oldKey.revoked_at) {
+      throw new AppError('A revoked API key cannot be rotated', 400);
+    }
+
+    const remainingDays =
+      oldKey.expires_at &&
+      Math.max(1, Math.ceil((new Date(oldKey.expires_at) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+    const newKey = await createApiKey(
+      serviceAccountId,
+      {
+        name: oldKey.name,
+        scopes: parseScopes(oldKey.scopes),
+        rateLimit: oldKey.rate_limit,
+        expiresInDays: remainingDays || null,
+      },
+      rotatedBy
+    );
+
+    if (gracePeriodSeconds > 0) {
+      // Shorten the old key's life, never extend it
+      const graceEnd = new Date(Date.now() + gracePeriodSeconds * 1000);
+      await db.query(
+        'UPDATE api_keys SET expires_at = ? WHERE id = ? AND (expires_at IS NULL OR expires_at > ?)',
+        [graceEnd, keyId, graceEnd]
+      );
+    } else {
+      await db.query('UPDATE api_keys SET revoked_at = NOW() WHERE id = ?', [keyId]);
+    }
+
+    return newKey;
+  } catch (error) {
+    logger.error(`Rotate API key error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {string} serviceAccountId - Service account ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const revokeApiKey = async (serviceAccountId, keyId) => {
+  try {
+    const apiKey = await getApiKey(serviceAccountId, keyId);
+
+    if (apiKey.revoked_at) {
+      throw new AppError('API key is already revoked', 400);
+    }
+
+    await db.query('UPDATE api_keys SET revoked_at = NOW() WHERE id = ?', [keyId]);
+
+    return true;
+  } catch (error) {
+    logger.error(`Revoke API key error: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  verifyApiKey,
+  touchApiKey,
+  getServiceAccounts,
+  getServiceAccountById,
+  createServiceAccount,
+  updateServiceAccount,
+  deleteServiceAccount,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
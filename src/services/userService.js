@@ -7,8 +7,67 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const { deleteMediaFromCloudinary } = require('../middleware/cloudinary');
+const socket = require('../config/socket');
+const auditService = require('./auditService');
+const privacyService = require('./privacyService');
+const {
+  RESERVED_USERNAMES,
+  BLOCKED_USERNAME_WORDS,
+  LOOKALIKE_CHARACTERS,
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  USERNAME_HOLD_DAYS,
+} = require('../config/usernames');
+const {
+  DEFAULT_FIELD_VISIBILITY,
+  FIELD_VISIBILITY_LEVELS,
+  SOCIAL_LINK_HOSTS,
+  MAX_SOCIAL_LINK_LENGTH,
+  MAX_FAVOURITE_GAMES,
+} = require('../config/profile');
 const unlinkAsync = promisify(fs.unlink);
 
+/**
+ * Get the games a user pinned to their profile, in the order they chose
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Favourite games
+ */
+const getFavouriteGames = async (userId) => {
+  return db.query(
+    `SELECT g.id, g.name, g.description, g.min_players, g.max_players, g.is_alcohol_related
+    FROM user_favourite_games f
+    JOIN games g ON g.id = f.game_id
+    WHERE f.user_id = ?
+    ORDER BY f.position`,
+    [userId]
+  );
+};
+
+/**
+ * Get the URL of each stored size of a profile picture
+ * @param {Object} sizes - Stored sizes (url, public_id) by size name
+ * @returns {Object} - URLs by size name
+ */
+const getPictureUrls = (sizes) => {
+  const urls = {};
+  for (const [name, size] of Object.entries(sizes || {})) {
+    urls[name] = size.url;
+  }
+  return urls;
+};
+
+/**
+ * Add favourite games and the visibility of every field to a profile
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} - Full profile
+ */
+const withProfileDetails = async (user) => ({
+  ...user,
+  profile_picture_sizes: getPictureUrls(user.profile_picture_sizes),
+  social_links: user.social_links || {},
+  field_visibility: privacyService.getFieldVisibility(user.field_visibility),
+  favourite_games: await getFavouriteGames(user.id),
+});
+
 /**
  * Get user by ID
  * @param {string} userId - User ID
@@ -17,8 +76,9 @@ const unlinkAsync = promisify(fs.unlink);
 const getUserById = async (userId) => {
   try {
     const [user] = await db.query(
-      `SELECT id, phone, email, username, bio, profile_picture, interests, 
-      vibe_preference, account_status, mode_preference,is_admin, created_at
+      `SELECT id, phone, email, email_verified_at, username, display_name, pronouns, bio,
+      profile_picture, profile_picture_sizes, cover_picture, social_links, interests,
+      vibe_preference, field_visibility, account_status, mode_preference, is_admin, created_at
       FROM users WHERE id = ? AND account_status != 'deleted'`,
       [userId]
     );
@@ -27,7 +87,7 @@ const getUserById = async (userId) => {
       throw new AppError('User not found', 404);
     }
 
-    return user;
+    return withProfileDetails(user);
   } catch (error) {
     logger.error(`Get user error: ${error.message}`);
     throw error;
@@ -36,14 +96,18 @@ const getUserById = async (userId) => {
 
 /**
  * Get user by username
+ * Private accounts only show their full profile to friends, and fields are left out when the user
+ * doesn't share them with the viewer
  * @param {string} username - Username
+ * @param {string} viewerId - ID of the user viewing the profile
  * @returns {Promise<Object>} - User object
  */
-const getUserByUsername = async (username) => {
+const getUserByUsername = async (username, viewerId) => {
   try {
     const [user] = await db.query(
-      `SELECT id, username, bio, profile_picture, interests, 
-      vibe_preference, account_status, created_at
+      `SELECT id, username, display_name, pronouns, bio, profile_picture, profile_picture_sizes,
+      cover_picture, social_links, interests, vibe_preference, field_visibility, account_status,
+      created_at
       FROM users WHERE username = ? AND account_status != 'deleted'`,
       [username]
     );
@@ -52,29 +116,246 @@ const getUserByUsername = async (username) => {
       throw new AppError('User not found', 404);
     }
 
-    return user;
+    return privacyService.getVisibleProfile(viewerId, await withProfileDetails(user));
   } catch (error) {
     logger.error(`Get user by username error: ${error.message}`);
     throw error;
   }
 };
 
+// Why a username can't be used, as shown to users
+const USERNAME_UNAVAILABLE_MESSAGES = {
+  reserved: 'This username is reserved',
+  blocked: 'This username is not allowed',
+  taken: 'Username already taken',
+  held: 'This username was used recently and is not available yet',
+};
+
 /**
- * Check if username is available
+ * Check a username against the reserved and blocked word lists
  * @param {string} username - Username to check
- * @returns {Promise<boolean>} - Whether username is available
+ * @returns {string|null} - Why the username is not allowed (reserved, blocked), or null
+ */
+const getUsernameRestriction = (username) => {
+  const lowered = String(username).toLowerCase().replace(/_/g, '');
+  const lookalikes = lowered.replace(/[0-9]/g, (digit) => LOOKALIKE_CHARACTERS[digit] || digit);
+  const withoutDigits = lowered.replace(/[0-9]/g, '');
+
+  if (RESERVED_USERNAMES.includes(lookalikes) || RESERVED_USERNAMES.includes(withoutDigits)) {
+    return 'reserved';
+  }
+
+  if (BLOCKED_USERNAME_WORDS.some((word) => lookalikes.includes(word))) {
+    return 'blocked';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a username can be taken
+ * Former usernames are held for their previous owner until the hold period is over
+ * @param {string} username - Username to check
+ * @param {string} userId - ID of the user who wants it, if any
+ * @returns {Promise<Object>} - Availability (available, reason)
  */
-const isUsernameAvailable = async (username) => {
+const getUsernameAvailability = async (username, userId = null) => {
   try {
-    const [user] = await db.query('SELECT id FROM users WHERE username = ?', [username]);
+    const restriction = getUsernameRestriction(username);
+    if (restriction) {
+      return { available: false, reason: restriction };
+    }
+
+    const [owner] = await db.query('SELECT id FROM users WHERE username = ?', [username]);
+    if (owner && owner.id !== userId) {
+      return { available: false, reason: 'taken' };
+    }
+
+    const [hold] = await db.query(
+      `SELECT id FROM username_history
+      WHERE username = ? AND released_at > NOW() AND user_id != ?
+      LIMIT 1`,
+      [username, userId || '']
+    );
+    if (hold) {
+      return { available: false, reason: 'held' };
+    }
 
-    return !user;
+    return { available: true, reason: null };
   } catch (error) {
     logger.error(`Username availability check error: ${error.message}`);
     throw new AppError('Failed to check username availability', 500);
   }
 };
 
+/**
+ * Check if username is available
+ * @param {string} username - Username to check
+ * @param {string} userId - ID of the user who wants it, if any
+ * @returns {Promise<boolean>} - Whether username is available
+ */
+const isUsernameAvailable = async (username, userId = null) => {
+  const { available } = await getUsernameAvailability(username, userId);
+  return available;
+};
+
+/**
+ * Find the current username of someone who recently changed away from a name
+ * Ghosts (except to their friends) and users blocked either way are never resolved, so a rename
+ * can't be followed by someone it was meant to get away from
+ * @param {string} username - Former username
+ * @param {string} viewerId - ID of the user looking up the name
+ * @returns {Promise<string|null>} - Current username, or null if nobody recently left that name
+ */
+const getRenamedUsername = async (username, viewerId) => {
+  try {
+    const ghostVisible = privacyService.visibleTo(
+      privacyService.GHOST,
+      'u.id',
+      'u.account_status',
+      viewerId
+    );
+    const notBlocked = privacyService.notBlocked('u.id', viewerId);
+
+    const [user] = await db.query(
+      `SELECT u.username
+      FROM username_history h
+      JOIN users u ON u.id = h.user_id
+      WHERE h.username = ? AND h.released_at > NOW()
+      AND u.account_status != 'deleted' AND u.username IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM users o WHERE o.username = h.username)
+      AND ${ghostVisible.sql}
+      AND ${notBlocked.sql}
+      ORDER BY h.changed_at DESC
+      LIMIT 1`,
+      [username, ...ghostVisible.params, ...notBlocked.params]
+    );
+
+    return user ? user.username : null;
+  } catch (error) {
+    logger.error(`Get renamed username error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's former usernames, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Former usernames (username, changed_at, released_at)
+ */
+const getUsernameHistory = async (userId) => {
+  return db.query(
+    `SELECT username, changed_at, released_at
+    FROM username_history WHERE user_id = ? ORDER BY changed_at DESC`,
+    [userId]
+  );
+};
+
+/**
+ * Make sure a user may change their username to the one given
+ * Picking the first username is free, changing it afterwards is limited by a cooldown
+ * @param {string} userId - User ID
+ * @param {string} username - New username
+ * @returns {Promise<string|null>} - The username being given up, or null if there was none
+ */
+const assertCanChangeUsername = async (userId, username) => {
+  const [user] = await db.query(
+    `SELECT username,
+    TIMESTAMPDIFF(SECOND, NOW(), username_changed_at + INTERVAL ? DAY) AS cooldown_seconds
+    FROM users WHERE id = ?`,
+    [USERNAME_CHANGE_COOLDOWN_DAYS, userId]
+  );
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const { available, reason } = await getUsernameAvailability(username, userId);
+  if (!available) {
+    throw new AppError(USERNAME_UNAVAILABLE_MESSAGES[reason], 400, { reason });
+  }
+
+  if (user.username && user.cooldown_seconds > 0) {
+    const days = Math.ceil(user.cooldown_seconds / 86400);
+    throw new AppError(
+      `You can only change your username every ${USERNAME_CHANGE_COOLDOWN_DAYS} days. Try again in ${days} day${days === 1 ? '' : 's'}.`,
+      429,
+      { retry_after: user.cooldown_seconds }
+    );
+  }
+
+  return user.username;
+};
+
+/**
+ * Check social links and put them in a consistent form
+ * The links given replace all existing ones; an empty value leaves that link out
+ * @param {Object} links - Links by kind (instagram, tiktok, x, snapchat, youtube, twitch, spotify,
+ * website)
+ * @returns {Object} - Normalized links
+ */
+const normalizeSocialLinks = (links) => {
+  const normalized = {};
+
+  for (const [kind, value] of Object.entries(links)) {
+    if (!(kind in SOCIAL_LINK_HOSTS)) {
+      throw new AppError(`Unsupported social link: ${kind}`, 400);
+    }
+
+    if (value === null || value === '') {
+      continue;
+    }
+
+    if (typeof value !== 'string' || value.length > MAX_SOCIAL_LINK_LENGTH) {
+      throw new AppError(`Invalid ${kind} link`, 400);
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new AppError(`Invalid ${kind} link`, 400);
+    }
+
+    if (url.protocol !== 'https:' || url.username || url.password) {
+      throw new AppError(`The ${kind} link must be an https:// address`, 400);
+    }
+
+    const hosts = SOCIAL_LINK_HOSTS[kind];
+    const hostname = url.hostname.toLowerCase();
+    if (hosts && !hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))) {
+      throw new AppError(`The ${kind} link must point to ${hosts.join(' or ')}`, 400);
+    }
+
+    normalized[kind] = url.toString();
+  }
+
+  return normalized;
+};
+
+/**
+ * Check profile field visibility settings
+ * @param {string} userId - User ID
+ * @param {Object} fieldVisibility - Visibility by field
+ * @returns {Promise<Object>} - The same settings
+ */
+const validateFieldVisibility = async (userId, fieldVisibility) => {
+  for (const [field, level] of Object.entries(fieldVisibility)) {
+    if (!(field in DEFAULT_FIELD_VISIBILITY)) {
+      throw new AppError(`Visibility can't be set for ${field}`, 400);
+    }
+
+    if (!(await privacyService.isValidVisibility(userId, level))) {
+      throw new AppError(
+        `Visibility must be one of: ${FIELD_VISIBILITY_LEVELS.join(', ')} or one of your friend groups`,
+        400
+      );
+    }
+  }
+
+  return fieldVisibility;
+};
+
 /**
  * Update user profile
  * @param {string} userId - User ID
@@ -83,17 +364,28 @@ const isUsernameAvailable = async (username) => {
  */
 const updateProfile = async (userId, updateData) => {
   try {
-    const { username, bio, interests, vibe_preference, mode_preference, email } = updateData;
+    const {
+      display_name,
+      pronouns,
+      bio,
+      social_links,
+      interests,
+      vibe_preference,
+      mode_preference,
+      field_visibility,
+      email,
+    } = updateData;
+    let { username } = updateData;
 
-    // Check if username is being updated and is available
+    // Check if username is being updated and may be changed
+    let previousUsername = null;
     if (username) {
-      const [existingUser] = await db.query('SELECT id FROM users WHERE username = ? AND id != ?', [
-        username,
-        userId,
-      ]);
+      const [current] = await db.query('SELECT username FROM users WHERE id = ?', [userId]);
 
-      if (existingUser) {
-        throw new AppError('Username already taken', 400);
+      if (current && current.username === username) {
+        username = undefined;
+      } else {
+        previousUsername = await assertCanChangeUsername(userId, username);
       }
     }
 
@@ -107,11 +399,38 @@ const updateProfile = async (userId, updateData) => {
       updateValues.push(username);
     }
 
+    if (previousUsername) {
+      updateFields.push('username_changed_at = NOW()');
+    }
+
+    if (display_name !== undefined) {
+      updateFields.push('display_name = ?');
+      updateValues.push(display_name ? display_name.trim() || null : null);
+    }
+
+    if (pronouns !== undefined) {
+      updateFields.push('pronouns = ?');
+      updateValues.push(pronouns ? pronouns.trim() || null : null);
+    }
+
     if (bio !== undefined) {
       updateFields.push('bio = ?');
       updateValues.push(bio);
     }
 
+    if (social_links) {
+      updateFields.push('social_links = ?');
+      updateValues.push(JSON.stringify(normalizeSocialLinks(social_links)));
+    }
+
+    // Only the fields given change visibility, the rest keep theirs
+    if (field_visibility) {
+      updateFields.push(
+        'field_visibility = JSON_MERGE_PATCH(COALESCE(field_visibility, JSON_OBJECT()), CAST(? AS JSON))'
+      );
+      updateValues.push(JSON.stringify(await validateFieldVisibility(userId, field_visibility)));
+    }
+
     if (interests) {
       updateFields.push('interests = ?');
       updateValues.push(JSON.stringify(interests));
@@ -128,8 +447,22 @@ const updateProfile = async (userId, updateData) => {
     }
 
     if (email) {
-      updateFields.push('email = ?');
-      updateValues.push(email);
+      const normalizedEmail = email.trim().toLowerCase();
+      const [existingEmail] = await db.query('SELECT id FROM users WHERE email = ? AND id != ?', [
+        normalizedEmail,
+        userId,
+      ]);
+
+      if (existingEmail) {
+        throw new AppError('Email already in use', 400);
+      }
+
+      // A new address has to be verified again
+      updateFields.push(
+        'email_verified_at = IF(email <=> ?, email_verified_at, NULL)',
+        'email = ?'
+      );
+      updateValues.push(normalizedEmail, normalizedEmail);
     }
 
     if (updateFields.length === 0) {
@@ -139,8 +472,21 @@ const updateProfile = async (userId, updateData) => {
     updateQuery += updateFields.join(', ');
     updateQuery += ' WHERE id = ?';
     updateValues.push(userId);
-    // Update user
-    await db.query(updateQuery, updateValues);
+
+    if (previousUsername) {
+      // The old name is held for this user for a while, so nobody can pick it up to impersonate them
+      await db.transaction(async (connection) => {
+        await connection.query(updateQuery, updateValues);
+        await connection.query(
+          `INSERT INTO username_history (id, user_id, username, released_at)
+          VALUES (?, ?, ?, NOW() + INTERVAL ? DAY)`,
+          [uuidv4(), userId, previousUsername, USERNAME_HOLD_DAYS]
+        );
+      });
+    } else {
+      // Update user
+      await db.query(updateQuery, updateValues);
+    }
 
     // Return updated user
     return getUserById(userId);
@@ -153,33 +499,47 @@ const updateProfile = async (userId, updateData) => {
 /**
  * Upload profile picture
  * @param {string} userId - User ID
- * @param {Object} file - Uploaded file object
+ * @param {Array<Object>} variants - Uploaded sizes (name, url, public_id), largest first
  * @returns {Promise<Object>} - Updated user object
  */
-const uploadProfilePicture = async (userId, public_id, url) => {
+const uploadProfilePicture = async (userId, variants) => {
   try {
     // Get current profile picture
-    const [user] = await db.query('SELECT profile_picture FROM users WHERE id = ?', [userId]);
+    const [user] = await db.query(
+      'SELECT profile_picture, pic_id, profile_picture_sizes FROM users WHERE id = ?',
+      [userId]
+    );
 
     if (!user) {
       throw new AppError('User not found', 404);
     }
 
-    // Delete old profile picture if exists
+    // Delete every size of the old profile picture
+    const oldIds = new Set(
+      Object.values(user.profile_picture_sizes || {}).map((size) => size.public_id)
+    );
     if (user.pic_id) {
+      oldIds.add(user.pic_id);
+    }
+    for (const publicId of oldIds) {
       try {
-        await deleteMediaFromCloudinary(user.pic_id);
+        await deleteMediaFromCloudinary(publicId);
       } catch (err) {
         logger.warn(`Could not delete old profile picture: ${err.message}`);
       }
     }
 
-    // Set profile picture path in database
-    await db.query('UPDATE users SET profile_picture = ? , pic_id = ? WHERE id = ?', [
-      url,
-      public_id,
-      userId,
-    ]);
+    const sizes = {};
+    for (const variant of variants) {
+      sizes[variant.name] = { url: variant.url, public_id: variant.public_id };
+    }
+
+    // The largest size is the main picture
+    await db.query(
+      `UPDATE users SET profile_picture = ?, pic_id = ?, profile_picture_sizes = ?,
+      profile_picture_updated_at = NOW() WHERE id = ?`,
+      [variants[0].url, variants[0].public_id, JSON.stringify(sizes), userId]
+    );
 
     // Return updated user
     return getUserById(userId);
@@ -189,6 +549,116 @@ const uploadProfilePicture = async (userId, public_id, url) => {
   }
 };
 
+/**
+ * Upload cover picture
+ * @param {string} userId - User ID
+ * @param {string} public_id - Cloudinary public ID of the new cover
+ * @param {string} url - URL of the new cover
+ * @returns {Promise<Object>} - Updated user object
+ */
+const uploadCoverPicture = async (userId, public_id, url) => {
+  try {
+    const [user] = await db.query('SELECT cover_pic_id FROM users WHERE id = ?', [userId]);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Delete old cover picture if exists
+    if (user.cover_pic_id) {
+      try {
+        await deleteMediaFromCloudinary(user.cover_pic_id);
+      } catch (err) {
+        logger.warn(`Could not delete old cover picture: ${err.message}`);
+      }
+    }
+
+    await db.query(
+      'UPDATE users SET cover_picture = ?, cover_pic_id = ?, cover_picture_updated_at = NOW() WHERE id = ?',
+      [url, public_id, userId]
+    );
+
+    return getUserById(userId);
+  } catch (error) {
+    logger.error(`Upload cover picture error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove cover picture
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Updated user object
+ */
+const removeCoverPicture = async (userId) => {
+  try {
+    const [user] = await db.query('SELECT cover_pic_id FROM users WHERE id = ?', [userId]);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.cover_pic_id) {
+      try {
+        await deleteMediaFromCloudinary(user.cover_pic_id);
+      } catch (err) {
+        logger.warn(`Could not delete cover picture: ${err.message}`);
+      }
+    }
+
+    await db.query(
+      'UPDATE users SET cover_picture = NULL, cover_pic_id = NULL, cover_picture_updated_at = NOW() WHERE id = ?',
+      [userId]
+    );
+
+    return getUserById(userId);
+  } catch (error) {
+    logger.error(`Remove cover picture error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Replace the games pinned to a user's profile
+ * @param {string} userId - User ID
+ * @param {Array<string>} gameIds - Game IDs, in the order to show them
+ * @returns {Promise<Array>} - Favourite games
+ */
+const setFavouriteGames = async (userId, gameIds) => {
+  try {
+    const uniqueIds = [...new Set(gameIds)];
+
+    if (uniqueIds.length > MAX_FAVOURITE_GAMES) {
+      throw new AppError(`You can pin at most ${MAX_FAVOURITE_GAMES} games`, 400);
+    }
+
+    if (uniqueIds.length > 0) {
+      const placeholders = uniqueIds.map(() => '?').join(',');
+      const games = await db.query(`SELECT id FROM games WHERE id IN (${placeholders})`, uniqueIds);
+
+      if (games.length !== uniqueIds.length) {
+        throw new AppError('Game not found', 404);
+      }
+    }
+
+    await db.transaction(async (connection) => {
+      await connection.query('DELETE FROM user_favourite_games WHERE user_id = ?', [userId]);
+
+      for (const [position, gameId] of uniqueIds.entries()) {
+        await connection.query(
+          'INSERT INTO user_favourite_games (user_id, game_id, position) VALUES (?, ?, ?)',
+          [userId, gameId, position]
+        );
+      }
+    });
+
+    return getFavouriteGames(userId);
+  } catch (error) {
+    logger.error(`Set favourite games error: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Update account status (active, ghost, private)
  * @param {string} userId - User ID
@@ -203,9 +673,17 @@ const updateAccountStatus = async (userId, status) => {
       throw new AppError('Invalid account status', 400);
     }
 
+    const [user] = await db.query('SELECT account_status FROM users WHERE id = ?', [userId]);
+
     // Update status
     await db.query('UPDATE users SET account_status = ? WHERE id = ?', [status, userId]);
 
+    // Going ghost appears to friends as going offline, and coming back as coming online
+    const ghostChanged = user && (user.account_status === 'ghost') !== (status === 'ghost');
+    if (ghostChanged && socket.isUserOnline(userId)) {
+      socket.emitUserStatus(userId, status !== 'ghost');
+    }
+
     // Return updated user
     return getUserById(userId);
   } catch (error) {
@@ -215,19 +693,41 @@ const updateAccountStatus = async (userId, status) => {
 };
 
 /**
- * Delete user account
+ * Schedule the user's account for deletion
+ * The account is hidden and logged out straight away, and erased once the grace period
+ * ends. Logging in again before then cancels the deletion
  * @param {string} userId - User ID
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<Date>} - When the account will be erased
  */
 const deleteAccount = async (userId) => {
   try {
-    // Set account status to deleted
-    await db.query('UPDATE users SET account_status = ? WHERE id = ?', ['deleted', userId]);
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+    await db.query(
+      `UPDATE users SET status_before_deletion = account_status, account_status = 'deleted',
+      deletion_requested_at = NOW(), deletion_scheduled_for = DATE_ADD(NOW(), INTERVAL ? DAY)
+      WHERE id = ? AND account_status != 'deleted'`,
+      [graceDays, userId]
+    );
 
     // Invalidate all sessions
-    await db.query('UPDATE user_sessions SET is_active = FALSE WHERE user_id = ?', [userId]);
+    const sessions = await db.query(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND is_active = TRUE',
+      [userId]
+    );
+    await db.query(
+      'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE user_id = ?',
+      [userId]
+    );
+    for (const session of sessions) {
+      socket.disconnectSession(userId, session.id, { reason: 'account_deleted' });
+    }
 
-    return true;
+    const [user] = await db.query('SELECT deletion_scheduled_for FROM users WHERE id = ?', [
+      userId,
+    ]);
+
+    return user.deletion_scheduled_for;
   } catch (error) {
     logger.error(`Delete account error: ${error.message}`);
     throw new AppError('Failed to delete account', 500);
@@ -235,23 +735,550 @@ const deleteAccount = async (userId) => {
 };
 
 /**
- * Search users by username
+ * Delete an upload from Cloudinary, queueing it for another try when that fails
+ * @param {string} publicId - Cloudinary public ID
+ * @returns {Promise<boolean>} - Whether the upload was deleted now
+ */
+const deleteMediaOrQueue = async (publicId) => {
+  try {
+    await deleteMediaFromCloudinary(publicId);
+    return true;
+  } catch (error) {
+    logger.warn(`Could not delete ${publicId}, queued for retry: ${error.message}`);
+    await db.query(
+      `INSERT INTO media_deletion_queue (public_id, attempts, last_error) VALUES (?, 1, ?)
+      ON DUPLICATE KEY UPDATE attempts = attempts + 1, last_error = VALUES(last_error)`,
+      [publicId, String(error.message).slice(0, 255)]
+    );
+    return false;
+  }
+};
+
+/**
+ * Erase a deleted account
+ * Personal data, uploads and everything tied only to the user are removed. Game scores and
+ * room history are kept for the other players, attached to an anonymous user row
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const purgeAccount = async (userId) => {
+  const [user] = await db.query(
+    'SELECT id, phone, pic_id, profile_picture_sizes, cover_pic_id FROM users WHERE id = ?',
+    [userId]
+  );
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  // Remove uploads first - any Cloudinary failures are queued so they can't hold up the erasure
+  const media = await db.query(
+    'SELECT file_id FROM media_records WHERE user_id = ? AND file_id IS NOT NULL',
+    [userId]
+  );
+  const publicIds = media.map((record) => record.file_id);
+  if (user.pic_id) {
+    publicIds.push(user.pic_id);
+  }
+  for (const size of Object.values(user.profile_picture_sizes || {})) {
+    if (size.public_id !== user.pic_id) {
+      publicIds.push(size.public_id);
+    }
+  }
+  if (user.cover_pic_id) {
+    publicIds.push(user.cover_pic_id);
+  }
+  const quarantined = await db.query(
+    "SELECT variants FROM image_moderation_queue WHERE user_id = ? AND status = 'pending'",
+    [userId]
+  );
+  for (const entry of quarantined) {
+    publicIds.push(...entry.variants.map((variant) => variant.public_id));
+  }
+  let mediaQueued = 0;
+  for (const publicId of publicIds) {
+    if (!(await deleteMediaOrQueue(publicId))) {
+      mediaQueued++;
+    }
+  }
+
+  await db.transaction(async (connection) => {
+    const ownedTables = [
+      'user_sessions',
+      'email_tokens',
+      'trusted_devices',
+      'device_approval_requests',
+      'two_factor_recovery_codes',
+      'user_roles',
+      'room_join_requests',
+      'media_records',
+      'notifications',
+      'notification_settings',
+      'device_tokens',
+      'username_history',
+      'user_favourite_games',
+      'image_moderation_queue',
+      'friend_group_members',
+    ];
+    for (const table of ownedTables) {
+      await connection.query(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+    }
+
+    await connection.query('DELETE FROM friendships WHERE requester_id = ? OR addressee_id = ?', [
+      userId,
+      userId,
+    ]);
+    await connection.query('DELETE FROM friend_groups WHERE owner_id = ?', [userId]);
+
+    if (user.phone) {
+      await connection.query('DELETE FROM otp_codes WHERE phone = ?', [user.phone]);
+    }
+
+    // Audit entries are kept, without the IP addresses they were made from
+    await connection.query(
+      "UPDATE audit_logs SET ip_address = NULL WHERE actor_type = 'user' AND actor_id = ?",
+      [userId]
+    );
+
+    await connection.query(
+      `UPDATE users SET phone = NULL, phone_hash = NULL, email = NULL, username = NULL, password = NULL, bio = NULL,
+      profile_picture = NULL, pic_id = NULL, profile_picture_sizes = NULL, interests = NULL, vibe_preference = NULL,
+      auth_provider_id = NULL, email_verified_at = NULL, is_admin = FALSE,
+      two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL,
+      two_factor_failed_attempts = 0, two_factor_locked_until = NULL,
+      suspended_at = NULL, suspension_reason = NULL, require_device_approval = FALSE,
+      status_before_deletion = NULL, deletion_requested_at = NULL, deletion_scheduled_for = NULL,
+      date_of_birth = NULL, country_code = NULL, age_verified_at = NULL,
+      age_attestation_rejected_at = NULL, display_name = NULL,
+      pronouns = NULL, social_links = NULL, cover_picture = NULL, cover_pic_id = NULL,
+      profile_picture_updated_at = NULL, cover_picture_updated_at = NULL,
+      field_visibility = NULL, anonymized_at = NOW()
+      WHERE id = ?`,
+      [userId]
+    );
+  });
+
+  auditService.record({
+    actorType: 'system',
+    action: 'user.erase',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { media_deleted: publicIds.length - mediaQueued, media_queued: mediaQueued },
+  });
+
+  logger.info(`Erased deleted account ${userId}`);
+};
+
+/**
+ * Erase every account whose deletion grace period has ended
+ * @param {number} limit - Maximum number of accounts to erase in one run
+ * @returns {Promise<number>} - Number of accounts erased
+ */
+const purgeDeletedAccounts = async (limit = 50) => {
+  const users = await db.query(
+    `SELECT id FROM users
+    WHERE account_status = 'deleted' AND anonymized_at IS NULL AND deletion_scheduled_for <= NOW()
+    LIMIT ${Number(limit)}`
+  );
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user.id);
+      purged++;
+    } catch (error) {
+      logger.error(`Purge account ${user.id} error: ${error.message}`);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Retry uploads whose deletion failed during account erasure
+ * @param {number} limit - Maximum number of uploads to retry in one run
+ * @returns {Promise<number>} - Number of uploads deleted
+ */
+const retryMediaDeletions = async (limit = 100) => {
+  const queued = await db.query(
+    `SELECT public_id FROM media_deletion_queue
+    ORDER BY updated_at ASC
+    LIMIT ${Number(limit)}`
+  );
+
+  let deleted = 0;
+  for (const { public_id } of queued) {
+    if (await deleteMediaOrQueue(public_id)) {
+      await db.query('DELETE FROM media_deletion_queue WHERE public_id = ?', [public_id]);
+      deleted++;
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Collect everything stored about a user for a data export
+ * Secrets (password and token hashes, two-factor secrets) are left out
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Export sections, keyed by file name
+ */
+const getDataExport = async (userId) => {
+  try {
+    const [profile] = await db.query(
+      `SELECT id, phone, email, email_verified_at, username, display_name, pronouns, bio,
+      profile_picture, cover_picture, social_links, interests, vibe_preference, field_visibility,
+      account_status, mode_preference, auth_provider, two_factor_enabled,
+      require_device_approval, DATE_FORMAT(date_of_birth, '%Y-%m-%d') AS date_of_birth,
+      country_code, age_verified_at, age_attestation_rejected_at, contact_discoverable,
+      suspended_at, suspension_reason, created_at, updated_at
+      FROM users WHERE id = ?`,
+      [userId]
+    );
+
+    if (!profile) {
+      throw new AppError('User not found', 404);
+    }
+
+    const sessions = await db.query(
+      `SELECT id, device_name, device_id, ip_address, location, country_code, user_agent,
+      login_time, last_active_time, is_active
+      FROM user_sessions WHERE user_id = ? ORDER BY login_time DESC`,
+      [userId]
+    );
+
+    const trustedDevices = await db.query(
+      `SELECT device_id, device_name, last_ip_address, last_location, first_seen_at, last_seen_at
+      FROM trusted_devices WHERE user_id = ?`,
+      [userId]
+    );
+
+    const deviceApprovalRequests = await db.query(
+      `SELECT device_id, device_name, ip_address, location, user_agent, status, responded_at,
+      created_at
+      FROM device_approval_requests WHERE user_id = ?`,
+      [userId]
+    );
+
+    const pushDevices = await db.query(
+      'SELECT device_token, device_type, created_at FROM device_tokens WHERE user_id = ?',
+      [userId]
+    );
+
+    const friendships = await db.query(
+      `SELECT f.id, f.status, f.created_at, f.updated_at,
+      IF(f.requester_id = ?, 'sent', 'received') AS direction,
+      u.id AS other_user_id, u.username AS other_username
+      FROM friendships f
+      JOIN users u ON u.id = IF(f.requester_id = ?, f.addressee_id, f.requester_id)
+      WHERE f.requester_id = ? OR f.addressee_id = ?`,
+      [userId, userId, userId, userId]
+    );
+
+    const friendGroups = await db.query(
+      'SELECT id, name, created_at FROM friend_groups WHERE owner_id = ?',
+      [userId]
+    );
+
+    const friendGroupMembers = await db.query(
+      `SELECT m.group_id, u.id AS user_id, u.username, m.added_at
+      FROM friend_group_members m
+      JOIN friend_groups g ON g.id = m.group_id
+      JOIN users u ON u.id = m.user_id
+      WHERE g.owner_id = ?`,
+      [userId]
+    );
+
+    const roomsHosted = await db.query(
+      'SELECT id, name, type, is_locked, created_at FROM rooms WHERE host_id = ?',
+      [userId]
+    );
+
+    const roomHistory = await db.query(
+      `SELECT rp.room_id, r.name AS room_name, rp.joined_at, rp.left_at
+      FROM room_participants rp
+      LEFT JOIN rooms r ON r.id = rp.room_id
+      WHERE rp.user_id = ? ORDER BY rp.joined_at DESC`,
+      [userId]
+    );
+
+    const roomJoinRequests = await db.query(
+      'SELECT room_id, status, created_at, updated_at FROM room_join_requests WHERE user_id = ?',
+      [userId]
+    );
+
+    const games = await db.query(
+      `SELECT gp.game_session_id, g.name AS game_name, gs.room_id, gp.score, gp.joined_at,
+      gp.left_at, gs.status AS session_status
+      FROM game_participants gp
+      JOIN game_sessions gs ON gs.id = gp.game_session_id
+      JOIN games g ON g.id = gs.game_id
+      WHERE gp.user_id = ? ORDER BY gp.joined_at DESC`,
+      [userId]
+    );
+
+    const media = await db.query(
+      `SELECT id, room_id, type, file_path, visibility, created_at
+      FROM media_records WHERE user_id = ?`,
+      [userId]
+    );
+
+    const notifications = await db.query(
+      `SELECT id, type, title, message, data, is_read, created_at
+      FROM notifications WHERE user_id = ? ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    const [notificationSettings] = await db.query(
+      `SELECT friend_requests, room_invites, room_join_requests, game_invites,
+      system_notifications
+      FROM notification_settings WHERE user_id = ?`,
+      [userId]
+    );
+
+    const roles = await db.query(
+      `SELECT r.name, ur.created_at AS assigned_at
+      FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+      WHERE ur.user_id = ?`,
+      [userId]
+    );
+
+    const activity = await db.query(
+      `SELECT action, target_type, target_id, metadata, ip_address, created_at
+      FROM audit_logs
+      WHERE (actor_type = 'user' AND actor_id = ?) OR (target_type = 'user' AND target_id = ?)
+      ORDER BY created_at DESC`,
+      [userId, userId]
+    );
+
+    const usernameHistory = await getUsernameHistory(userId);
+    const favouriteGames = await getFavouriteGames(userId);
+
+    return {
+      profile,
+      sessions,
+      trusted_devices: trustedDevices,
+      device_approval_requests: deviceApprovalRequests,
+      push_devices: pushDevices,
+      friendships,
+      friend_groups: friendGroups.map((group) => ({
+        ...group,
+        members: friendGroupMembers
+          .filter((member) => member.group_id === group.id)
+          .map(({ group_id, ...member }) => member),
+      })),
+      rooms_hosted: roomsHosted,
+      room_history: roomHistory,
+      room_join_requests: roomJoinRequests,
+      games,
+      media,
+      notifications,
+      notification_settings: notificationSettings || null,
+      username_history: usernameHistory,
+      favourite_games: favouriteGames,
+      roles,
+      activity,
+    };
+  } catch (error) {
+    logger.error(`Data export error: ${error.message}`);
+    throw error;
+  }
+};
+
+// Days two users count as having recently met after being in a room together, for search ranking
+const SEARCH_RECENT_INTERACTION_DAYS = 30;
+
+/**
+ * Escape LIKE wildcards so a search term only matches itself
+ * @param {string} term - Search term
+ * @returns {string} - Escaped term
+ */
+const escapeLike = (term) => term.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Encode the position of the last search result for the next page
+ * @param {Object} row - Last result (score, id)
+ * @returns {string} - Opaque cursor
+ */
+const encodeSearchCursor = (row) =>
+  Buffer.from(JSON.stringify({ score: Number(row.score), id: row.id })).toString('base64url');
+
+/**
+ * Decode a search cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} - Position (score, id)
+ */
+const decodeSearchCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!Number.isFinite(position.score) || typeof position.id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+
+    return position;
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Search users by username, display name and interests
+ * Exact, prefix and substring matches on the username and display name rank first, then interests
+ * and names that sound alike. Friends, friends of friends and people the viewer was recently in a
+ * room with are boosted. Ghosts only show up for their friends, private accounts hide their bio and interests
+ * from non-friends, and blocked users are left out both ways
  * @param {string} searchTerm - Search term
- * @param {number} limit - Results limit
- * @returns {Promise<Array>} - Matching users
+ * @param {string} viewerId - ID of the user searching
+ * @param {Object} options - Page options (limit, cursor)
+ * @returns {Promise<Object>} - Matching users and the cursor of the next page (users, next_cursor)
  */
-const searchUsers = async (searchTerm, limit = 10) => {
+const searchUsers = async (searchTerm, viewerId, options = {}) => {
+  const safeLimit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : 10;
+  const position = options.cursor ? decodeSearchCursor(options.cursor) : null;
+
   try {
-    const safeLimit = Number.isInteger(limit) && limit > 0 ? limit : 10;
+    const term = searchTerm.trim().toLowerCase();
+    const escaped = escapeLike(term);
+
+    const ghostVisible = privacyService.visibleTo(
+      privacyService.GHOST,
+      'u.id',
+      'u.account_status',
+      viewerId
+    );
+    const privateVisible = privacyService.visibleTo(
+      privacyService.PRIVATE,
+      'u.id',
+      'u.account_status',
+      viewerId
+    );
+    const notBlocked = privacyService.notBlocked('u.id', viewerId);
 
-    const users = await db.query(
-      `SELECT id, username, bio, profile_picture FROM users 
-      WHERE username LIKE ? AND account_status = 'active' 
-      LIMIT ${safeLimit}`,
-      [`%${searchTerm}%`]
+    // Display names only count when the user shows theirs to everyone
+    const displayNameVisible = {
+      sql: `(COALESCE(JSON_UNQUOTE(JSON_EXTRACT(u.field_visibility, '$.display_name')), ?) = 'public'
+        AND ${privateVisible.sql})`,
+      params: [DEFAULT_FIELD_VISIBILITY.display_name, ...privateVisible.params],
+    };
+    const displayNamePrefix = {
+      sql: `(${displayNameVisible.sql} AND LOWER(u.display_name) LIKE ?)`,
+      params: [...displayNameVisible.params, `${escaped}%`],
+    };
+    const displayNameMatch = {
+      sql: `(${displayNameVisible.sql} AND LOWER(u.display_name) LIKE ?)`,
+      params: [...displayNameVisible.params, `%${escaped}%`],
+    };
+
+    const interestMatch = {
+      sql: `(${privateVisible.sql} AND LOWER(CAST(u.interests AS CHAR)) LIKE ?)`,
+      params: [...privateVisible.params, `%${escaped}%`],
+    };
+
+    // Sound-alike matching is too loose for very short terms
+    const soundsLike =
+      term.length >= 3 && /^[a-z]/.test(term)
+        ? { sql: 'SOUNDEX(u.username) = SOUNDEX(?)', params: [term] }
+        : { sql: 'FALSE', params: [] };
+
+    const viewerFriends = `SELECT IF(sf.requester_id = ?, sf.addressee_id, sf.requester_id)
+      FROM friendships sf
+      WHERE sf.status = 'accepted' AND (sf.requester_id = ? OR sf.addressee_id = ?)`;
+
+    const pageCondition = position ? 'WHERE score < ? OR (score = ? AND id > ?)' : '';
+    const pageParams = position ? [position.score, position.score, position.id] : [];
+
+    const rows = await db.query(
+      `SELECT * FROM (
+        SELECT c.*,
+        c.match_score + c.is_friend * 50 + LEAST(c.mutual_friends, 5) * 6 + c.recently_met * 15
+          AS score
+        FROM (
+          SELECT u.id, u.username,
+          IF(${displayNameVisible.sql}, u.display_name, NULL) AS display_name,
+          IF(${privateVisible.sql}, u.bio, NULL) AS bio, u.profile_picture,
+          CASE
+            WHEN LOWER(u.username) = ? THEN 100
+            WHEN LOWER(u.username) LIKE ? THEN 60
+            WHEN ${displayNamePrefix.sql} THEN 50
+            WHEN LOWER(u.username) LIKE ? THEN 30
+            WHEN ${displayNameMatch.sql} THEN 25
+            WHEN ${interestMatch.sql} THEN 20
+            WHEN ${soundsLike.sql} THEN 10
+            ELSE 0
+          END AS match_score,
+          EXISTS (
+            SELECT 1 FROM friendships ff WHERE ff.status = 'accepted'
+            AND ((ff.requester_id = ? AND ff.addressee_id = u.id)
+              OR (ff.addressee_id = ? AND ff.requester_id = u.id))
+          ) AS is_friend,
+          (
+            SELECT COUNT(*) FROM friendships mf WHERE mf.status = 'accepted'
+            AND ((mf.requester_id = u.id AND mf.addressee_id IN (${viewerFriends}))
+              OR (mf.addressee_id = u.id AND mf.requester_id IN (${viewerFriends})))
+          ) AS mutual_friends,
+          EXISTS (
+            SELECT 1 FROM room_participants vp
+            JOIN room_participants op ON op.room_id = vp.room_id
+            WHERE vp.user_id = ? AND op.user_id = u.id
+            AND op.joined_at > NOW() - INTERVAL ${SEARCH_RECENT_INTERACTION_DAYS} DAY
+          ) AS recently_met
+          FROM users u
+          WHERE u.account_status IN ('active', 'ghost', 'private')
+          AND u.username IS NOT NULL AND u.id != ?
+          AND ${ghostVisible.sql}
+          AND ${notBlocked.sql}
+          AND (LOWER(u.username) LIKE ? OR ${displayNameMatch.sql} OR ${interestMatch.sql}
+            OR ${soundsLike.sql})
+        ) c
+      ) ranked
+      ${pageCondition}
+      ORDER BY score DESC, id ASC
+      LIMIT ${safeLimit + 1}`,
+      [
+        ...displayNameVisible.params,
+        ...privateVisible.params,
+        term,
+        `${escaped}%`,
+        ...displayNamePrefix.params,
+        `%${escaped}%`,
+        ...displayNameMatch.params,
+        ...interestMatch.params,
+        ...soundsLike.params,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        viewerId,
+        ...ghostVisible.params,
+        ...notBlocked.params,
+        `%${escaped}%`,
+        ...displayNameMatch.params,
+        ...interestMatch.params,
+        ...soundsLike.params,
+        ...pageParams,
+      ]
     );
 
-    return users;
+    const page = rows.slice(0, safeLimit);
+
+    return {
+      users: page.map((row) => ({
+        id: row.id,
+        username: row.username,
+        display_name: row.display_name,
+        bio: row.bio,
+        profile_picture: row.profile_picture,
+        is_friend: !!row.is_friend,
+        mutual_friends: Number(row.mutual_friends),
+      })),
+      next_cursor: rows.length > safeLimit ? encodeSearchCursor(page[page.length - 1]) : null,
+    };
   } catch (error) {
     logger.error(`Search users error: ${error.message}`);
     throw new AppError('Failed to search users', 500);
@@ -278,14 +1305,151 @@ const markUserAsAdmin = async (userId, isAdmin) => {
   }
 };
 
+/**
+ * Suspend a user account
+ * Ends every session so the user is logged out everywhere straight away
+ * @param {string} userId - User to suspend
+ * @param {string} reason - Reason shown to moderators
+ * @param {string} moderatorId - ID of the moderator
+ * @param {string} ipAddress - IP address of the moderator
+ * @returns {Promise<Object>} - Updated user object
+ */
+const suspendUser = async (userId, reason, moderatorId, ipAddress) => {
+  try {
+    if (userId === moderatorId) {
+      throw new AppError('You cannot suspend your own account', 400);
+    }
+
+    const [user] = await db.query(
+      "SELECT id, is_admin FROM users WHERE id = ? AND account_status != 'deleted'",
+      [userId]
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [adminRole] = await db.query(
+      `SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+      WHERE ur.user_id = ? AND r.name = 'admin'`,
+      [userId]
+    );
+
+    if (user.is_admin || adminRole) {
+      throw new AppError('Admin accounts cannot be suspended', 403);
+    }
+
+    await db.query('UPDATE users SET suspended_at = NOW(), suspension_reason = ? WHERE id = ?', [
+      reason || null,
+      userId,
+    ]);
+
+    const sessions = await db.query(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND is_active = TRUE',
+      [userId]
+    );
+    await db.query(
+      'UPDATE user_sessions SET is_active = FALSE, refresh_token_hash = NULL WHERE user_id = ?',
+      [userId]
+    );
+    for (const session of sessions) {
+      socket.disconnectSession(userId, session.id, { reason: 'suspended' });
+    }
+
+    logger.info(`User ${userId} suspended by ${moderatorId}`);
+
+    auditService.record({
+      actorType: 'user',
+      actorId: moderatorId,
+      action: 'user.suspended',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { reason: reason || null },
+      ipAddress,
+    });
+
+    return getModerationStatus(userId);
+  } catch (error) {
+    logger.error(`Suspend user error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Lift a user's suspension
+ * @param {string} userId - User to reinstate
+ * @param {string} reason - Why the suspension was lifted
+ * @param {string} moderatorId - ID of the moderator
+ * @param {string} ipAddress - IP address of the moderator
+ * @returns {Promise<Object>} - Updated user object
+ */
+const reinstateUser = async (userId, reason, moderatorId, ipAddress) => {
+  try {
+    const [user] = await db.query('SELECT suspension_reason FROM users WHERE id = ?', [userId]);
+
+    const result = await db.query(
+      'UPDATE users SET suspended_at = NULL, suspension_reason = NULL WHERE id = ? AND suspended_at IS NOT NULL',
+      [userId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('User is not suspended', 400);
+    }
+
+    logger.info(`User ${userId} reinstated by ${moderatorId}`);
+
+    auditService.record({
+      actorType: 'user',
+      actorId: moderatorId,
+      action: 'user.reinstated',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { reason: reason || null, suspension_reason: user.suspension_reason },
+      ipAddress,
+    });
+
+    return getModerationStatus(userId);
+  } catch (error) {
+    logger.error(`Reinstate user error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's moderation status
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - User with suspension details
+ */
+const getModerationStatus = async (userId) => {
+  const [user] = await db.query(
+    'SELECT id, username, account_status, suspended_at, suspension_reason FROM users WHERE id = ?',
+    [userId]
+  );
+
+  return user;
+};
+
 module.exports = {
   getUserById,
   getUserByUsername,
+  getUsernameAvailability,
   isUsernameAvailable,
+  getRenamedUsername,
+  getUsernameHistory,
   updateProfile,
   uploadProfilePicture,
+  uploadCoverPicture,
+  removeCoverPicture,
+  getFavouriteGames,
+  setFavouriteGames,
   updateAccountStatus,
   deleteAccount,
+  purgeAccount,
+  purgeDeletedAccounts,
+  retryMediaDeletions,
+  getDataExport,
   searchUsers,
   markUserAsAdmin,
+  suspendUser,
+  reinstateUser,
 };
@@ -3,11 +3,12 @@
  * Extends the built-in Error class with additional properties
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true; // Operational errors are expected errors
+    this.details = details; // Optional extra data for the client (e.g. retry_after)
 
     Error.captureStackTrace(this, this.constructor);
   }
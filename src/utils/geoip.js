@@ -0,0 +1,31 @@
+const geoip = require('geoip-lite');
+
+/**
+ * Look up the approximate location of an IP address in the bundled GeoIP database
+ * No network calls are made, so lookups are safe on the login path
+ * @param {string} ipAddress - IPv4 or IPv6 address (IPv4-mapped IPv6 is accepted)
+ * @returns {Object|null} - Location (country, region, city, label) or null if unknown
+ */
+const lookupLocation = (ipAddress) => {
+  if (!ipAddress) {
+    return null;
+  }
+
+  const ip = String(ipAddress).replace(/^::ffff:/, '');
+  const result = geoip.lookup(ip);
+
+  if (!result || !result.country) {
+    return null;
+  }
+
+  return {
+    country: result.country,
+    region: result.region || null,
+    city: result.city || null,
+    label: [result.city, result.region, result.country].filter(Boolean).join(', '),
+  };
+};
+
+module.exports = {
+  lookupLocation,
+};
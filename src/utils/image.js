@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Sizes images are stored at, by what they are used for. Every variant is square-cropped or
+// cropped to the given box, re-encoded as WebP and stripped of metadata
+const IMAGE_PRESETS = {
+  profile_picture: [
+    { name: '512', width: 512, height: 512 },
+    { name: '256', width: 256, height: 256 },
+    { name: '128', width: 128, height: 128 },
+  ],
+  cover_picture: [{ name: '1500x500', width: 1500, height: 500 }],
+};
+
+// Largest image accepted, in pixels, so a small file can't decode into a huge one
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Detect an image type from the file's first bytes rather than its name
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - jpeg, png, gif, webp or avif, or null if it isn't one of them
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+
+  const header = buffer.toString('latin1', 0, 6);
+  if (header === 'GIF87a' || header === 'GIF89a') {
+    return 'gif';
+  }
+
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  // ISO media file whose major or compatible brands include AVIF
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = buffer.toString('latin1', 8, boxSize);
+    if (/avi[fs]/.test(brands)) {
+      return 'avif';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Decode an image and produce the variants of a preset
+ * EXIF orientation is applied before the metadata (EXIF, GPS, ICC comments) is dropped
+ * @param {Buffer} buffer - File contents
+ * @param {string} preset - Preset name (profile_picture, cover_picture)
+ * @returns {Promise<Object>} - Processed image (width, height, sha256, variants[{ name, width,
+ * height, buffer }])
+ */
+const processImage = async (buffer, preset) => {
+  const sizes = IMAGE_PRESETS[preset];
+  if (!sizes) {
+    throw new Error(`Unknown image preset: ${preset}`);
+  }
+
+  // Only the first frame of animated images is kept
+  const source = sharp(buffer, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  const metadata = await source.metadata();
+
+  // Orientations 5-8 are rotated a quarter turn, so width and height swap once applied
+  const quarterTurn = metadata.orientation >= 5;
+  const width = quarterTurn ? metadata.height : metadata.width;
+  const height = quarterTurn ? metadata.width : metadata.height;
+
+  const variants = [];
+  for (const size of sizes) {
+    const output = await source
+      .clone()
+      .resize(size.width, size.height, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer();
+
+    variants.push({ name: size.name, width: size.width, height: size.height, buffer: output });
+  }
+
+  return {
+    width,
+    height,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    variants,
+  };
+};
+
+module.exports = {
+  IMAGE_PRESETS,
+  detectImageType,
+  processImage,
+};
@@ -0,0 +1,79 @@
+const logger = require('../../config/logger');
+const templates = require('./templates');
+
+// Available transports - pick one with MAIL_TRANSPORT
+const transports = {
+  smtp: () => require('./smtpTransport'),
+  sendgrid: () => require('./sendgridTransport'),
+  outbox: () => require('./outboxTransport'),
+};
+
+/**
+ * Get the configured mail transport
+ * Defaults to SMTP in production and the local outbox everywhere else
+ * @returns {Object} - Transport with a send({ to, subject, text, html }) method
+ */
+const getTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transports[name]();
+};
+
+/**
+ * Render a template for a locale, falling back to English
+ * @param {string} template - Template name
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Preferred locale
+ * @returns {Object} - Subject and text body
+ */
+const renderTemplate = (template, params, locale) => {
+  const language = String(locale || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  const source = (templates[language] && templates[language][template]) || templates.en[template];
+
+  if (!source) {
+    throw new Error(`Unknown mail template: ${template}`);
+  }
+
+  const fill = (text) =>
+    text.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+      params[key] !== undefined ? String(params[key]) : match
+    );
+
+  return {
+    subject: fill(source.subject),
+    text: fill(source.text),
+  };
+};
+
+/**
+ * Send a templated email
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.template - Template name
+ * @param {Object} options.params - Template placeholder values
+ * @param {string} options.locale - Preferred locale
+ * @returns {Promise<Object>} - Delivery result from the transport
+ */
+const sendMail = async ({ to, template, params = {}, locale }) => {
+  const { subject, text } = renderTemplate(template, params, locale);
+  const transport = getTransport();
+
+  try {
+    return await transport.send({ to, subject, text, template });
+  } catch (error) {
+    logger.error(`Email via ${transport.name} to ${to} failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../config/logger');
+
+/**
+ * Development / test transport - an SMTP-to-file stand-in
+ * Each message is rendered to a raw .eml file by nodemailer and indexed in outbox.jsonl
+ */
+
+// Renders the full MIME message without sending it
+const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+/**
+ * Get the outbox directory (MAIL_OUTBOX_DIR or tmp/mail-outbox)
+ * @returns {string} - Absolute path
+ */
+const getOutboxDir = () => {
+  return path.resolve(
+    process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../../tmp/mail-outbox')
+  );
+};
+
+/**
+ * Write an email to the outbox
+ * @param {Object} message - Message (to, subject, text, html, template)
+ * @returns {Promise<Object>} - Delivery result
+ */
+const send = async ({ to, subject, text, html, template }) => {
+  const outboxDir = getOutboxDir();
+  const id = uuidv4();
+  const file = path.join(outboxDir, `${id}.eml`);
+
+  const info = await renderer.sendMail({
+    from: process.env.MAIL_FROM || 'Booze <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+  await fs.promises.writeFile(file, info.message);
+
+  const entry = {
+    id,
+    to,
+    subject,
+    text,
+    template,
+    file,
+    sent_at: new Date().toISOString(),
+  };
+  await fs.promises.appendFile(path.join(outboxDir, 'outbox.jsonl'), `${JSON.stringify(entry)}\n`);
+
+  logger.info(`Email to ${to} written to outbox: ${file}`);
+
+  return { id };
+};
+
+/**
+ * Read messages from the outbox
+ * @param {string} to - Optional recipient filter
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+const readOutbox = async (to) => {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(path.join(getOutboxDir(), 'outbox.jsonl'), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return raw
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((message) => !to || message.to === to);
+};
+
+/**
+ * Empty the outbox
+ * @returns {Promise<void>}
+ */
+const clearOutbox = async () => {
+  await fs.promises.rm(getOutboxDir(), { recursive: true, force: true });
+};
+
+module.exports = {
+  name: 'outbox',
+  send,
+  readOutbox,
+  clearOutbox,
+};
@@ -0,0 +1,34 @@
+const sgMail = require('@sendgrid/mail');
+const logger = require('../../config/logger');
+
+let initialized = false;
+
+/**
+ * Send an email through SendGrid
+ * @param {Object} message - Message (to, subject, text, html)
+ * @returns {Promise<Object>} - Delivery result
+ */
+const send = async ({ to, subject, text, html }) => {
+  if (!initialized) {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    initialized = true;
+  }
+
+  const [response] = await sgMail.send({
+    from: process.env.MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  const messageId = response.headers['x-message-id'];
+  logger.info(`Email sent to ${to} via SendGrid: ${messageId}`);
+
+  return { id: messageId };
+};
+
+module.exports = {
+  name: 'sendgrid',
+  send,
+};
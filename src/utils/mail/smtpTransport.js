@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+const logger = require('../../config/logger');
+
+// Created on first use so the app can boot without SMTP settings
+let transporter;
+
+/**
+ * Send an email over SMTP
+ * @param {Object} message - Message (to, subject, text, html)
+ * @returns {Promise<Object>} - Delivery result
+ */
+const send = async ({ to, subject, text, html }) => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  logger.info(`Email sent to ${to} via SMTP: ${info.messageId}`);
+
+  return { id: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+};
@@ -0,0 +1,20 @@
+/**
+ * Email templates per locale
+ * Placeholders use {{name}} and are filled from the params passed to sendMail
+ */
+module.exports = {
+  en: {
+    verify_email: {
+      subject: 'Verify your Booze email address',
+      text: 'Welcome to Booze!\n\nConfirm your email address by opening this link:\n{{link}}\n\nThe link expires in {{expires}}. If you did not sign up, you can ignore this email.',
+    },
+    password_reset: {
+      subject: 'Reset your Booze password',
+      text: 'We received a request to reset your Booze password.\n\nChoose a new password here:\n{{link}}\n\nThe link expires in {{expires}} and can only be used once. If you did not ask for this, you can ignore this email.',
+    },
+    magic_link: {
+      subject: 'Your Booze login link',
+      text: 'Tap the link below to log in to Booze:\n{{link}}\n\nThe link expires in {{expires}} and can only be used once. If you did not try to log in, you can ignore this email.',
+    },
+  },
+};
@@ -0,0 +1,51 @@
+const logger = require('../../config/logger');
+
+// Available image moderation providers - pick one with IMAGE_MODERATION_PROVIDER
+// A provider exports a name and moderate(image) resolving to { decision, reasons }, where decision
+// is approve, quarantine (held for a moderator) or reject
+const providers = {
+  local: () => require('./localProvider'),
+};
+
+/**
+ * Get the configured image moderation provider
+ * @returns {Object} - Provider with a moderate(image) method
+ */
+const getProvider = () => {
+  const name = process.env.IMAGE_MODERATION_PROVIDER || 'local';
+
+  if (!providers[name]) {
+    throw new Error(`Unknown image moderation provider: ${name}`);
+  }
+
+  return providers[name]();
+};
+
+/**
+ * Check an uploaded image before it is shown to anyone
+ * If the provider fails the image is quarantined rather than let through
+ * @param {Object} image - Image to check
+ * @param {Buffer} image.buffer - Processed image
+ * @param {number} image.width - Original width
+ * @param {number} image.height - Original height
+ * @param {string} image.sha256 - Hash of the original upload
+ * @param {string} image.purpose - What the image is for (profile_picture, cover_picture)
+ * @param {string} image.userId - Uploader ID
+ * @returns {Promise<Object>} - Result (decision, reasons, provider)
+ */
+const moderateImage = async (image) => {
+  const provider = getProvider();
+
+  try {
+    const { decision, reasons = [] } = await provider.moderate(image);
+    return { decision, reasons, provider: provider.name };
+  } catch (error) {
+    logger.error(`Image moderation via ${provider.name} failed: ${error.message}`);
+    return { decision: 'quarantine', reasons: ['moderation_unavailable'], provider: provider.name };
+  }
+};
+
+module.exports = {
+  moderateImage,
+  getProvider,
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const logger = require('../../config/logger');
+
+/**
+ * Rule-based moderation that runs without an external service
+ * It only catches the obvious cases - swap in a real provider for production use
+ */
+
+// Smallest original width or height accepted
+const MIN_DIMENSION = 64;
+
+// Share of skin-coloured pixels above which an image is held for review
+const SKIN_RATIO_THRESHOLD = 0.8;
+
+let blocklist = null;
+
+/**
+ * Load SHA-256 hashes of known bad images (IMAGE_MODERATION_BLOCKLIST, one per line)
+ * @returns {Set<string>} - Blocked hashes
+ */
+const getBlocklist = () => {
+  if (blocklist) {
+    return blocklist;
+  }
+
+  blocklist = new Set();
+  const blocklistPath = process.env.IMAGE_MODERATION_BLOCKLIST;
+
+  if (blocklistPath) {
+    try {
+      const lines = fs.readFileSync(path.resolve(blocklistPath), 'utf8').split('\n');
+      for (const line of lines) {
+        const hash = line.trim().toLowerCase();
+        if (hash && !hash.startsWith('#')) {
+          blocklist.add(hash);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not read image moderation blocklist: ${error.message}`);
+    }
+  }
+
+  return blocklist;
+};
+
+/**
+ * Work out how much of an image is skin-coloured, using the classic RGB skin rule
+ * @param {Buffer} buffer - Image
+ * @returns {Promise<number>} - Share of skin-coloured pixels (0 to 1)
+ */
+const getSkinRatio = async (buffer) => {
+  const pixels = await sharp(buffer).resize(64, 64, { fit: 'fill' }).removeAlpha().raw().toBuffer();
+
+  let skin = 0;
+  for (let i = 0; i < pixels.length; i += 3) {
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+
+    if (
+      r > 95 &&
+      g > 40 &&
+      b > 20 &&
+      Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+      Math.abs(r - g) > 15 &&
+      r > g &&
+      r > b
+    ) {
+      skin++;
+    }
+  }
+
+  return skin / (pixels.length / 3);
+};
+
+/**
+ * Moderate an image
+ * @param {Object} image - Image (buffer, width, height, sha256, purpose, userId)
+ * @returns {Promise<Object>} - Result (decision, reasons)
+ */
+const moderate = async ({ buffer, width, height, sha256 }) => {
+  if (getBlocklist().has(sha256)) {
+    return { decision: 'reject', reasons: ['blocklisted'] };
+  }
+
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    return { decision: 'reject', reasons: ['too_small'] };
+  }
+
+  if ((await getSkinRatio(buffer)) > SKIN_RATIO_THRESHOLD) {
+    return { decision: 'quarantine', reasons: ['possible_nudity'] };
+  }
+
+  return { decision: 'approve', reasons: [] };
+};
+
+module.exports = {
+  name: 'local',
+  moderate,
+};
@@ -0,0 +1,42 @@
+// Fixed-window counters: key -> { count, resetAt }
+// Counters are per process, so the effective limit scales with the number of API instances
+const windows = new Map();
+
+/**
+ * Count a request against a fixed-window limit
+ * @param {string} key - Bucket key (e.g. an API key ID)
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {Object} - Result (allowed, limit, remaining, resetAt)
+ */
+const consume = (key, limit, windowSeconds) => {
+  const now = Date.now();
+  let window = windows.get(key);
+
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowSeconds * 1000 };
+    windows.set(key, window);
+  }
+
+  window.count++;
+
+  // Drop expired windows so the map doesn't grow with every key ever seen
+  if (windows.size > 10000) {
+    for (const [bucket, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(bucket);
+      }
+    }
+  }
+
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.resetAt,
+  };
+};
+
+module.exports = {
+  consume,
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a high-entropy token for storage
+ * Only the hash is persisted so a database leak does not expose usable tokens
+ * @param {string} token - Token to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Keyed hash for low-entropy secrets (e.g. 6-digit codes)
+ * A plain hash of a short code is trivially reversed, the server-side key prevents that
+ * @param {string} value - Value to hash
+ * @param {string} secret - HMAC key
+ * @returns {string} - HMAC-SHA256 hex digest
+ */
+const hmac = (value, secret) => {
+  return crypto.createHmac('sha256', secret).update(String(value)).digest('hex');
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a || ''));
+  const bufferB = Buffer.from(String(b || ''));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Generate a numeric code with a cryptographically secure RNG
+ * @param {number} length - Number of digits
+ * @returns {string} - Zero-padded numeric code
+ */
+const generateNumericCode = (length = 6) => {
+  return crypto
+    .randomInt(0, 10 ** length)
+    .toString()
+    .padStart(length, '0');
+};
+
+/**
+ * Derive the 256-bit key used to encrypt secrets at rest
+ * @returns {Buffer} - Encryption key
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(String(secret)).digest();
+};
+
+/**
+ * Encrypt a secret that has to be read back (e.g. a TOTP seed) with AES-256-GCM
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - iv:authTag:ciphertext, base64 encoded
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt
+ * @param {string} payload - iv:authTag:ciphertext, base64 encoded
+ * @returns {string} - Decrypted value
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = String(payload)
+    .split(':')
+    .map((part) => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  hashToken,
+  hmac,
+  safeEqual,
+  generateNumericCode,
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,87 @@
+const logger = require('../../config/logger');
+const templates = require('./templates');
+
+// Available transports - pick one with SMS_TRANSPORT
+const transports = {
+  twilio: () => require('./twilioTransport'),
+  outbox: () => require('./outboxTransport'),
+};
+
+/**
+ * Get the configured SMS transport
+ * Defaults to Twilio in production and the local outbox everywhere else
+ * @returns {Object} - Transport with a send({ to, body }) method
+ */
+const getTransport = () => {
+  const name =
+    process.env.SMS_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'twilio' : 'outbox');
+
+  if (!transports[name]) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+
+  return transports[name]();
+};
+
+/**
+ * Resolve a locale to one we have templates for
+ * Falls back from "es-MX" to "es", then to SMS_DEFAULT_LOCALE
+ * @param {string} locale - Requested locale
+ * @returns {string} - Supported locale
+ */
+const resolveLocale = (locale) => {
+  const fallback = process.env.SMS_DEFAULT_LOCALE || 'en';
+  if (!locale) return fallback;
+
+  const normalized = String(locale).toLowerCase().replace('_', '-');
+  if (templates[normalized]) return normalized;
+
+  const language = normalized.split('-')[0];
+  return templates[language] ? language : fallback;
+};
+
+/**
+ * Render a template for a locale
+ * @param {string} template - Template name
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Supported locale
+ * @returns {string} - Message body
+ */
+const renderTemplate = (template, params, locale) => {
+  const text = (templates[locale] && templates[locale][template]) || templates.en[template];
+
+  if (!text) {
+    throw new Error(`Unknown SMS template: ${template}`);
+  }
+
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    params[key] !== undefined ? String(params[key]) : match
+  );
+};
+
+/**
+ * Send a templated SMS
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient phone number
+ * @param {string} options.template - Template name
+ * @param {Object} options.params - Template placeholder values
+ * @param {string} options.locale - Preferred locale
+ * @returns {Promise<Object>} - Delivery result from the transport
+ */
+const sendSms = async ({ to, template, params = {}, locale }) => {
+  const resolvedLocale = resolveLocale(locale);
+  const body = renderTemplate(template, params, resolvedLocale);
+  const transport = getTransport();
+
+  try {
+    return await transport.send({ to, body, template, locale: resolvedLocale });
+  } catch (error) {
+    logger.error(`SMS via ${transport.name} to ${to} failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendSms,
+  getTransport,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../config/logger');
+
+/**
+ * Development / test transport
+ * Messages are logged and appended as JSON lines to a local outbox file instead of being sent
+ */
+
+/**
+ * Get the outbox file path (SMS_OUTBOX_PATH or tmp/sms-outbox.jsonl)
+ * @returns {string} - Absolute path
+ */
+const getOutboxPath = () => {
+  return path.resolve(
+    process.env.SMS_OUTBOX_PATH || path.join(__dirname, '../../../tmp/sms-outbox.jsonl')
+  );
+};
+
+/**
+ * Write an SMS to the outbox
+ * @param {Object} message - Message (to, body, template, locale)
+ * @returns {Promise<Object>} - Delivery result
+ */
+const send = async ({ to, body, template, locale }) => {
+  const outboxPath = getOutboxPath();
+  const entry = {
+    id: uuidv4(),
+    to,
+    body,
+    template,
+    locale,
+    sent_at: new Date().toISOString(),
+  };
+
+  await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+  await fs.promises.appendFile(outboxPath, `${JSON.stringify(entry)}\n`);
+
+  logger.info(`SMS to ${to} written to outbox: ${body}`);
+
+  return { id: entry.id };
+};
+
+/**
+ * Read messages from the outbox
+ * @param {string} to - Optional recipient filter
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+const readOutbox = async (to) => {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(getOutboxPath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return raw
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((message) => !to || message.to === to);
+};
+
+/**
+ * Empty the outbox
+ * @returns {Promise<void>}
+ */
+const clearOutbox = async () => {
+  await fs.promises.rm(getOutboxPath(), { force: true });
+};
+
+module.exports = {
+  name: 'outbox',
+  send,
+  readOutbox,
+  clearOutbox,
+};
@@ -0,0 +1,21 @@
+/**
+ * SMS templates per locale
+ * Placeholders use {{name}} and are filled from the params passed to sendSms
+ */
+module.exports = {
+  en: {
+    otp: 'Your Booze app verification code is: {{code}}. It expires in {{minutes}} minutes.',
+  },
+  es: {
+    otp: 'Tu código de verificación de Booze es: {{code}}. Caduca en {{minutes}} minutos.',
+  },
+  fr: {
+    otp: 'Votre code de vérification Booze est : {{code}}. Il expire dans {{minutes}} minutes.',
+  },
+  de: {
+    otp: 'Dein Booze-Bestätigungscode lautet: {{code}}. Er läuft in {{minutes}} Minuten ab.',
+  },
+  hi: {
+    otp: 'आपका Booze सत्यापन कोड है: {{code}}. यह {{minutes}} मिनट में समाप्त हो जाएगा।',
+  },
+};
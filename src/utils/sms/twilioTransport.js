@@ -0,0 +1,31 @@
+const twilio = require('twilio');
+const logger = require('../../config/logger');
+
+// Created on first use so the app can boot without Twilio credentials
+let twilioClient;
+
+/**
+ * Send an SMS through Twilio
+ * @param {Object} message - Message (to, body)
+ * @returns {Promise<Object>} - Delivery result
+ */
+const send = async ({ to, body }) => {
+  if (!twilioClient) {
+    twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+
+  const message = await twilioClient.messages.create({
+    body,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to,
+  });
+
+  logger.info(`SMS sent to ${to} via Twilio: ${message.sid}`);
+
+  return { id: message.sid };
+};
+
+module.exports = {
+  name: 'twilio',
+  send,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errorHandler');
+const logger = require('../config/logger');
+
+// Provider settings. JWKS sources may be an https URL or a local file path,
+// which lets tests and offline environments sign tokens with their own key set.
+const providers = {
+  google: {
+    jwksUri: () => process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['accounts.google.com', 'https://accounts.google.com'],
+    audiences: () => splitList(process.env.GOOGLE_CLIENT_IDS),
+  },
+  apple: {
+    jwksUri: () => process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    audiences: () => splitList(process.env.APPLE_CLIENT_IDS),
+  },
+};
+
+// JWKS cache: source -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+/**
+ * Split a comma separated env value into a list
+ * @param {string} value - Raw env value
+ * @returns {Array<string>} - Trimmed, non-empty entries
+ */
+const splitList = (value) => {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Fetch JSON over https
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} - Parsed JSON body
+ */
+const fetchJson = (url) => {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { timeout: 5000 }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`JWKS request to ${url} failed with status ${res.statusCode}`));
+      }
+
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => (body += chunk));
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`JWKS request to ${url} timed out`)));
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Load a JSON Web Key Set from a URL or file
+ * @param {string} source - https URL or file path
+ * @returns {Promise<Array>} - List of JWKs
+ */
+const loadJwks = async (source) => {
+  let jwks;
+
+  if (/^https?:\/\//i.test(source)) {
+    jwks = await fetchJson(source);
+  } else {
+    const raw = await fs.promises.readFile(path.resolve(source), 'utf8');
+    jwks = JSON.parse(raw);
+  }
+
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error(`JWKS at ${source} has no keys`);
+  }
+
+  return jwks.keys;
+};
+
+/**
+ * Get the public key matching a key ID, refreshing the cache once on a miss
+ * @param {string} source - JWKS source
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (source, kid) => {
+  const ttl = (parseInt(process.env.SOCIAL_JWKS_CACHE_TTL) || 3600) * 1000;
+  let cached = jwksCache.get(source);
+
+  const findKey = () => cached && cached.keys.find((key) => key.kid === kid);
+
+  if (!cached || Date.now() - cached.fetchedAt > ttl || !findKey()) {
+    cached = { keys: await loadJwks(source), fetchedAt: Date.now() };
+    jwksCache.set(source, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify a Google or Apple ID token and extract the identity it asserts
+ * @param {string} provider - Provider name (google, apple)
+ * @param {string} idToken - ID token issued by the provider
+ * @returns {Promise<Object>} - Verified identity (providerId, email, emailVerified, name)
+ */
+const verifyIdToken = async (provider, idToken) => {
+  const config = providers[provider];
+
+  if (!config) {
+    throw new AppError('Invalid provider', 400);
+  }
+
+  const audiences = config.audiences();
+  if (audiences.length === 0) {
+    logger.error(`Social login for ${provider} is not configured: missing client IDs`);
+    throw new AppError(`Login with ${provider} is not available`, 503);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(config.jwksUri(), decoded.header.kid);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error(`Failed to load ${provider} signing keys: ${error.message}`);
+    throw new AppError('Unable to verify ID token. Please try again.', 503);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: audiences,
+      issuer: config.issuers,
+    });
+  } catch (error) {
+    logger.warn(`Rejected ${provider} ID token: ${error.message}`);
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  if (!payload.sub) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  return {
+    providerId: payload.sub,
+    email: payload.email ? payload.email.toLowerCase() : null,
+    // Apple sends email_verified as a string
+    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+    name: payload.name || null,
+  };
+};
+
+module.exports = {
+  verifyIdToken,
+};
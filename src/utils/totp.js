@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every common authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the code for a time step (RFC 4226 HOTP with a time-based counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step counter
+ */
+const getStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Verify a code, allowing for clock drift of one step either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of steps to accept either side of now
+ * @returns {number|null} - Matching time step, or null when the code is wrong
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label shown in the app
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpauthUri,
+};
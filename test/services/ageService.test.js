@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateAge,
+  getLegalDrinkingAge,
+  countryFromPhone,
+} = require('../../src/services/ageService');
+const { DEFAULT_DRINKING_AGE } = require('../../src/config/drinkingAge');
+
+describe('ageService', () => {
+  describe('calculateAge', () => {
+    const now = new Date(2026, 5, 15);
+
+    it('counts whole years once the birthday has passed', () => {
+      assert.equal(calculateAge('2000-01-01', now), 26);
+      assert.equal(calculateAge('2000-06-14', now), 26);
+    });
+
+    it('counts the birthday itself as passed', () => {
+      assert.equal(calculateAge('2008-06-15', now), 18);
+    });
+
+    it('does not count a birthday later in the year', () => {
+      assert.equal(calculateAge('2008-06-16', now), 17);
+      assert.equal(calculateAge('2008-12-31', now), 17);
+    });
+
+    it('ignores a time part on the date of birth', () => {
+      assert.equal(calculateAge('2008-06-16T00:00:00.000Z', now), 17);
+    });
+
+    it('returns a negative age for dates in the future', () => {
+      assert.ok(calculateAge('2030-01-01', now) < 0);
+    });
+
+    it('treats a 29 February birthday as passed on 1 March', () => {
+      assert.equal(calculateAge('2008-02-29', new Date(2026, 1, 28)), 17);
+      assert.equal(calculateAge('2008-02-29', new Date(2026, 2, 1)), 18);
+    });
+  });
+
+  describe('getLegalDrinkingAge', () => {
+    it('returns the age for known countries', () => {
+      assert.equal(getLegalDrinkingAge('US'), 21);
+      assert.equal(getLegalDrinkingAge('GB'), 18);
+    });
+
+    it('returns null where alcohol content is not allowed', () => {
+      assert.equal(getLegalDrinkingAge('SA'), null);
+    });
+
+    it('falls back to the default for unknown or missing countries', () => {
+      assert.equal(getLegalDrinkingAge('ZZ'), DEFAULT_DRINKING_AGE);
+      assert.equal(getLegalDrinkingAge(null), DEFAULT_DRINKING_AGE);
+    });
+  });
+
+  describe('countryFromPhone', () => {
+    it('finds the country from the calling code', () => {
+      assert.equal(countryFromPhone('+14155550123'), 'US');
+      assert.equal(countryFromPhone('+447700900123'), 'GB');
+      assert.equal(countryFromPhone('+966501234567'), 'SA');
+    });
+
+    it('returns null for numbers that are missing or not in E.164 format', () => {
+      assert.equal(countryFromPhone(null), null);
+      assert.equal(countryFromPhone('07700900123'), null);
+    });
+  });
+});
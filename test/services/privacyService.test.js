@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getVisibilityGroupId,
+  isVisibleTo,
+  hideProfileFields,
+} = require('../../src/services/privacyService');
+
+const GROUP_ID = '2b1c9a3e-1f1d-4c5e-9a41-6f4f0d9b7c11';
+const OTHER_GROUP_ID = 'e0c1d4a5-7b3f-4b8e-8f2a-1c9d5e6f7a80';
+
+describe('privacyService', () => {
+  describe('getVisibilityGroupId', () => {
+    it('returns the group of a group visibility setting', () => {
+      assert.equal(getVisibilityGroupId(`group:${GROUP_ID}`), GROUP_ID);
+    });
+
+    it('returns null for levels and other values', () => {
+      assert.equal(getVisibilityGroupId('friends'), null);
+      assert.equal(getVisibilityGroupId(undefined), null);
+      assert.equal(getVisibilityGroupId({ group: GROUP_ID }), null);
+    });
+  });
+
+  describe('isVisibleTo', () => {
+    const groupIds = new Set([GROUP_ID]);
+
+    it('shows public values to everyone', () => {
+      assert.equal(isVisibleTo('public', false), true);
+      assert.equal(isVisibleTo('public', true), true);
+    });
+
+    it('shows friends-only values to friends only', () => {
+      assert.equal(isVisibleTo('friends', true), true);
+      assert.equal(isVisibleTo('friends', false), false);
+    });
+
+    it('never shows only-me values to others', () => {
+      assert.equal(isVisibleTo('only_me', true, groupIds), false);
+    });
+
+    it('shows group values to friends in that group only', () => {
+      assert.equal(isVisibleTo(`group:${GROUP_ID}`, true, groupIds), true);
+      assert.equal(isVisibleTo(`group:${OTHER_GROUP_ID}`, true, groupIds), false);
+      assert.equal(isVisibleTo(`group:${GROUP_ID}`, true), false);
+    });
+
+    it('hides group values from someone who is no longer a friend', () => {
+      assert.equal(isVisibleTo(`group:${GROUP_ID}`, false, groupIds), false);
+    });
+
+    it('hides values with an unknown setting', () => {
+      assert.equal(isVisibleTo('everyone', true, groupIds), false);
+      assert.equal(isVisibleTo(undefined, true, groupIds), false);
+    });
+  });
+
+  describe('hideProfileFields', () => {
+    const user = {
+      id: 'user-1',
+      username: 'sam',
+      display_name: 'Sam',
+      pronouns: 'they/them',
+      social_links: [{ type: 'website', url: 'https://example.com' }],
+      cover_picture: 'https://example.com/cover.webp',
+      favourite_games: [{ id: 'game-1', name: 'Kings' }],
+      field_visibility: {
+        pronouns: 'friends',
+        social_links: `group:${GROUP_ID}`,
+        favourite_games: 'only_me',
+      },
+    };
+
+    it('blanks fields the viewer may not see, emptying lists', () => {
+      const profile = hideProfileFields(user, false);
+
+      assert.equal(profile.display_name, 'Sam');
+      assert.equal(profile.cover_picture, 'https://example.com/cover.webp');
+      assert.equal(profile.pronouns, null);
+      assert.deepEqual(profile.social_links, []);
+      assert.deepEqual(profile.favourite_games, []);
+    });
+
+    it('shows friends and group fields to a friend in the group', () => {
+      const profile = hideProfileFields(user, true, new Set([GROUP_ID]));
+
+      assert.equal(profile.pronouns, 'they/them');
+      assert.deepEqual(profile.social_links, user.social_links);
+      assert.deepEqual(profile.favourite_games, []);
+    });
+
+    it('hides group fields from friends outside the group', () => {
+      const profile = hideProfileFields(user, true, new Set([OTHER_GROUP_ID]));
+
+      assert.equal(profile.pronouns, 'they/them');
+      assert.deepEqual(profile.social_links, []);
+    });
+
+    it('falls back to the default visibility when none is set', () => {
+      const profile = hideProfileFields({ ...user, field_visibility: null }, false);
+
+      assert.equal(profile.pronouns, 'they/them');
+      assert.deepEqual(profile.favourite_games, user.favourite_games);
+    });
+
+    it('leaves out the visibility settings and keeps fields without a setting', () => {
+      const profile = hideProfileFields(user, false);
+
+      assert.equal('field_visibility' in profile, false);
+      assert.equal(profile.id, 'user-1');
+      assert.equal(profile.username, 'sam');
+    });
+
+    it('does not change the profile passed in', () => {
+      hideProfileFields(user, false);
+
+      assert.equal(user.pronouns, 'they/them');
+      assert.ok(user.field_visibility);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { IMAGE_PRESETS, detectImageType, processImage } = require('../../src/utils/image');
+
+/**
+ * Create a plain test image
+ * @param {string} format - Output format
+ * @param {Object} options - Size (width, height) and EXIF orientation
+ * @returns {Promise<Buffer>} - Encoded image
+ */
+const createImage = (format, { width = 300, height = 200, orientation } = {}) => {
+  let image = sharp({ create: { width, height, channels: 3, background: '#cc3333' } });
+
+  if (orientation) {
+    image = image.withMetadata({ orientation });
+  }
+
+  return image.toFormat(format).toBuffer();
+};
+
+describe('image', () => {
+  describe('detectImageType', () => {
+    const images = {};
+
+    before(async () => {
+      for (const format of ['jpeg', 'png', 'gif', 'webp', 'avif']) {
+        images[format] = await createImage(format);
+      }
+    });
+
+    it('detects every accepted format from its bytes', () => {
+      for (const [format, buffer] of Object.entries(images)) {
+        assert.equal(detectImageType(buffer), format);
+      }
+    });
+
+    it('rejects files that only look like images by name', () => {
+      assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+      assert.equal(detectImageType(Buffer.from('%PDF-1.7 not an image')), null);
+    });
+
+    it('rejects RIFF files that are not WebP', () => {
+      assert.equal(detectImageType(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+    });
+
+    it('rejects ISO media files without an AVIF brand', () => {
+      const mp4 = Buffer.alloc(24);
+      mp4.writeUInt32BE(24, 0);
+      mp4.write('ftypisom\0\0\0\0isomiso2', 4, 'latin1');
+
+      assert.equal(detectImageType(mp4), null);
+    });
+
+    it('rejects missing and truncated input', () => {
+      assert.equal(detectImageType(null), null);
+      assert.equal(detectImageType('not a buffer'), null);
+      assert.equal(detectImageType(images.png.subarray(0, 8)), null);
+    });
+  });
+
+  describe('processImage', () => {
+    it('produces every size of the preset as WebP', async () => {
+      const image = await processImage(await createImage('png'), 'profile_picture');
+
+      assert.deepEqual(
+        image.variants.map((variant) => variant.name),
+        IMAGE_PRESETS.profile_picture.map((size) => size.name)
+      );
+
+      for (const variant of image.variants) {
+        const metadata = await sharp(variant.buffer).metadata();
+        assert.equal(metadata.format, 'webp');
+        assert.equal(metadata.width, variant.width);
+        assert.equal(metadata.height, variant.height);
+      }
+    });
+
+    it('applies the EXIF orientation and strips the metadata', async () => {
+      const image = await processImage(
+        await createImage('jpeg', { orientation: 6 }),
+        'cover_picture'
+      );
+
+      assert.equal(image.width, 200);
+      assert.equal(image.height, 300);
+
+      const metadata = await sharp(image.variants[0].buffer).metadata();
+      assert.equal(metadata.exif, undefined);
+      assert.equal(metadata.orientation, undefined);
+    });
+
+    it('returns the SHA-256 of the original file', async () => {
+      const buffer = await createImage('png');
+      const image = await processImage(buffer, 'cover_picture');
+
+      assert.match(image.sha256, /^[0-9a-f]{64}$/);
+      assert.equal(image.sha256, (await processImage(buffer, 'cover_picture')).sha256);
+    });
+
+    it('rejects unknown presets and undecodable files', async () => {
+      await assert.rejects(
+        processImage(await createImage('png'), 'banner'),
+        /Unknown image preset/
+      );
+      await assert.rejects(processImage(Buffer.from('not an image at all'), 'profile_picture'));
+    });
+  });
+});
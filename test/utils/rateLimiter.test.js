@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { consume } = require('../../src/utils/rateLimiter');
+
+describe('rateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('allows requests up to the limit', () => {
+    const first = consume('limit-test', 3, 60);
+    consume('limit-test', 3, 60);
+    const third = consume('limit-test', 3, 60);
+
+    assert.deepEqual(first, { allowed: true, limit: 3, remaining: 2, resetAt: now + 60000 });
+    assert.equal(third.allowed, true);
+    assert.equal(third.remaining, 0);
+  });
+
+  it('refuses requests over the limit until the window resets', () => {
+    for (let i = 0; i < 2; i++) {
+      consume('reset-test', 2, 60);
+    }
+
+    const refused = consume('reset-test', 2, 60);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 0);
+    assert.equal(refused.resetAt, now + 60000);
+
+    now += 60000;
+
+    const allowed = consume('reset-test', 2, 60);
+    assert.equal(allowed.allowed, true);
+    assert.equal(allowed.remaining, 1);
+    assert.equal(allowed.resetAt, now + 60000);
+  });
+
+  it('keeps the window start from the first request', () => {
+    const first = consume('window-test', 5, 60);
+    now += 30000;
+
+    assert.equal(consume('window-test', 5, 60).resetAt, first.resetAt);
+  });
+
+  it('counts each key separately', () => {
+    consume('key-a', 1, 60);
+
+    assert.equal(consume('key-a', 1, 60).allowed, false);
+    assert.equal(consume('key-b', 1, 60).allowed, true);
+  });
+});
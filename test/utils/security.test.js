@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  hashToken,
+  hmac,
+  safeEqual,
+  generateNumericCode,
+  encrypt,
+  decrypt,
+} = require('../../src/utils/security');
+
+describe('security', () => {
+  describe('hashToken', () => {
+    it('returns the SHA-256 hex digest', () => {
+      assert.equal(
+        hashToken('abc'),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+      );
+    });
+
+    it('hashes non-string values as strings', () => {
+      assert.equal(hashToken(123), hashToken('123'));
+    });
+  });
+
+  describe('hmac', () => {
+    it('returns the HMAC-SHA256 hex digest', () => {
+      // RFC 4231 test case 2
+      assert.equal(
+        hmac('what do ya want for nothing?', 'Jefe'),
+        '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+      );
+    });
+
+    it('depends on the key', () => {
+      assert.notEqual(hmac('123456', 'one'), hmac('123456', 'two'));
+    });
+  });
+
+  describe('safeEqual', () => {
+    it('matches equal strings', () => {
+      assert.equal(safeEqual('secret', 'secret'), true);
+    });
+
+    it('rejects different strings of the same length', () => {
+      assert.equal(safeEqual('secret', 'secreT'), false);
+    });
+
+    it('rejects strings of different lengths', () => {
+      assert.equal(safeEqual('secret', 'secrets'), false);
+    });
+
+    it('treats missing values as empty', () => {
+      assert.equal(safeEqual(null, undefined), true);
+      assert.equal(safeEqual(null, 'secret'), false);
+    });
+  });
+
+  describe('generateNumericCode', () => {
+    it('returns a zero-padded code of the requested length', () => {
+      for (let i = 0; i < 50; i++) {
+        assert.match(generateNumericCode(), /^\d{6}$/);
+        assert.match(generateNumericCode(8), /^\d{8}$/);
+      }
+    });
+  });
+
+  describe('encrypt and decrypt', () => {
+    let previousKey;
+
+    beforeEach(() => {
+      previousKey = process.env.ENCRYPTION_KEY;
+      process.env.ENCRYPTION_KEY = 'test-encryption-key';
+    });
+
+    afterEach(() => {
+      if (previousKey === undefined) {
+        delete process.env.ENCRYPTION_KEY;
+      } else {
+        process.env.ENCRYPTION_KEY = previousKey;
+      }
+    });
+
+    it('round-trips a value', () => {
+      assert.equal(decrypt(encrypt('JBSWY3DPEHPK3PXP')), 'JBSWY3DPEHPK3PXP');
+    });
+
+    it('uses a fresh IV for every encryption', () => {
+      assert.notEqual(encrypt('same'), encrypt('same'));
+    });
+
+    it('rejects tampered ciphertext', () => {
+      const [iv, authTag, ciphertext] = encrypt('secret').split(':');
+      const tampered = Buffer.from(ciphertext, 'base64');
+      tampered[0] ^= 1;
+
+      assert.throws(() => decrypt([iv, authTag, tampered.toString('base64')].join(':')));
+    });
+
+    it('fails with a different key', () => {
+      const payload = encrypt('secret');
+      process.env.ENCRYPTION_KEY = 'another-key';
+
+      assert.throws(() => decrypt(payload));
+    });
+  });
+});
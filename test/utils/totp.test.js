@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpauthUri,
+} = require('../../src/utils/totp');
+
+// RFC 6238 SHA-1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  describe('generateSecret', () => {
+    it('returns a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      assert.match(secret, /^[A-Z2-7]{32}$/);
+      assert.notEqual(secret, generateSecret());
+    });
+  });
+
+  describe('generateCode', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      assert.equal(generateCode(RFC_SECRET, getStep(59 * 1000)), '287082');
+      assert.equal(generateCode(RFC_SECRET, getStep(1111111109 * 1000)), '081804');
+      assert.equal(generateCode(RFC_SECRET, getStep(1234567890 * 1000)), '005924');
+      assert.equal(generateCode(RFC_SECRET, getStep(2000000000 * 1000)), '279037');
+    });
+
+    it('ignores case, spaces and padding in the secret', () => {
+      const messy = `${RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ')}====`;
+
+      assert.equal(generateCode(messy, 1), generateCode(RFC_SECRET, 1));
+    });
+
+    it('rejects secrets that are not base32', () => {
+      assert.throws(() => generateCode('NOT-BASE32!', 1), /Invalid base32 character/);
+    });
+  });
+
+  describe('getStep', () => {
+    it('counts 30 second steps since the epoch', () => {
+      assert.equal(getStep(0), 0);
+      assert.equal(getStep(29999), 0);
+      assert.equal(getStep(30000), 1);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1234567890 * 1000;
+
+    beforeEach(() => {
+      mock.method(Date, 'now', () => now);
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('accepts the current code and returns its step', () => {
+      const step = getStep(now);
+
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step)), step);
+    });
+
+    it('accepts codes one step either side for clock drift', () => {
+      const step = getStep(now);
+
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1);
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      const step = getStep(now);
+
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2)), null);
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2)), null);
+    });
+
+    it('allows spaces inside the code', () => {
+      const step = getStep(now);
+      const code = generateCode(RFC_SECRET, step);
+
+      assert.equal(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), step);
+    });
+
+    it('rejects malformed codes', () => {
+      assert.equal(verifyCode(RFC_SECRET, ''), null);
+      assert.equal(verifyCode(RFC_SECRET, null), null);
+      assert.equal(verifyCode(RFC_SECRET, '12345'), null);
+      assert.equal(verifyCode(RFC_SECRET, '12345a'), null);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('builds a URI authenticator apps can read', () => {
+      const uri = new URL(buildOtpauthUri(RFC_SECRET, 'user@example.com', 'Booze'));
+
+      assert.equal(uri.protocol, 'otpauth:');
+      assert.equal(uri.host, 'totp');
+      assert.equal(decodeURIComponent(uri.pathname), '/Booze:user@example.com');
+      assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+      assert.equal(uri.searchParams.get('issuer'), 'Booze');
+      assert.equal(uri.searchParams.get('digits'), '6');
+      assert.equal(uri.searchParams.get('period'), '30');
+    });
+  });
+});